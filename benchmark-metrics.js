@@ -0,0 +1,164 @@
+/**
+ * Benchmark Metrics Module
+ * filename = benchmark-metrics.js
+ * Measures each portfolio against market index benchmarks (e.g. SPY, VFIAX) on the days both
+ * have data. Benchmark prices come from fetchFundData; the adjusted close is used when the
+ * provider has one so the benchmark is a total return (dividends reinvested), otherwise the
+ * plain NAV/close is used and the benchmark is marked as price-only.
+ *
+ * METRICS (per portfolio and benchmark, from daily returns):
+ * {
+ *     ticker: string,
+ *     totalReturn: boolean,        // False when the benchmark is price-only
+ *     startDate, endDate,          // Period measured ('YYYY-MM-DD')
+ *     days: number,                // Daily return pairs used
+ *     portfolioReturn: number,     // Time-weighted return over the period (%)
+ *     benchmarkReturn: number,     // Benchmark return over the period (%)
+ *     excessReturn: number,        // portfolioReturn - benchmarkReturn (percentage points)
+ *     beta: number|null,           // Covariance with the benchmark / benchmark variance
+ *     alpha: number|null,          // Annualized Jensen's alpha with a zero risk-free rate (%)
+ *     correlation: number|null,    // Correlation of daily returns (-1 to 1)
+ *     trackingError: number|null   // Annualized standard deviation of the return difference (%)
+ * }
+ * beta, alpha, correlation and trackingError are null with fewer than two daily returns or a
+ * flat benchmark.
+ * When the benchmark has a value on the portfolio's first day, the portfolio side is measured
+ * from TWR_START_INDEX (portfolio-compare.js) like the cards' time-weighted return, so sales
+ * charges paid on the start date count as a first return against a flat benchmark.
+ *
+ * EXAMPLE USAGE:
+ * const benchmark = prepareBenchmarkSeries('SPY', await fetchFundData('SPY', '2024-12-31'));
+ * const metrics = calculateBenchmarkMetrics(portfolio.dailyValues, benchmark);
+ * console.log(`Beta ${metrics.beta.toFixed(2)}, tracking error ${metrics.trackingError.toFixed(2)}%`);
+ */
+
+// Line colors for benchmarks in the chart (drawn dashed)
+const BENCHMARK_COLORS = ['#e5e7eb', '#f87171', '#fbbf24', '#60a5fa'];
+
+const TRADING_DAYS_PER_YEAR = 252;
+
+/**
+ * Convert fetched prices into a benchmark value series
+ * @param {String} ticker - Benchmark ticker
+ * @param {Array} points - Points from fetchFundData ({ date, nav, adjClose })
+ * @returns {Object} - { ticker, totalReturn, points: [{ date, value }] } sorted by date
+ */
+function prepareBenchmarkSeries(ticker, points) {
+    const valid = (points || []).filter(point => point.nav !== null && point.nav !== undefined && point.nav > 0);
+    // Mixing adjusted and unadjusted prices would show false jumps, so use one or the other
+    const totalReturn = valid.length > 0 && valid.every(point => point.adjClose > 0);
+    return {
+        ticker: ticker,
+        totalReturn: totalReturn,
+        points: valid
+            .map(point => ({ date: point.date, value: totalReturn ? point.adjClose : point.nav }))
+            .sort((a, b) => a.date.localeCompare(b.date))
+    };
+}
+
+/**
+ * Look up benchmark values for a list of dates, carrying the last value forward over days
+ * without a price
+ * @param {Object} benchmark - Series from prepareBenchmarkSeries
+ * @param {Array} dates - 'YYYY-MM-DD' strings, oldest first
+ * @returns {Array} - Value for each date (null before the benchmark's first date and after its last)
+ */
+function getBenchmarkValues(benchmark, dates) {
+    const points = benchmark.points;
+    const lastDate = points.length > 0 ? points[points.length - 1].date : '';
+    let index = 0;
+    let lastValue = null;
+    return dates.map(date => {
+        while (index < points.length && points[index].date <= date) {
+            lastValue = points[index++].value;
+        }
+        return date <= lastDate ? lastValue : null;
+    });
+}
+
+/**
+ * Compare a portfolio's daily values with a benchmark
+ * Returns are measured over the portfolio dates on which the benchmark has a value; the
+ * portfolio side uses its time-weighted index so contributions and withdrawals do not count,
+ * starting from TWR_START_INDEX when the period starts on the portfolio's first day.
+ * @param {Array} dailyValues - Portfolio daily values from calculatePortfolio ({ date, twrIndex })
+ * @param {Object} benchmark - Series from prepareBenchmarkSeries
+ * @returns {Object} - Metrics (see METRICS)
+ */
+function calculateBenchmarkMetrics(dailyValues, benchmark) {
+    const allValues = getBenchmarkValues(benchmark, dailyValues.map(day => day.date));
+    const firstIndex = allValues.findIndex(value => value !== null);
+    const lastIndex = allValues.length - 1 - [...allValues].reverse().findIndex(value => value !== null);
+    const metrics = {
+        ticker: benchmark.ticker,
+        totalReturn: benchmark.totalReturn,
+        startDate: null,
+        endDate: null,
+        days: 0,
+        portfolioReturn: null,
+        benchmarkReturn: null,
+        excessReturn: null,
+        beta: null,
+        alpha: null,
+        correlation: null,
+        trackingError: null
+    };
+    if (firstIndex < 0) {
+        return metrics;
+    }
+
+    const portfolioReturns = [];
+    const benchmarkReturns = [];
+    // Both buy in at the first close, and the portfolio pays its starting loads there
+    const startIndex = firstIndex === 0 ? TWR_START_INDEX : dailyValues[firstIndex].twrIndex;
+    if (dailyValues[firstIndex].twrIndex !== startIndex) {
+        portfolioReturns.push(dailyValues[firstIndex].twrIndex / startIndex - 1);
+        benchmarkReturns.push(0);
+    }
+    for (let i = firstIndex + 1; i <= lastIndex; i++) {
+        portfolioReturns.push(dailyValues[i].twrIndex / dailyValues[i - 1].twrIndex - 1);
+        benchmarkReturns.push(allValues[i] / allValues[i - 1] - 1);
+    }
+
+    const first = dailyValues[firstIndex];
+    const last = dailyValues[lastIndex];
+    metrics.startDate = first.date;
+    metrics.endDate = last.date;
+    metrics.days = portfolioReturns.length;
+    metrics.portfolioReturn = (last.twrIndex / startIndex - 1) * 100;
+    metrics.benchmarkReturn = (allValues[lastIndex] / allValues[firstIndex] - 1) * 100;
+    metrics.excessReturn = metrics.portfolioReturn - metrics.benchmarkReturn;
+
+    if (portfolioReturns.length < 2) {
+        return metrics;
+    }
+
+    const count = portfolioReturns.length;
+    const mean = values => values.reduce((sum, value) => sum + value, 0) / count;
+    const portfolioMean = mean(portfolioReturns);
+    const benchmarkMean = mean(benchmarkReturns);
+    let covariance = 0, portfolioVariance = 0, benchmarkVariance = 0;
+    for (let i = 0; i < count; i++) {
+        const portfolioDeviation = portfolioReturns[i] - portfolioMean;
+        const benchmarkDeviation = benchmarkReturns[i] - benchmarkMean;
+        covariance += portfolioDeviation * benchmarkDeviation;
+        portfolioVariance += portfolioDeviation * portfolioDeviation;
+        benchmarkVariance += benchmarkDeviation * benchmarkDeviation;
+    }
+    covariance /= count;
+    portfolioVariance /= count;
+    benchmarkVariance /= count;
+
+    const differences = portfolioReturns.map((value, i) => value - benchmarkReturns[i]);
+    const differenceMean = mean(differences);
+    const differenceVariance = mean(differences.map(value => (value - differenceMean) * (value - differenceMean)));
+    metrics.trackingError = Math.sqrt(differenceVariance) * Math.sqrt(TRADING_DAYS_PER_YEAR) * 100;
+
+    if (benchmarkVariance > 0) {
+        metrics.beta = covariance / benchmarkVariance;
+        metrics.alpha = (portfolioMean - metrics.beta * benchmarkMean) * TRADING_DAYS_PER_YEAR * 100;
+        // A portfolio with a constant daily return (money market) has no correlation to speak of
+        metrics.correlation = portfolioVariance > 0 ? covariance / Math.sqrt(portfolioVariance * benchmarkVariance) : null;
+    }
+    return metrics;
+}
@@ -0,0 +1,173 @@
+/**
+ * Data Export Module
+ * filename = data-export.js
+ * Shared helpers for turning row data into JSON/CSV/TSV text and saving it as a file.
+ * Used by the page and by fund-fetcher-cli.js (downloadTextFile is browser-only).
+ *
+ * EXAMPLE USAGE:
+ * const columns = ['date', 'nav'];
+ * const csv = toDelimitedText(rows, columns, ',');
+ * downloadTextFile(csv, 'AGTHX_fund_data.csv', 'text/csv');
+ *
+ * const output = formatExport(rows, columns, 'tsv');
+ * downloadTextFile(output.content, `AGTHX_fund_data.${output.extension}`, output.mimeType);
+ *
+ * // Several files in one download
+ * const zip = createZipArchive([{ name: 'a.csv', content: csv }, { name: 'b.csv', content: csv }]);
+ * downloadTextFile(zip, 'tables.zip', 'application/zip');
+ */
+
+const EXPORT_FORMATS = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv', delimiter: ',' },
+    tsv: { extension: 'tsv', mimeType: 'text/tab-separated-values', delimiter: '\t' }
+};
+
+/**
+ * Convert an array of row objects to delimited text with a header line
+ * @param {Array} rows - Row objects
+ * @param {Array} columns - Property names to write, in order
+ * @param {String} delimiter - ',' or '\t'
+ * @returns {String} - Delimited text
+ */
+function toDelimitedText(rows, columns, delimiter) {
+    const formatCell = value => {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        const text = String(value);
+        // Quote cells that would break the row structure
+        if (text.includes(delimiter) || text.includes('"') || text.includes('\n')) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    };
+
+    const lines = [columns.join(delimiter)];
+    rows.forEach(row => {
+        lines.push(columns.map(column => formatCell(row[column])).join(delimiter));
+    });
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Format rows as JSON, CSV or TSV
+ * @param {Array|Object} rows - Row objects (JSON output may be any value)
+ * @param {Array} columns - Property names to write for CSV/TSV, in order
+ * @param {String} format - 'json', 'csv' or 'tsv'
+ * @returns {Object} - { content, extension, mimeType }
+ */
+function formatExport(rows, columns, format) {
+    const exportFormat = EXPORT_FORMATS[format];
+    if (!exportFormat) {
+        throw new Error(`Unknown export format: ${format} (use ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+    }
+
+    const content = format === 'json'
+        ? JSON.stringify(rows, null, 2)
+        : toDelimitedText(rows, columns, exportFormat.delimiter);
+    return { content: content, extension: exportFormat.extension, mimeType: exportFormat.mimeType };
+}
+
+// CRC-32 lookup table for zip entries (polynomial 0xEDB88320)
+const ZIP_CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+/**
+ * Pack text files into an uncompressed zip archive, so several exports download as one file
+ * @param {Array} files - [{ name, content }] with text content
+ * @param {Date} [date] - Modification time written for every entry (default: now)
+ * @returns {Uint8Array} - Zip file bytes
+ */
+function createZipArchive(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        let crc = 0xFFFFFFFF;
+        data.forEach(byte => crc = ZIP_CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8));
+        crc = (crc ^ 0xFFFFFFFF) >>> 0;
+
+        // Fields shared by the local header and the central directory entry (version needed onwards)
+        const fields = view => {
+            view.setUint16(0, 20, true);          // Version needed to extract
+            view.setUint16(2, 0x0800, true);      // UTF-8 file names
+            view.setUint16(4, 0, true);           // Stored, no compression
+            view.setUint16(6, dosTime, true);
+            view.setUint16(8, dosDate, true);
+            view.setUint32(10, crc, true);
+            view.setUint32(14, data.length, true);
+            view.setUint32(18, data.length, true);
+            view.setUint16(22, name.length, true);
+        };
+
+        const local = new Uint8Array(30 + name.length);
+        const localView = new DataView(local.buffer);
+        localView.setUint32(0, 0x04034B50, true);
+        fields(new DataView(local.buffer, 4));
+        local.set(name, 30);
+        localParts.push(local, data);
+
+        const central = new Uint8Array(46 + name.length);
+        const centralView = new DataView(central.buffer);
+        centralView.setUint32(0, 0x02014B50, true);
+        centralView.setUint16(4, 20, true);       // Version made by
+        fields(new DataView(central.buffer, 6));
+        centralView.setUint32(42, offset, true);
+        central.set(name, 46);
+        centralParts.push(central);
+
+        offset += local.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054B50, true);
+    endView.setUint16(8, files.length, true);
+    endView.setUint16(10, files.length, true);
+    endView.setUint32(12, centralSize, true);
+    endView.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, end];
+    const archive = new Uint8Array(offset + centralSize + end.length);
+    let position = 0;
+    parts.forEach(part => {
+        archive.set(part, position);
+        position += part.length;
+    });
+    return archive;
+}
+
+/**
+ * Trigger a browser download of text content
+ * @param {String|Uint8Array} content - File content
+ * @param {String} filename - Suggested file name
+ * @param {String} mimeType - MIME type of the content
+ */
+function downloadTextFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+
+    // Cleanup
+    setTimeout(() => {
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }, 100);
+}
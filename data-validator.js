@@ -0,0 +1,292 @@
+/**
+ * Data Validator Module
+ * filename = data-validator.js
+ * Checks loaded NAV and distribution data for problems worth a human look before the numbers
+ * are trusted: copy-paste duplicates in the distribution files, gaps and outliers in money
+ * market rate files, reinvest NAVs that disagree with the price feed, and missing NAVs.
+ *
+ * CHECKS:
+ * - 'duplicate-distribution'  Mutual fund distributions with identical per-share components
+ *                             within nearDuplicateDays of each other, or the same record date
+ *                             listed twice (for money market rates: the same date listed twice)
+ * - 'near-duplicate'          Distributions within nearDuplicateDays of each other whose totals
+ *                             differ by less than nearDuplicateTolerance
+ * - 'missing-rate-day'        Trading days without a rate in a money market rate file, and
+ *                             trading days after its last rate up to the last NAV date (one issue
+ *                             for the whole stretch; a note when only the latest day is missing,
+ *                             as the newest rate is often published a day late)
+ * - 'rate-on-closed-day'      Rates dated on a weekend or market holiday (these days are
+ *                             normally included in the next trading day's rate)
+ * - 'outlier-rate'            Rates (per calendar day covered) more than outlierFactor times
+ *                             above or below the median rate, and rates that are zero or negative
+ * - 'reinvest-nav-mismatch'   Reinvest NAV differs from the price feed's NAV on the record date
+ *                             by more than navTolerance
+ * - 'null-nav'                NAV points from fetchFundData without a value
+ * - 'price-feed-mismatch'     Differences from compareDistributionsToEvents (see getPriceFeedIssues)
+ *
+ * ISSUE STRUCTURE:
+ * {
+ *     ticker: string,
+ *     type: string,                 // One of the checks above
+ *     severity: 'warning' | 'info',
+ *     date: 'YYYY-MM-DD' | null,
+ *     message: string
+ * }
+ *
+ * EXAMPLE USAGE:
+ * const issues = validateFundData('AGTHX', { nav: navData, distributions: items, distributionSource: 'file' });
+ * issues.forEach(issue => console.warn(`${issue.date}: ${issue.message}`));
+ */
+
+const VALIDATION_DEFAULTS = {
+    nearDuplicateDays: 45,          // Distributions closer than this are compared for near-duplicates
+    nearDuplicateTolerance: 0.02,   // Relative difference in totals that counts as "near"
+    outlierFactor: 4,               // Rate more than this many times above/below the median
+    navTolerance: 0.01              // Relative reinvest NAV difference allowed (1%)
+};
+
+// Columns written when issues are exported
+const VALIDATION_ISSUE_COLUMNS = ['ticker', 'severity', 'type', 'date', 'message'];
+
+/**
+ * Run every applicable check for a fund
+ * @param {String} ticker - Fund ticker
+ * @param {Object} data - { nav, distributions, distributionSource } as held by the page
+ * @param {Object} [options] - Overrides for VALIDATION_DEFAULTS
+ * @returns {Array} - Issues, sorted by date
+ */
+function validateFundData(ticker, data, options = {}) {
+    const settings = { ...VALIDATION_DEFAULTS, ...options };
+    const nav = data.nav || [];
+    const distributions = data.distributions || [];
+    const issues = [];
+
+    issues.push(...findNullNavs(ticker, nav));
+
+    if (isMmfTicker(ticker)) {
+        // Checks on the rate file only make sense for rates read from it
+        if (data.distributionSource === 'file') {
+            issues.push(...findMissingRateDays(ticker, distributions, nav));
+            issues.push(...findOutlierRates(ticker, distributions, settings));
+        }
+    } else {
+        issues.push(...findDuplicateDistributions(ticker, distributions, settings));
+        if (data.distributionSource === 'file') {
+            issues.push(...findReinvestNavMismatches(ticker, distributions, nav, settings));
+        }
+    }
+
+    return issues.sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+}
+
+/**
+ * Build an issue
+ * @param {String} ticker - Fund ticker
+ * @param {String} type - Check that found it
+ * @param {String} severity - 'warning' or 'info'
+ * @param {String|null} date - Date the issue applies to
+ * @param {String} message - Description for the warnings panel
+ * @returns {Object} - Issue
+ */
+function createValidationIssue(ticker, type, severity, date, message) {
+    return { ticker: ticker, type: type, severity: severity, date: date, message: message };
+}
+
+/**
+ * Find NAV points without a value
+ * @param {String} ticker - Fund ticker
+ * @param {Array} navData - Points from fetchFundData ({ date, nav })
+ * @returns {Array} - Issues
+ */
+function findNullNavs(ticker, navData) {
+    return navData
+        .filter(point => point.nav === null || point.nav === undefined || isNaN(point.nav))
+        .map(point => createValidationIssue(ticker, 'null-nav', 'warning', point.date,
+            'No NAV returned for this date; the row is left out of the merged data'));
+}
+
+/**
+ * Find duplicate and near-duplicate mutual fund distributions
+ * @param {String} ticker - Fund ticker
+ * @param {Array} items - Distribution items, any order
+ * @param {Object} settings - Validation settings
+ * @returns {Array} - Issues (one per later row of each pair)
+ */
+function findDuplicateDistributions(ticker, items, settings) {
+    const issues = [];
+    const sorted = [...items].sort((a, b) => a.date.localeCompare(b.date));
+    const componentKey = item => DISTRIBUTION_COMPONENTS.map(component => Number(item[component] || 0).toFixed(6)).join('|');
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    sorted.forEach((item, index) => {
+        if (!(item.dist > 0)) {
+            return;
+        }
+        for (let i = 0; i < index; i++) {
+            const earlier = sorted[i];
+            if (!(earlier.dist > 0)) {
+                continue;
+            }
+            if (earlier.date === item.date) {
+                issues.push(createValidationIssue(ticker, 'duplicate-distribution', 'warning', item.date,
+                    `Record date ${item.date} is listed more than once`));
+                return;
+            }
+            const daysApart = (new Date(item.date) - new Date(earlier.date)) / dayMs;
+            if (daysApart > settings.nearDuplicateDays) {
+                // Regular dividends often repeat the same amount each quarter
+                continue;
+            }
+            if (componentKey(earlier) === componentKey(item)) {
+                issues.push(createValidationIssue(ticker, 'duplicate-distribution', 'warning', item.date,
+                    `Same per-share amounts as ${earlier.date} ($${item.dist.toFixed(4)}); possible copied row`));
+                return;
+            }
+            const relativeDifference = Math.abs(item.dist - earlier.dist) / earlier.dist;
+            if (relativeDifference < settings.nearDuplicateTolerance) {
+                issues.push(createValidationIssue(ticker, 'near-duplicate', 'warning', item.date,
+                    `$${item.dist.toFixed(4)} is within ${(settings.nearDuplicateTolerance * 100).toFixed(0)}% of the ` +
+                    `$${earlier.dist.toFixed(4)} paid ${Math.round(daysApart)} days earlier (${earlier.date})`));
+                return;
+            }
+        }
+    });
+    return issues;
+}
+
+/**
+ * Find trading days without a money market rate, dates with more than one rate, and rates on
+ * days the market was closed
+ * @param {String} ticker - Fund ticker
+ * @param {Array} items - MMF rate items
+ * @param {Array} [navData] - Points from fetchFundData ({ date, nav }); trading days after the
+ *     last rate up to the last NAV date are reported too
+ * @returns {Array} - Issues
+ */
+function findMissingRateDays(ticker, items, navData = []) {
+    if (items.length === 0) {
+        return [];
+    }
+    const dates = new Set(items.map(item => item.date));
+    const sorted = [...dates].sort();
+    const issues = [];
+
+    sorted
+        .filter(date => items.filter(item => item.date === date).length > 1)
+        .forEach(date => issues.push(createValidationIssue(ticker, 'duplicate-distribution', 'warning', date,
+            'Rate date is listed more than once')));
+
+    getTradingDays(sorted[0], sorted[sorted.length - 1])
+        .filter(date => !dates.has(date))
+        .forEach(date => issues.push(createValidationIssue(ticker, 'missing-rate-day', 'warning', date,
+            'No rate for this trading day; income for it is not accrued')));
+
+    // NAVs that go on past the rate file (fixed $1.00 NAVs run to today) earn nothing after its last rate
+    const lastRateDate = sorted[sorted.length - 1];
+    const navDates = navData.filter(point => point.nav !== null && point.nav !== undefined).map(point => point.date).sort();
+    const lastNavDate = navDates[navDates.length - 1];
+    if (lastNavDate && lastNavDate > lastRateDate) {
+        const missing = getTradingDays(lastRateDate, lastNavDate).filter(date => date > lastRateDate);
+        if (missing.length > 0) {
+            issues.push(createValidationIssue(ticker, 'missing-rate-day', missing.length > 1 ? 'warning' : 'info', missing[0],
+                `No rates after ${lastRateDate}: ${missing.length} trading day(s) through ${lastNavDate} earn no income`));
+        }
+    }
+
+    sorted
+        .filter(date => !isTradingDay(date))
+        .forEach(date => issues.push(createValidationIssue(ticker, 'rate-on-closed-day', 'info', date,
+            `Rate dated on a day the market was closed (${getMarketHolidayName(date) || 'weekend'})`)));
+
+    return issues;
+}
+
+/**
+ * Find money market rates far from the typical daily rate
+ * A rate can include the closed days before it (Monday's rate usually includes the weekend) or
+ * after it (some funds accrue a holiday weekend on the day before), so it is divided by either
+ * gap before comparing it with the median rate.
+ * @param {String} ticker - Fund ticker
+ * @param {Array} items - MMF rate items
+ * @param {Object} settings - Validation settings
+ * @returns {Array} - Issues
+ */
+function findOutlierRates(ticker, items, settings) {
+    const sorted = [...items].sort((a, b) => a.date.localeCompare(b.date));
+    const dayMs = 24 * 60 * 60 * 1000;
+    const gap = (from, to) => Math.max(1, Math.round((new Date(to.date) - new Date(from.date)) / dayMs));
+
+    const positive = sorted.map(item => item.dist).filter(rate => rate > 0).sort((a, b) => a - b);
+    const median = positive.length > 0 ? positive[Math.floor(positive.length / 2)] : 0;
+    const inRange = rate => rate <= median * settings.outlierFactor && rate >= median / settings.outlierFactor;
+    const issues = [];
+
+    sorted.forEach((item, index) => {
+        if (!(item.dist > 0)) {
+            issues.push(createValidationIssue(ticker, 'outlier-rate', 'warning', item.date,
+                `Rate is ${item.dist}; expected a positive daily rate`));
+            return;
+        }
+        const daysBefore = index === 0 ? 1 : gap(sorted[index - 1], item);
+        const daysAfter = index === sorted.length - 1 ? 1 : gap(item, sorted[index + 1]);
+        if (median > 0 && !inRange(item.dist / daysBefore) && !inRange(item.dist / daysAfter)) {
+            issues.push(createValidationIssue(ticker, 'outlier-rate', 'warning', item.date,
+                `Rate ${item.dist} is far from the median daily rate of ${median.toFixed(8)} ` +
+                `(covering ${daysBefore} day(s) before or ${daysAfter} day(s) after)`));
+        }
+    });
+    return issues;
+}
+
+/**
+ * Find reinvest NAVs that differ from the price feed's NAV on the record date
+ * @param {String} ticker - Fund ticker
+ * @param {Array} items - Distribution items from the file
+ * @param {Array} navData - Points from fetchFundData ({ date, nav })
+ * @param {Object} settings - Validation settings
+ * @returns {Array} - Issues
+ */
+function findReinvestNavMismatches(ticker, items, navData, settings) {
+    const navByDate = {};
+    navData.forEach(point => {
+        if (point.nav !== null && point.nav !== undefined) {
+            navByDate[point.date] = point.nav;
+        }
+    });
+
+    const issues = [];
+    items.forEach(item => {
+        const feedNav = navByDate[item.recordDate || item.date];
+        if (!(item.nav > 0) || !(feedNav > 0)) {
+            return;
+        }
+        const relativeDifference = (item.nav - feedNav) / feedNav;
+        if (Math.abs(relativeDifference) > settings.navTolerance) {
+            issues.push(createValidationIssue(ticker, 'reinvest-nav-mismatch', 'warning', item.date,
+                `Reinvest NAV $${item.nav.toFixed(2)} differs from the $${feedNav.toFixed(2)} close by ` +
+                `${(relativeDifference * 100).toFixed(2)}% (tolerance ${(settings.navTolerance * 100).toFixed(2)}%)`));
+        }
+    });
+    return issues;
+}
+
+/**
+ * Convert distribution file / price feed differences into issues
+ * @param {String} ticker - Fund ticker
+ * @param {Array} differences - Result of compareDistributionsToEvents
+ * @returns {Array} - Issues
+ */
+function getPriceFeedIssues(ticker, differences) {
+    return differences.map(difference => {
+        let message;
+        if (difference.type === 'missing-in-feed') {
+            message = `File income dividend of $${difference.fileAmount.toFixed(4)} has no matching price feed dividend`;
+        } else if (difference.type === 'missing-in-file') {
+            message = `Price feed dividend of $${difference.feedAmount.toFixed(4)} is not in the distribution file`;
+        } else {
+            message = `File income dividend $${difference.fileAmount.toFixed(4)} differs from the price feed's ` +
+                `$${difference.feedAmount.toFixed(4)} (${difference.feedDate})`;
+        }
+        return createValidationIssue(ticker, 'price-feed-mismatch', 'warning', difference.date, message);
+    });
+}
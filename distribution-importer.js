@@ -0,0 +1,510 @@
+/**
+ * Distribution Importer Module
+ * filename = distribution-importer.js
+ * Reads distribution exports from fund company websites by matching column headers rather than
+ * column positions, so reordered, renamed or extra columns do not corrupt the numbers. Accepts
+ * CSV, TSV, semicolon-separated text and tables pasted from a web page, and converts them to the
+ * canonical mutual_<TICKER>_distributions.txt / mmf_<TICKER>_distributions.txt layout read by
+ * process-distributions.js (which also uses parseDistributionTable for its own files).
+ *
+ * COLUMNS (matched by normalized header text, see DISTRIBUTION_IMPORT_FIELDS):
+ * - Mutual funds: Record Date (required), Calculated Date, Pay Date, Income Dividend Regular,
+ *   Income Dividend Special, Cap. Gains Long-Term, Cap. Gains Short-Term, Reinvest NAV
+ * - Money market funds: Rate and As of Date (both required)
+ * Dates may be in any format parseCustomDate understands (MM/DD/YY, MM/DD/YYYY, YYYY-MM-DD, ...).
+ * Amounts may carry $ signs and thousands separators; blank amounts count as zero.
+ *
+ * RESULT STRUCTURE (parseDistributionTable):
+ * {
+ *     kind: 'mutual' | 'mmf',
+ *     delimiter: string,
+ *     columns: { [field]: header },   // Header matched for each field
+ *     unmappedHeaders: [string],      // Headers that were ignored
+ *     items: [DistributionItem],      // As returned by getDistributionData, oldest first
+ *     errors: [{ line, message }],    // Rows that were skipped (or a missing required column)
+ *     warnings: [{ line, message }]   // Rows read with something ignored
+ * }
+ *
+ * EXAMPLE USAGE:
+ * const result = parseDistributionTable(csvText, 'mutual');
+ * const text = formatDistributionFile(result.kind, result.items);
+ * downloadTextFile(text, getDistributionFilename('AGTHX'), 'text/plain');
+ *
+ * renderDistributionImporter(container, { getTickers: () => ['AGTHX'], onLoad: (ticker, text) => { ... } });
+ */
+
+// Fields read from an export, in canonical file column order. Aliases are compared with the
+// header lowercased and stripped of everything but letters and digits.
+const DISTRIBUTION_IMPORT_FIELDS = {
+    mutual: [
+        { field: 'recordDate', label: 'Record Date', type: 'date', required: true,
+            aliases: ['recorddate', 'record', 'exdate', 'exdividenddate', 'exdivdate', 'date'] },
+        { field: 'calculatedDate', label: 'Calculated Date', type: 'date',
+            aliases: ['calculateddate', 'calcdate', 'reinvestdate', 'reinvestmentdate'] },
+        { field: 'payDate', label: 'Pay Date', type: 'date',
+            aliases: ['paydate', 'payabledate', 'paymentdate', 'payable'] },
+        { field: 'incomeDividendRegular', label: 'Income Dividend Regular', type: 'amount',
+            aliases: ['incomedividendregular', 'regulardividend', 'regularincomedividend', 'incomedividend', 'ordinarydividend', 'dividend', 'income'] },
+        { field: 'incomeDividendSpecial', label: 'Income Dividend Special', type: 'amount',
+            aliases: ['incomedividendspecial', 'specialdividend', 'specialincomedividend', 'special'] },
+        { field: 'capGainsLongTerm', label: 'Cap. Gains Long-Term', type: 'amount',
+            aliases: ['capgainslongterm', 'capgainlongterm', 'capitalgainslongterm', 'longtermcapitalgains', 'longtermcapitalgain', 'longtermgains', 'longtermgain', 'ltcg', 'capgainslt', 'capgainlt'] },
+        { field: 'capGainsShortTerm', label: 'Cap. Gains Short-Term', type: 'amount',
+            aliases: ['capgainsshortterm', 'capgainshortterm', 'capitalgainsshortterm', 'shorttermcapitalgains', 'shorttermcapitalgain', 'shorttermgains', 'shorttermgain', 'stcg', 'capgainsst', 'capgainst'] },
+        { field: 'nav', label: 'Reinvest NAV', type: 'amount',
+            aliases: ['reinvestnav', 'reinvestmentnav', 'reinvestprice', 'reinvestmentprice', 'nav', 'price'] }
+    ],
+    mmf: [
+        { field: 'rate', label: 'Rate', type: 'amount', required: true,
+            aliases: ['rate', 'dailyrate', 'dividendrate', 'dailydividendrate', 'dailyaccrualrate', 'dailyfactor', 'factor'] },
+        { field: 'date', label: 'As of Date', type: 'date', required: true,
+            aliases: ['asofdate', 'date', 'ratedate', 'effectivedate'] }
+    ]
+};
+
+// Delimiters tried when reading a header line, most specific first
+const DISTRIBUTION_IMPORT_DELIMITERS = ['\t', ';', ','];
+
+/**
+ * Normalize a header for matching
+ * @param {String} header - Header text
+ * @returns {String} - Lowercase letters and digits only
+ */
+function normalizeImportHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Pick the delimiter of a table from its header line
+ * Pasted tables that lost their tabs are split on runs of two or more spaces.
+ * @param {String} line - Header line
+ * @returns {String} - Delimiter ('\t', ';', ',' or '  ')
+ */
+function detectImportDelimiter(line) {
+    return DISTRIBUTION_IMPORT_DELIMITERS.find(delimiter => line.includes(delimiter)) || '  ';
+}
+
+/**
+ * Split one line into cells, honouring double quotes
+ * @param {String} line - Line of text
+ * @param {String} delimiter - Delimiter from detectImportDelimiter
+ * @returns {Array} - Trimmed cell strings
+ */
+function splitImportLine(line, delimiter) {
+    if (delimiter === '  ') {
+        return line.trim().split(/\s{2,}/);
+    }
+
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"' && quoted && line[i + 1] === '"') {
+            cell += '"';
+            i++;
+        } else if (char === '"') {
+            quoted = !quoted;
+        } else if (char === delimiter && !quoted) {
+            cells.push(cell.trim());
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell.trim());
+    return cells;
+}
+
+/**
+ * Match headers to fields: exact alias matches first, then headers containing an alias
+ * @param {Array} headers - Header cells
+ * @param {Array} fields - Field definitions from DISTRIBUTION_IMPORT_FIELDS
+ * @returns {Object} - Column index keyed by field
+ */
+function mapImportColumns(headers, fields) {
+    const normalized = headers.map(normalizeImportHeader);
+    const mapping = {};
+    const used = new Set();
+
+    fields.forEach(definition => {
+        for (const alias of definition.aliases) {
+            const index = normalized.findIndex((header, i) => !used.has(i) && header === alias);
+            if (index >= 0) {
+                mapping[definition.field] = index;
+                used.add(index);
+                return;
+            }
+        }
+    });
+
+    // Longest aliases first, so 'Special Income Dividend' goes to the special dividend rather
+    // than matching 'incomedividend'. Short aliases such as 'nav' would match too much.
+    const candidates = [];
+    fields.forEach(definition => definition.aliases
+        .filter(alias => alias.length >= 6)
+        .forEach(alias => candidates.push({ field: definition.field, alias: alias })));
+    candidates
+        .sort((a, b) => b.alias.length - a.alias.length)
+        .forEach(candidate => {
+            if (mapping[candidate.field] !== undefined) {
+                return;
+            }
+            const index = normalized.findIndex((header, i) => !used.has(i) && header.includes(candidate.alias));
+            if (index >= 0) {
+                mapping[candidate.field] = index;
+                used.add(index);
+            }
+        });
+    return mapping;
+}
+
+/**
+ * Guess whether a table holds money market rates or mutual fund distributions
+ * @param {Array} headers - Header cells
+ * @returns {String} - 'mmf' or 'mutual'
+ */
+function detectDistributionKind(headers) {
+    const mmf = mapImportColumns(headers, DISTRIBUTION_IMPORT_FIELDS.mmf);
+    const mutual = mapImportColumns(headers, DISTRIBUTION_IMPORT_FIELDS.mutual);
+    const hasAmounts = DISTRIBUTION_COMPONENTS.some(component => mutual[component] !== undefined);
+    return mmf.rate !== undefined && !hasAmounts ? 'mmf' : 'mutual';
+}
+
+/**
+ * Parse an amount cell
+ * @param {String} text - Cell text, e.g. '$1,234.56'
+ * @returns {Object} - { value, ignored } where value is NaN when no number was found and
+ *     ignored holds any characters that were dropped
+ */
+function parseImportAmount(text) {
+    const cleaned = String(text || '').replace(/[$,\s]/g, '');
+    if (cleaned === '' || cleaned === '-' || cleaned === '—') {
+        return { value: 0, ignored: '' };
+    }
+    const match = cleaned.match(/-?\d*\.?\d+(?:e-?\d+)?/i);
+    if (!match) {
+        return { value: NaN, ignored: cleaned };
+    }
+    return { value: parseFloat(match[0]), ignored: cleaned.replace(match[0], '') };
+}
+
+/**
+ * Parse a date cell
+ * @param {String} text - Cell text
+ * @returns {Date|null} - Local date, or null when it is not a date
+ */
+function parseImportDate(text) {
+    const value = String(text || '').trim();
+    // parseDate reads YYYY-MM-DD as a local date; parseCustomDate covers the file formats
+    return value ? parseDate(value) || parseCustomDate(value) : null;
+}
+
+/**
+ * Parse a distribution export into distribution items
+ * @param {String} text - File content or pasted table
+ * @param {String} [kind] - 'mutual' or 'mmf'; detected from the headers when omitted
+ * @returns {Object} - See RESULT STRUCTURE
+ */
+function parseDistributionTable(text, kind = null) {
+    const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+    const result = { kind: kind || 'mutual', delimiter: '\t', columns: {}, unmappedHeaders: [], items: [], errors: [], warnings: [] };
+
+    // The header is the first of the leading lines that names every required column
+    // (pasted tables often start with a title)
+    let headerIndex = -1;
+    let mapping = null;
+    let fields = null;
+    let headers = [];
+    for (let i = 0; i < Math.min(lines.length, 10) && headerIndex < 0; i++) {
+        if (!lines[i].trim()) {
+            continue;
+        }
+        const delimiter = detectImportDelimiter(lines[i]);
+        const cells = splitImportLine(lines[i], delimiter);
+        const lineKind = kind || detectDistributionKind(cells);
+        const lineFields = DISTRIBUTION_IMPORT_FIELDS[lineKind];
+        const lineMapping = mapImportColumns(cells, lineFields);
+        if (lineFields.every(definition => !definition.required || lineMapping[definition.field] !== undefined)) {
+            headerIndex = i;
+            mapping = lineMapping;
+            fields = lineFields;
+            headers = cells;
+            result.kind = lineKind;
+            result.delimiter = delimiter;
+        }
+    }
+
+    if (headerIndex < 0) {
+        const required = DISTRIBUTION_IMPORT_FIELDS[result.kind].filter(definition => definition.required).map(definition => definition.label);
+        result.errors.push({ line: 1, message: `No header row naming the ${required.join(' and ')} column(s) was found` });
+        return result;
+    }
+
+    fields.forEach(definition => {
+        if (mapping[definition.field] !== undefined) {
+            result.columns[definition.field] = headers[mapping[definition.field]];
+        }
+    });
+    result.unmappedHeaders = headers.filter((header, index) => header && !Object.values(mapping).includes(index));
+
+    for (let i = headerIndex + 1; i < lines.length; i++) {
+        if (!lines[i].trim()) {
+            continue;
+        }
+        const lineNumber = i + 1;
+        const cells = splitImportLine(lines[i], result.delimiter);
+        const values = {};
+        let rowError = null;
+
+        fields.forEach(definition => {
+            const index = mapping[definition.field];
+            if (index === undefined || rowError) {
+                return;
+            }
+            const cell = cells[index];
+            if (definition.type === 'date') {
+                values[definition.field] = parseImportDate(cell);
+                if (cell && !values[definition.field]) {
+                    rowError = `${definition.label} "${cell}" is not a date`;
+                } else if (definition.required && !values[definition.field]) {
+                    rowError = `${definition.label} is missing`;
+                }
+            } else {
+                const amount = parseImportAmount(cell);
+                if (isNaN(amount.value)) {
+                    rowError = `${definition.label} "${cell}" is not a number`;
+                } else {
+                    values[definition.field] = amount.value;
+                    if (amount.ignored) {
+                        result.warnings.push({ line: lineNumber, message: `Ignored "${amount.ignored}" in ${definition.label} "${cell}"` });
+                    }
+                }
+            }
+        });
+
+        if (rowError) {
+            result.errors.push({ line: lineNumber, message: rowError });
+            continue;
+        }
+
+        if (result.kind === 'mmf') {
+            result.items.push(createMmfItem(values.date, String(values.rate)));
+        } else {
+            const item = {
+                date: formatISODate(values.recordDate),
+                recordDate: formatISODate(values.recordDate),
+                calculatedDate: values.calculatedDate ? formatISODate(values.calculatedDate) : null,
+                payDate: values.payDate ? formatISODate(values.payDate) : null,
+                nav: values.nav || 0,
+                dist: DISTRIBUTION_COMPONENTS.reduce((sum, component) => sum + (values[component] || 0), 0)
+            };
+            DISTRIBUTION_COMPONENTS.forEach(component => item[component] = values[component] || 0);
+            result.items.push(item);
+        }
+    }
+
+    result.items.sort((a, b) => a.date.localeCompare(b.date));
+    return result;
+}
+
+/**
+ * Write distribution items in the canonical distribution file layout
+ * @param {String} kind - 'mutual' or 'mmf'
+ * @param {Array} items - Distribution items
+ * @returns {String} - Tab-separated file content
+ */
+function formatDistributionFile(kind, items) {
+    // Files use MM/DD/YY for mutual funds and MM/DD/YYYY for money market rates
+    const shortDate = date => date ? `${date.slice(5, 7)}/${date.slice(8, 10)}/${date.slice(2, 4)}` : '';
+    const longDate = date => `${date.slice(5, 7)}/${date.slice(8, 10)}/${date.slice(0, 4)}`;
+    // Keep every decimal the source had, with at least cents
+    const money = value => {
+        const amount = Number(value || 0);
+        return `$${amount.toFixed(Math.max(2, (String(amount).split('.')[1] || '').length))}`;
+    };
+
+    if (kind === 'mmf') {
+        return ['Rate\tAs of Date', ...items.map(item => `${item.dist}\t${longDate(item.date)}`)].join('\n') + '\n';
+    }
+
+    const header = DISTRIBUTION_IMPORT_FIELDS.mutual.map(definition => definition.label).join('\t');
+    const rows = items.map(item => [
+        shortDate(item.recordDate || item.date),
+        shortDate(item.calculatedDate),
+        shortDate(item.payDate),
+        ...DISTRIBUTION_COMPONENTS.map(component => money(item[component])),
+        money(item.nav)
+    ].join('\t'));
+    return [header, ...rows].join('\n') + '\n';
+}
+
+/**
+ * Guess the ticker of a dropped file from its name
+ * @param {String} filename - File name
+ * @param {Array} tickers - Tickers in the current configuration
+ * @returns {String} - Ticker, or '' when none is recognized
+ */
+function guessImportTicker(filename, tickers) {
+    const name = String(filename || '').toUpperCase();
+    const canonical = name.match(/(?:MUTUAL|MMF)_([A-Z0-9]+)_DISTRIBUTIONS/);
+    if (canonical) {
+        return canonical[1];
+    }
+    return tickers.find(ticker => new RegExp(`(^|[^A-Z0-9])${ticker}([^A-Z0-9]|$)`).test(name)) || '';
+}
+
+/**
+ * Render the import panel: drop zone, paste box, preview and save/load actions
+ * @param {HTMLElement} container - Element to render into
+ * @param {Object} options - { getTickers: () => Array, onLoad: (ticker, text) => void }
+ * @returns {Object} - { loadFile(file) } for files dropped elsewhere on the page
+ */
+function renderDistributionImporter(container, options) {
+    const state = { ticker: '', text: '', sourceName: '', result: null };
+
+    container.innerHTML = `
+        <div class="config-row">
+            <label>Ticker <input type="text" class="format-select config-ticker import-ticker" list="import-tickers" placeholder="Ticker"></label>
+            <datalist id="import-tickers"></datalist>
+            <label class="download-btn">📂 Choose File
+                <input type="file" class="import-file" accept=".csv,.tsv,.txt" hidden>
+            </label>
+        </div>
+        <div class="import-drop">Drop a distribution export (CSV or TSV) here or anywhere on the page, or paste a table below.</div>
+        <textarea class="format-select import-paste" rows="5" placeholder="Paste a table copied from the fund company's website"></textarea>
+        <div class="import-preview"></div>
+        <div class="button-container">
+            <button class="download-btn import-save" disabled>💾 Save File</button>
+            <button class="download-btn import-load" disabled>Use for This Session</button>
+        </div>
+        <div class="config-message import-message"></div>
+    `;
+
+    const tickerInput = container.querySelector('.import-ticker');
+    const paste = container.querySelector('.import-paste');
+    const preview = container.querySelector('.import-preview');
+    const dropZone = container.querySelector('.import-drop');
+    const message = container.querySelector('.import-message');
+
+    const showMessage = (text, isError) => {
+        message.className = `config-message import-message ${isError ? 'error' : ''}`;
+        message.textContent = text;
+    };
+
+    const update = () => {
+        const tickers = options.getTickers();
+        container.querySelector('#import-tickers').innerHTML = tickers.map(ticker => `<option value="${escapeConfigHtml(ticker)}">`).join('');
+        state.result = state.text.trim()
+            ? parseDistributionTable(state.text, state.ticker ? (isMmfTicker(state.ticker) ? 'mmf' : 'mutual') : null)
+            : null;
+        const result = state.result;
+        const canUse = Boolean(result && result.items.length > 0 && state.ticker);
+        container.querySelector('.import-save').disabled = !canUse;
+        container.querySelector('.import-load').disabled = !canUse;
+        container.querySelector('.import-save').textContent = state.ticker
+            ? `💾 Save as ${getDistributionFilename(state.ticker)}`
+            : '💾 Save File';
+
+        if (!result) {
+            preview.innerHTML = '';
+            return;
+        }
+
+        const fields = DISTRIBUTION_IMPORT_FIELDS[result.kind];
+        const shown = fields.filter(definition => result.columns[definition.field] !== undefined);
+        const cell = (item, definition) => {
+            if (result.kind === 'mmf') {
+                return definition.field === 'rate' ? item.dist : item.date;
+            }
+            const value = item[definition.field];
+            return definition.type === 'date' ? value || '-' : Number(value || 0).toFixed(4);
+        };
+        preview.innerHTML = `
+            <div class="config-hint">
+                ${escapeConfigHtml(state.sourceName || 'Pasted table')}: ${result.items.length} row(s) read as
+                ${result.kind === 'mmf' ? 'money market rates' : 'mutual fund distributions'}.
+                Columns: ${shown.map(definition => `${definition.label} ← "${escapeConfigHtml(result.columns[definition.field])}"`).join(', ')}
+                ${result.unmappedHeaders.length > 0 ? `<br>Ignored columns: ${result.unmappedHeaders.map(header => `"${escapeConfigHtml(header)}"`).join(', ')}` : ''}
+                ${!state.ticker ? '<br>Enter the ticker the rows belong to.' : ''}
+            </div>
+            ${[...result.errors.map(entry => ({ ...entry, severity: 'warning', prefix: 'Skipped' })),
+                ...result.warnings.map(entry => ({ ...entry, severity: 'info', prefix: 'Note' }))]
+                .sort((a, b) => a.line - b.line)
+                .map(entry => `<div class="issue-${entry.severity}">${entry.prefix} line ${entry.line}: ${escapeConfigHtml(entry.message)}</div>`).join('')}
+            ${result.items.length === 0 ? '' : `
+                <table>
+                    <thead>
+                        <tr>${shown.map(definition => `<th>${definition.label}</th>`).join('')}${result.kind === 'mutual' ? '<th>Total</th>' : ''}</tr>
+                    </thead>
+                    <tbody>
+                        ${result.items.map(item => `
+                            <tr>
+                                ${shown.map(definition => `<td class="${definition.type === 'date' ? '' : 'data-point'}">${cell(item, definition)}</td>`).join('')}
+                                ${result.kind === 'mutual' ? `<td class="data-point">${item.dist.toFixed(4)}</td>` : ''}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `}
+        `;
+    };
+
+    const loadFile = file => {
+        file.text().then(text => {
+            state.text = text;
+            state.sourceName = file.name;
+            paste.value = text;
+            const guessed = guessImportTicker(file.name, options.getTickers());
+            if (guessed) {
+                state.ticker = guessed;
+                tickerInput.value = guessed;
+            }
+            showMessage('');
+            update();
+        });
+    };
+
+    tickerInput.addEventListener('input', () => {
+        state.ticker = tickerInput.value.trim().toUpperCase();
+        update();
+    });
+    paste.addEventListener('input', () => {
+        state.text = paste.value;
+        state.sourceName = '';
+        update();
+    });
+    container.querySelector('.import-file').addEventListener('change', event => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (file) {
+            loadFile(file);
+        }
+    });
+    dropZone.addEventListener('dragover', event => {
+        event.preventDefault();
+        dropZone.classList.add('import-drop-active');
+    });
+    dropZone.addEventListener('dragleave', () => dropZone.classList.remove('import-drop-active'));
+    dropZone.addEventListener('drop', event => {
+        event.preventDefault();
+        event.stopPropagation();
+        dropZone.classList.remove('import-drop-active');
+        if (event.dataTransfer.files[0]) {
+            loadFile(event.dataTransfer.files[0]);
+        }
+    });
+
+    container.querySelector('.import-save').addEventListener('click', () => {
+        const filename = getDistributionFilename(state.ticker);
+        downloadTextFile(formatDistributionFile(state.result.kind, state.result.items), filename, 'text/plain');
+        showMessage(`Saved ${filename}. Put it next to the page (or at the distribution base URL) to use it every time.`);
+    });
+    container.querySelector('.import-load').addEventListener('click', () => {
+        options.onLoad(state.ticker, formatDistributionFile(state.result.kind, state.result.items));
+        showMessage(`Loaded ${state.result.items.length} row(s) for ${state.ticker} into this session.`);
+    });
+
+    update();
+    return { loadFile: loadFile };
+}
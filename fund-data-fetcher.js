@@ -1,12 +1,14 @@
 /**
  * Fund Data Fetcher Module
  * filename = fund-data-fetcher.js
- * Fetches historical NAV (Net Asset Value) data from Yahoo Finance via CORS proxies
+ * Fetches historical NAV (Net Asset Value) data through pluggable providers. The default
+ * provider reads Yahoo Finance via CORS proxies.
  * 
  * USAGE:
  * 
  * Basic Function Call:
- * fetchFundData(ticker, startDate, [endDate])
+ * fetchFundData(ticker, startDate, [endDate], [provider])
+ * fetchFundHistory(ticker, startDate, [endDate], [provider])   // NAVs plus dividend/split events
  *   .then(data => { /* handle data *\/ })
  *   .catch(error => { /* handle errors *\/ });
  * 
@@ -22,18 +24,34 @@
  *     - Same format as startDate
  *     - Omit for data up to current date
  * 
+ * @param {Object} [provider] - Optional provider settings (default: { type: 'yahoo' })
+ *     - { type: 'yahoo' }                      Yahoo Finance chart API via CORS proxies
+ *     - { type: 'file', url: 'data/X.csv' }    CSV or JSON from a local URL, a File registered
+ *                                              with setNavProviderFile, or { text } content
+ *     - { type: 'fixed', nav: 1.00 }           Constant NAV on every trading day (money market funds)
+ * 
  * RETURNS:
  * @returns {Promise<Array<NavDataPoint>>} - Promise resolving to array of:
  *     [
  *       {
- *         date: string, // ISO date string ('YYYY-MM-DD')
- *         nav: number   // NAV value (USD)
+ *         date: string,     // ISO date string ('YYYY-MM-DD')
+ *         nav: number,      // NAV value (USD)
+ *         adjClose: number  // Close adjusted for distributions and splits (Yahoo only)
  *       },
  *       ...
  *     ]
  * 
  *     Empty array returned if no data available for date range
  * 
+ * @returns {Promise<FundHistory>} - fetchFundHistory resolves to:
+ *     {
+ *       prices: Array<NavDataPoint>,
+ *       dividends: [{ date: string, amount: number }],   // Per-share cash distributions (ex-date)
+ *       splits: [{ date: string, numerator: number, denominator: number, ratio: number }]
+ *     }
+ * 
+ *     Providers without event data (file, fixed) return empty dividends and splits
+ * 
  * DATA STRUCTURE DETAILS:
  * - Output array is sorted in chronological order (oldest first)
  * - Missing NAV values will be `null` in the nav property
@@ -47,13 +65,25 @@
  *   - Empty API responses
  * - Always wrap calls in try/catch or .catch()
  * 
+ * PROVIDERS:
+ * - Each provider is { label, cacheable, fetchNav(ticker, start, end, settings) } and resolves
+ *   to the same NavDataPoint array; providers with event data also implement
+ *   fetchHistory(ticker, start, end, settings) resolving to a FundHistory
+ * - Add sources with registerNavProvider(type, provider)
+ * - getTickerNavProvider(config, ticker) picks a ticker's provider from config.providers,
+ *   defaulting to a fixed $1.00 NAV for money market funds and Yahoo for everything else
+ * - File data needs a header row with a date column and a nav/close/price column;
+ *   JSON may be an array of { date, nav } objects
+ * 
  * CORS PROXIES:
- * - Automatically cycles through multiple proxies:
- *   1. api.allorigins.win
- *   2. corsproxy.io
- *   3. thingproxy.freeboard.io
- *   4. cors-anywhere.herokuapp.com
- * - First working proxy is used for request
+ * - Requests go through the PROXIES list, healthiest first; health scores are saved in
+ *   localStorage so proxies that worked last time are tried first
+ * - Each request is aborted after DEFAULT_PROXY_OPTIONS.timeoutMs, proxies are raced
+ *   DEFAULT_PROXY_OPTIONS.race at a time, and the whole list is retried with backoff
+ * - fetchWithProxy resolves to { data, proxy, attempts }; each attempt is
+ *   { proxy, round, status: 'success' | 'failed' | 'timeout' | 'cancelled', httpStatus, error, durationMs }
+ *   and errors carry the same attempts array. Yahoo results include proxy and attempts
+ * - When network-recorder.js is loaded, responses are recorded or replayed by target URL
  * 
  * EXAMPLE USAGE:
  * 
@@ -71,6 +101,10 @@
  *     console.log('First entry:', data[0]);
  *   });
  * 
+ * // Read NAVs from a local CSV file instead of Yahoo
+ * fetchFundData('AGTHX', '2024-01-01', null, { type: 'file', url: 'data/AGTHX_nav.csv' })
+ *   .then(data => console.log(data));
+ * 
  * // Using async/await
  * async function getFundData() {
  *   try {
@@ -90,6 +124,7 @@
  * - Data delayed by at least 15 minutes (Yahoo Finance limitation)
  * - NAV values reflect end-of-day pricing
  * - Not all tickers supported (depends on Yahoo Finance availability)
+ * - Local file data is used exactly as given; values are not adjusted
  */
 
 const PROXIES = [
@@ -103,21 +138,129 @@ const PROXIES = [
     "https://cors.eu.org/"
 ];
 
-async function fetchFundData(ticker, startDate, endDate = null) {
+const DEFAULT_PROXY_OPTIONS = {
+    timeoutMs: 10000, // Abort a proxy request after this long
+    race: 2,          // Number of proxies requested at the same time
+    retries: 1,       // Extra passes over the proxy list after all of them fail
+    backoffMs: 1000   // Wait before the first retry, doubled for each later one
+};
+
+const PROXY_HEALTH_STORAGE_KEY = 'fundFetcher.proxyHealth';
+
+// Health scores when localStorage is not available
+const proxyHealthMemory = {};
+
+const NAV_PROVIDERS = {};
+
+// Files chosen on the page for the 'file' provider, by ticker (kept for the session only)
+const navProviderFiles = {};
+
+async function fetchFundData(ticker, startDate, endDate = null, provider = null) {
     // Convert date parameters to Date objects if they're strings
     const start = startDate instanceof Date ? startDate : new Date(startDate);
     const end = endDate ? (endDate instanceof Date ? endDate : new Date(endDate)) : new Date();
     
+    const settings = provider || { type: 'yahoo' };
+    const navProvider = getNavProvider(settings.type);
+    console.log(`Using ${navProvider.label} provider for ${ticker}`);
+    return navProvider.fetchNav(ticker, start, end, settings);
+}
+
+async function fetchFundHistory(ticker, startDate, endDate = null, provider = null) {
+    const start = startDate instanceof Date ? startDate : new Date(startDate);
+    const end = endDate ? (endDate instanceof Date ? endDate : new Date(endDate)) : new Date();
+    
+    const settings = provider || { type: 'yahoo' };
+    const navProvider = getNavProvider(settings.type);
+    console.log(`Using ${navProvider.label} provider for ${ticker} history`);
+    if (navProvider.fetchHistory) {
+        return navProvider.fetchHistory(ticker, start, end, settings);
+    }
+    
+    const prices = await navProvider.fetchNav(ticker, start, end, settings);
+    return { prices: prices, dividends: [], splits: [] };
+}
+
+/**
+ * Register a NAV provider
+ * @param {string} type - Provider type used in provider settings
+ * @param {Object} provider - { label, cacheable, fetchNav(ticker, start, end, settings) }
+ */
+function registerNavProvider(type, provider) {
+    NAV_PROVIDERS[type] = provider;
+}
+
+/**
+ * Look up a registered NAV provider
+ * @param {string} type - Provider type
+ * @returns {Object} - The provider
+ */
+function getNavProvider(type) {
+    const provider = NAV_PROVIDERS[type];
+    if (!provider) {
+        throw new Error(`Unknown NAV provider: ${type}`);
+    }
+    return provider;
+}
+
+/**
+ * Get the provider settings for a ticker from a configuration
+ * @param {Object} config - Configuration with an optional providers map ({ TICKER: settings })
+ * @param {string} ticker - Fund ticker
+ * @returns {Object} - Provider settings
+ */
+function getTickerNavProvider(config, ticker) {
+    const configured = config && config.providers ? config.providers[ticker] : null;
+    if (configured) {
+        return configured;
+    }
+    // Money market funds keep a stable $1.00 NAV
+    return ticker.endsWith('XX') ? { type: 'fixed', nav: 1.00 } : { type: 'yahoo' };
+}
+
+/**
+ * Remember a file chosen on the page for a ticker's 'file' provider
+ * @param {string} ticker - Fund ticker
+ * @param {File|null} file - Selected file, or null to forget it
+ */
+function setNavProviderFile(ticker, file) {
+    if (file) {
+        navProviderFiles[ticker] = file;
+    } else {
+        delete navProviderFiles[ticker];
+    }
+}
+
+/**
+ * Fetch NAVs from the Yahoo Finance chart API
+ * @param {string} ticker - Fund ticker
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @returns {Promise<Array>} - NAV data points
+ */
+async function fetchYahooNav(ticker, start, end) {
+    const history = await fetchYahooHistory(ticker, start, end);
+    return history.prices;
+}
+
+/**
+ * Fetch NAVs, adjusted closes and dividend/split events from the Yahoo Finance chart API
+ * @param {string} ticker - Fund ticker
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @returns {Promise<Object>} - { prices, dividends, splits }
+ */
+async function fetchYahooHistory(ticker, start, end) {
     // Convert to Unix timestamps (seconds)
     const period1 = Math.floor(start.getTime() / 1000);
     const period2 = Math.floor(end.getTime() / 1000);
     
-    // Yahoo Finance API URL
-    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${ticker}?period1=${period1}&period2=${period2}&interval=1d`;
+    // Yahoo Finance API URL (events adds dividends and splits to the same response)
+    const url = `https://query1.finance.yahoo.com/v8/finance/chart/${ticker}?period1=${period1}&period2=${period2}&interval=1d&events=div,splits`;
     
     try {
         console.log(`Starting fetch for ${ticker} from ${start.toISOString()} to ${end.toISOString()}`);
-        const data = await fetchWithProxy(url);
+        const { data, proxy, attempts } = await fetchWithProxy(url);
         
         // Log raw response structure
         console.log(`RAW YAHOO RESPONSE FOR ${ticker}:`, JSON.parse(JSON.stringify(data)));
@@ -131,77 +274,395 @@ async function fetchFundData(ticker, startDate, endDate = null) {
         console.log(`CHART RESULT STRUCTURE FOR ${ticker}:`, {
             meta: result.meta,
             timestamp: result.timestamp?.length,
-            indicators: Object.keys(result.indicators?.quote?.[0] || {})
+            indicators: Object.keys(result.indicators?.quote?.[0] || {}),
+            events: Object.keys(result.events || {})
         });
         
         const timestamps = result.timestamp || [];
         const prices = result.indicators?.quote?.[0]?.close || [];
+        const adjustedPrices = result.indicators?.adjclose?.[0]?.adjclose || [];
         
         // Create processed data array
         const processedData = timestamps.map((timestamp, index) => {
             const date = new Date(timestamp * 1000);
             return {
                 date: formatDate(date),
-                nav: prices[index]
+                nav: prices[index],
+                adjClose: adjustedPrices[index] ?? null
             };
         });
+        
+        // Events are keyed by timestamp; sort them oldest first
+        const dividends = Object.values(result.events?.dividends || {})
+            .map(event => ({ date: formatDate(new Date(event.date * 1000)), amount: event.amount }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+        const splits = Object.values(result.events?.splits || {})
+            .map(event => ({
+                date: formatDate(new Date(event.date * 1000)),
+                numerator: event.numerator,
+                denominator: event.denominator,
+                ratio: event.numerator / event.denominator
+            }))
+            .sort((a, b) => a.date.localeCompare(b.date));
 
         // Log final processed data structure
         console.log(`PROCESSED DATA FOR ${ticker}:`, {
             dataPoints: processedData.length,
             firstEntry: processedData[0],
-            lastEntry: processedData[processedData.length - 1]
+            lastEntry: processedData[processedData.length - 1],
+            dividends: dividends.length,
+            splits: splits.length
         });
         
-        return processedData;
+        return { prices: processedData, dividends: dividends, splits: splits, proxy: proxy, attempts: attempts };
     } catch (error) {
         console.error(`ERROR STRUCTURE FOR ${ticker}:`, {
             name: error.name,
             message: error.message,
             stack: error.stack?.split('\n')[0]
         });
-        throw new Error(`Failed to fetch data for ${ticker}: ${error.message}`);
+        const fetchError = new Error(`Failed to fetch data for ${ticker}: ${error.message}`);
+        fetchError.attempts = error.attempts || [];
+        throw fetchError;
     }
 }
 
-async function fetchWithProxy(url) {
-    for (let proxyIndex = 0; proxyIndex < PROXIES.length; proxyIndex++) {
-        const proxyUrl = PROXIES[proxyIndex] + encodeURIComponent(url);
-        console.log(`Attempting proxy #${proxyIndex + 1}: ${PROXIES[proxyIndex]}`);
-        
-        try {
-            const response = await fetch(proxyUrl, { cache: 'no-cache' });
-            console.log(`Proxy #${proxyIndex + 1} response status: ${response.status}`);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error: ${response.status}`);
+/**
+ * Read NAVs from a CSV or JSON file, local URL or text
+ * @param {string} ticker - Fund ticker
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @param {Object} settings - { url, file, text, format }
+ * @returns {Promise<Array>} - NAV data points
+ */
+async function fetchFileNav(ticker, start, end, settings) {
+    const file = settings.file || navProviderFiles[ticker];
+    let text = settings.text;
+    let name = settings.url || '';
+
+    if (text === undefined && file) {
+        name = file.name;
+        text = await file.text();
+    } else if (text === undefined && settings.url) {
+        const request = typeof networkFetch === 'function' ? networkFetch : fetch;
+        const response = await request(settings.url, { cache: 'no-cache' });
+        if (!response.ok) {
+            throw new Error(`Failed to load ${settings.url}: HTTP ${response.status}`);
+        }
+        text = await response.text();
+    }
+
+    if (text === undefined) {
+        throw new Error(`No NAV file or URL given for ${ticker}`);
+    }
+
+    const format = settings.format || (/\.json$/i.test(name) || /^\s*[[{]/.test(text) ? 'json' : 'csv');
+    console.log(`Reading ${format.toUpperCase()} NAV data for ${ticker} from ${name || 'text'}`);
+    const points = format === 'json' ? parseNavJson(text) : parseNavCsv(text);
+
+    const startDate = formatDate(start);
+    const endDate = formatDate(end);
+    const processedData = points
+        .filter(point => point.date >= startDate && point.date <= endDate)
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    console.log(`PROCESSED FILE DATA FOR ${ticker}:`, {
+        dataPoints: processedData.length,
+        firstEntry: processedData[0],
+        lastEntry: processedData[processedData.length - 1]
+    });
+    return processedData;
+}
+
+/**
+ * Parse NAV data points from CSV text with a header row
+ * @param {string} text - CSV content
+ * @returns {Array} - NAV data points
+ */
+function parseNavCsv(text) {
+    const lines = text.split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) {
+        return [];
+    }
+
+    const delimiter = lines[0].includes('\t') ? '\t' : ',';
+    const headers = lines[0].split(delimiter).map(header => header.trim().replace(/^"|"$/g, '').toLowerCase());
+    const dateIndex = headers.findIndex(header => header === 'date');
+    const navIndex = ['nav', 'close', 'price', 'adj close'].map(name => headers.indexOf(name)).find(index => index >= 0);
+    if (dateIndex < 0 || navIndex === undefined) {
+        throw new Error('NAV file needs a "date" column and a "nav", "close" or "price" column');
+    }
+
+    return lines.slice(1).map(line => {
+        const cells = line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, ''));
+        return toNavPoint(cells[dateIndex], cells[navIndex]);
+    }).filter(Boolean);
+}
+
+/**
+ * Parse NAV data points from JSON text
+ * @param {string} text - JSON array of { date, nav } (or { date, close }) objects
+ * @returns {Array} - NAV data points
+ */
+function parseNavJson(text) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) {
+        throw new Error('NAV JSON must be an array of { date, nav } objects');
+    }
+    return data.map(item => toNavPoint(item.date, item.nav !== undefined ? item.nav : item.close)).filter(Boolean);
+}
+
+/**
+ * Build a NAV data point from raw file values
+ * @param {string} dateValue - Date in any format Date can parse
+ * @param {string|number} navValue - NAV value
+ * @returns {Object|null} - { date, nav }, or null when the date is invalid
+ */
+function toNavPoint(dateValue, navValue) {
+    const date = /^\d{4}-\d{2}-\d{2}$/.test(dateValue || '') ? dateValue : new Date(dateValue);
+    if (date instanceof Date && isNaN(date)) {
+        return null;
+    }
+    const nav = navValue === '' || navValue === null || navValue === undefined ? null : Number(navValue);
+    // Parsed dates are local midnight, so build the ISO date from local parts
+    const pad = value => String(value).padStart(2, '0');
+    return {
+        date: date instanceof Date ? `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` : date,
+        nav: isNaN(nav) ? null : nav
+    };
+}
+
+/**
+ * Generate a constant NAV for every trading day in the range (every weekday when
+ * market-calendar.js is not loaded)
+ * @param {string} ticker - Fund ticker
+ * @param {Date} start - Start date
+ * @param {Date} end - End date
+ * @param {Object} settings - { nav }
+ * @returns {Promise<Array>} - NAV data points
+ */
+async function fetchFixedNav(ticker, start, end, settings) {
+    const nav = settings.nav === undefined ? 1.00 : Number(settings.nav);
+    const data = [];
+
+    if (typeof getTradingDays === 'function') {
+        getTradingDays(start, end).forEach(date => data.push({ date: date, nav: nav }));
+    } else {
+        for (let d = new Date(start); d <= end; d.setDate(d.getDate() + 1)) {
+            // Skip weekends
+            if (d.getDay() !== 0 && d.getDay() !== 6) {
+                data.push({
+                    date: formatDate(d),
+                    nav: nav
+                });
             }
-            
-            const text = await response.text();
-            console.log(`Proxy #${proxyIndex + 1} response length: ${text.length} chars`);
-            
-            if (proxyUrl.includes('allorigins.win')) {
-                const jsonResponse = JSON.parse(text);
-                if (jsonResponse.contents) {
-                    return JSON.parse(jsonResponse.contents);
+        }
+    }
+
+    console.log(`Generated ${data.length} fixed NAV points at $${nav.toFixed(2)} for ${ticker}`);
+    return data;
+}
+
+/**
+ * Fetch JSON through the CORS proxies, healthiest first
+ * @param {string} url - URL to fetch
+ * @param {Object} [options] - Overrides for DEFAULT_PROXY_OPTIONS
+ * @returns {Promise<Object>} - { data, proxy, attempts }; on failure the thrown error has attempts
+ */
+async function fetchWithProxy(url, options = {}) {
+    const settings = { ...DEFAULT_PROXY_OPTIONS, ...options };
+    const proxies = getProxiesByHealth();
+    const attempts = [];
+    
+    // Replayed responses come from the recording bundle (see network-recorder.js)
+    if (typeof getNetworkMode === 'function' && getNetworkMode() === 'replay') {
+        return { data: JSON.parse(getReplayedResponse(url).body), proxy: null, attempts: attempts };
+    }
+    
+    for (let round = 1; round <= settings.retries + 1; round++) {
+        if (round > 1) {
+            const delay = settings.backoffMs * Math.pow(2, round - 2);
+            console.log(`All proxies failed, retrying in ${delay}ms (round ${round})`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+        
+        // Race the proxies in groups of settings.race
+        for (let index = 0; index < proxies.length; index += settings.race) {
+            const group = proxies.slice(index, index + settings.race);
+            try {
+                const winner = await raceProxies(url, group, settings.timeoutMs, round, attempts);
+                if (typeof recordNetworkResponse === 'function') {
+                    // Recorded under the target URL so replay does not depend on the proxy
+                    recordNetworkResponse(url, JSON.stringify(winner.data));
                 }
+                return { data: winner.data, proxy: winner.proxy, attempts: attempts };
+            } catch (error) {
+                continue;
             }
-            
-            return JSON.parse(text);
+        }
+    }
+    
+    const error = new Error(`All proxies failed to fetch data (${attempts.length} attempts)`);
+    error.attempts = attempts;
+    throw error;
+}
+
+/**
+ * Request a URL through several proxies at once and keep the first success
+ * @param {string} url - URL to fetch
+ * @param {Array} proxies - Proxy prefixes to race
+ * @param {number} timeoutMs - Per-request timeout
+ * @param {number} round - Retry round, recorded on each attempt
+ * @param {Array} attempts - Attempt log (appended to)
+ * @returns {Promise<Object>} - { data, proxy } from the first proxy that succeeds
+ */
+async function raceProxies(url, proxies, timeoutMs, round, attempts) {
+    const controllers = proxies.map(() => new AbortController());
+    let finished = false;
+    
+    const requests = proxies.map(async (proxy, index) => {
+        const controller = controllers[index];
+        const timer = setTimeout(() => controller.abort('timeout'), timeoutMs);
+        const startedAt = Date.now();
+        const attempt = { proxy: proxy, round: round, status: 'pending', httpStatus: null, error: null, durationMs: null };
+        attempts.push(attempt);
+        console.log(`Attempting proxy ${proxy} (round ${round})`);
+        
+        try {
+            const result = await requestViaProxy(proxy, url, controller.signal, attempt);
+            attempt.status = 'success';
+            return { data: result, proxy: proxy };
         } catch (error) {
-            console.warn(`Proxy #${proxyIndex + 1} failed: ${error.message}`);
-            continue;
+            // Requests aborted because another proxy won do not count against this one
+            attempt.status = controller.signal.aborted
+                ? (controller.signal.reason === 'timeout' ? 'timeout' : 'cancelled')
+                : 'failed';
+            attempt.error = attempt.status === 'timeout' ? `Timed out after ${timeoutMs}ms` : error.message;
+            console.warn(`Proxy ${proxy} ${attempt.status}: ${attempt.error}`);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            attempt.durationMs = Date.now() - startedAt;
+            if (attempt.status !== 'cancelled') {
+                recordProxyResult(proxy, attempt.status === 'success', attempt.durationMs);
+            }
+            if (!finished && attempt.status === 'success') {
+                finished = true;
+                controllers.forEach(other => other !== controller && other.abort('cancelled'));
+            }
         }
+    });
+    
+    return Promise.any(requests);
+}
+
+/**
+ * Make one request through a proxy and parse the JSON response
+ * @param {string} proxy - Proxy prefix
+ * @param {string} url - URL to fetch
+ * @param {AbortSignal} signal - Abort signal for the timeout and racing
+ * @param {Object} attempt - Attempt record (httpStatus is filled in)
+ * @returns {Promise<Object>} - Parsed response
+ */
+async function requestViaProxy(proxy, url, signal, attempt) {
+    const proxyUrl = proxy + encodeURIComponent(url);
+    const response = await fetch(proxyUrl, { cache: 'no-cache', signal: signal });
+    attempt.httpStatus = response.status;
+    console.log(`Proxy ${proxy} response status: ${response.status}`);
+    
+    if (!response.ok) {
+        throw new Error(`HTTP error: ${response.status}`);
+    }
+    
+    const text = await response.text();
+    console.log(`Proxy ${proxy} response length: ${text.length} chars`);
+    
+    if (proxyUrl.includes('allorigins.win')) {
+        const jsonResponse = JSON.parse(text);
+        if (jsonResponse.contents) {
+            return JSON.parse(jsonResponse.contents);
+        }
+    }
+    
+    return JSON.parse(text);
+}
+
+/**
+ * Load the saved proxy health scores
+ * @returns {Object} - { [proxy]: { score, successes, failures, lastLatencyMs, lastUsed } }
+ */
+function loadProxyHealth() {
+    if (typeof localStorage === 'undefined') {
+        return proxyHealthMemory;
+    }
+    try {
+        return JSON.parse(localStorage.getItem(PROXY_HEALTH_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {};
     }
+}
+
+/**
+ * Update a proxy's health score after an attempt
+ * @param {string} proxy - Proxy prefix
+ * @param {boolean} success - Whether the attempt succeeded
+ * @param {number} durationMs - How long the attempt took
+ */
+function recordProxyResult(proxy, success, durationMs) {
+    const health = loadProxyHealth();
+    const entry = health[proxy] || { score: 0.5, successes: 0, failures: 0, lastLatencyMs: null, lastUsed: null };
     
-    throw new Error('All proxies failed to fetch data');
+    // Moving average of recent outcomes, so a proxy recovers after a few successes
+    entry.score = entry.score * 0.7 + (success ? 0.3 : 0);
+    entry.successes += success ? 1 : 0;
+    entry.failures += success ? 0 : 1;
+    entry.lastLatencyMs = durationMs;
+    entry.lastUsed = new Date().toISOString();
+    health[proxy] = entry;
+    
+    if (typeof localStorage !== 'undefined') {
+        localStorage.setItem(PROXY_HEALTH_STORAGE_KEY, JSON.stringify(health));
+    }
+}
+
+/**
+ * Order the proxies by health score, keeping the PROXIES order for ties and untried proxies
+ * @returns {Array} - Proxy prefixes, healthiest first
+ */
+function getProxiesByHealth() {
+    const health = loadProxyHealth();
+    const score = proxy => (health[proxy] ? health[proxy].score : 0.5);
+    return [...PROXIES].sort((a, b) => score(b) - score(a));
+}
+
+/**
+ * Forget the saved proxy health scores
+ */
+function resetProxyHealth() {
+    Object.keys(proxyHealthMemory).forEach(proxy => delete proxyHealthMemory[proxy]);
+    if (typeof localStorage !== 'undefined') {
+        localStorage.removeItem(PROXY_HEALTH_STORAGE_KEY);
+    }
 }
 
 function formatDate(date) {
     return date.toISOString().split('T')[0];
 }
 
+registerNavProvider('yahoo', { label: 'Yahoo Finance', cacheable: true, fetchNav: fetchYahooNav, fetchHistory: fetchYahooHistory });
+registerNavProvider('file', { label: 'Local File', cacheable: false, fetchNav: fetchFileNav });
+registerNavProvider('fixed', { label: 'Fixed NAV', cacheable: false, fetchNav: fetchFixedNav });
+
 // Export the main function
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { fetchFundData };
+    module.exports = {
+        fetchFundData,
+        fetchFundHistory,
+        fetchWithProxy,
+        registerNavProvider,
+        getNavProvider,
+        getTickerNavProvider,
+        setNavProviderFile,
+        resetProxyHealth
+    };
 }
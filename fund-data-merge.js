@@ -0,0 +1,126 @@
+/**
+ * Fund Data Merge Module
+ * filename = fund-data-merge.js
+ * Combines NAV history with distribution data into the per-day rows used by the page tables,
+ * downloads, the portfolio comparison and fund-fetcher-cli.js.
+ *
+ * MERGED ROW STRUCTURE:
+ * {
+ *     date: 'YYYY-MM-DD',
+ *     nav: number|null,
+ *     distRatio: number,          // Distribution per share / reinvestment NAV (0 when none)
+ *     distribution: number,       // Total distribution per share
+ *     incomeDividendRegular: number, incomeDividendSpecial: number,
+ *     capGainsLongTerm: number, capGainsShortTerm: number,
+ *     recordDate, calculatedDate, payDate: 'YYYY-MM-DD'|null
+ * }
+ *
+ * EXAMPLE USAGE:
+ * const merged = mergeNavAndDistributions(navData, distributionItems, { type: 'yahoo' });
+ * const result = await loadMergedFundData('AGTHX', '2024-12-31');
+ * console.log(result.merged.length, result.distributionSource);
+ */
+
+// Columns written to CSV/TSV exports of the merged fund data
+const MERGED_DATA_COLUMNS = [
+    'date', 'nav', 'distRatio', 'distribution', ...DISTRIBUTION_COMPONENTS,
+    'recordDate', 'calculatedDate', 'payDate'
+];
+
+/**
+ * Merge NAV data with distribution data by date
+ * @param {Array} navData - NAV data points ({ date, nav })
+ * @param {Array} distributionData - Distribution items from getDistributionData
+ * @param {Object} [provider] - NAV provider settings; fixed-NAV funds keep their NAV on
+ *     distribution dates that are not trading days
+ * @returns {Array} - Merged rows, newest first (rows without a NAV are included)
+ */
+function mergeNavAndDistributions(navData, distributionData, provider = null) {
+    const fixedNav = provider && provider.type === 'fixed' ? Number(provider.nav) : null;
+
+    // Create a map of NAV data by date for quick lookup
+    const navByDate = {};
+    navData.forEach(item => {
+        navByDate[item.date] = item.nav;
+    });
+
+    // Create a map of distribution data by date
+    const distByDate = {};
+    distributionData.forEach(item => {
+        // Calculate distribution reinvestment ratio
+        const ratio = item.dist / item.nav;
+        distByDate[item.date] = {
+            ...item,
+            ratio: ratio
+        };
+    });
+
+    // Get all unique dates from both datasets
+    const allDates = [...new Set([...Object.keys(navByDate), ...Object.keys(distByDate)])];
+    allDates.sort().reverse(); // Sort chronologically in descending order (newest first)
+
+    // Merge the data for each date
+    return allDates.map(date => {
+        const navValue = navByDate[date] || null;
+        const dist = distByDate[date] || null;
+
+        // Set reinvestment ratio to 0 when no distribution data is available
+        const ratio = dist ? dist.ratio : 0;
+
+        const merged = {
+            date: date,
+            nav: fixedNav !== null ? fixedNav : navValue,
+            distRatio: ratio,
+            distribution: dist ? dist.dist : 0,
+            recordDate: dist ? dist.recordDate : null,
+            calculatedDate: dist ? dist.calculatedDate : null,
+            payDate: dist ? dist.payDate : null
+        };
+        // Per-share amount of each distribution component
+        DISTRIBUTION_COMPONENTS.forEach(component => {
+            merged[component] = dist ? dist[component] || 0 : 0;
+        });
+        return merged;
+    });
+}
+
+/**
+ * Drop merged rows that have no NAV
+ * @param {Array} mergedData - Rows from mergeNavAndDistributions
+ * @returns {Array} - Rows with a NAV
+ */
+function removeIncompleteRows(mergedData) {
+    return mergedData.filter(item => item.nav !== null && item.nav !== undefined);
+}
+
+/**
+ * Fetch NAVs and distributions for a fund and merge them
+ * @param {String} ticker - Fund ticker
+ * @param {String} startDate - Start date ('YYYY-MM-DD')
+ * @param {String} [endDate] - End date (default: today)
+ * @param {Object} [provider] - NAV provider settings (default: getTickerNavProvider)
+ * @returns {Promise<Object>} - { nav, distributions, distributionSource, distributionLocation, fetchedAt, merged }
+ */
+async function loadMergedFundData(ticker, startDate, endDate = null, provider = null) {
+    const navProvider = provider || getTickerNavProvider(null, ticker);
+    const [nav, distributionResult] = await Promise.all([
+        fetchFundData(ticker, startDate, endDate, navProvider),
+        getDistributionData(ticker, startDate, endDate || new Date(), navProvider)
+    ]);
+
+    // Funds without distributions are still usable, as on the page
+    if (distributionResult.error) {
+        console.warn(`No distributions for ${ticker}: ${distributionResult.error}`);
+    }
+    const distributions = distributionResult.items || [];
+
+    return {
+        nav: nav,
+        distributions: distributions,
+        distributionSource: distributionResult.error ? null : distributionResult.source,
+        distributionLocation: distributionResult.error ? null
+            : (distributionResult.source === 'yahoo' ? 'price feed dividends' : distributionResult.location),
+        fetchedAt: new Date().toISOString(),
+        merged: removeIncompleteRows(mergeNavAndDistributions(nav, distributions, navProvider))
+    };
+}
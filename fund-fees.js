@@ -0,0 +1,314 @@
+/**
+ * Fund Fees Module
+ * filename = fund-fees.js
+ * Models mutual fund sales charges so buying load funds is not free in the comparison:
+ * front-end loads that step down at breakpoint amounts, rights of accumulation (holdings already
+ * in the same fund family count toward the breakpoint) and contingent deferred sales charges
+ * (CDSC) on early sales. Also estimates how long a portfolio that paid a load has to outperform
+ * one that did not to make the load back.
+ *
+ * FEE SETTINGS (stored as portfolioConfig.fees):
+ * {
+ *     enabled: boolean,
+ *     chargeInitialHoldings: true,    // Starting holdings are bought on the start date and pay the load
+ *     rightsOfAccumulation: true,     // Count the family's current holdings toward breakpoints
+ *     otherFamilyHoldings: 0,         // Dollars held in the same families outside these portfolios
+ *     schedules: {                    // Per-ticker overrides of DEFAULT_FUND_FEE_SCHEDULES
+ *         AGTHX: {
+ *             family: 'American Funds',
+ *             frontLoad: [{ amount: 0, rate: 5.75 }, { amount: 25000, rate: 5 }, ...],  // Rate (%) from each amount up
+ *             cdsc: [{ months: 18, rate: 1 }],   // Rate (%) on sales within each holding period
+ *             cdscWaivedLoadOnly: true           // CDSC only on purchases that paid no front load
+ *         }
+ *     }
+ * }
+ * Tickers without a schedule (money market funds, index funds) trade at NAV. Distributions are
+ * always reinvested at NAV. Purchases pay the offering price: a dollar amount buys
+ * amount * (1 - rate) / NAV units, and the load is part of the lot's cost basis. Starting
+ * holdings bought on the same day count together toward the breakpoint (concurrent purchases).
+ * A CDSC is charged on the sale proceeds of lots still inside the holding period and lowers
+ * their realized gain.
+ *
+ * BREAK-EVEN STRUCTURE (see calculateBreakEven):
+ * {
+ *     portfolio, reference,          // Portfolio that paid sales charges and one that did not
+ *     salesCharges: number,          // Dollars paid over the period
+ *     startingLoad: number,          // Share of the starting value lost to loads (%)
+ *     annualizedReturn: number,      // Portfolio's annualized return including its starting load (%),
+ *                                    // measured from TWR_START_INDEX as on the portfolio cards
+ *     referenceReturn: number,       // Reference's annualized return (%)
+ *     yearsToBreakEven: number|null, // Years of outperformance at the historical pace to recover the
+ *                                    // starting load (null when the portfolio did not outperform, or
+ *                                    // when it paid no starting load and there is nothing to recover)
+ *     breakEvenDate: string|null,    // Start date plus yearsToBreakEven
+ *     recoveredDate: string|null,    // First date the portfolio was actually ahead, if it has been
+ *                                    // (null without a starting load)
+ *     currentGap: number             // Portfolio vs reference growth on the last date (%)
+ * }
+ *
+ * EXAMPLE USAGE:
+ * const settings = normalizeFeeSettings({ enabled: true });
+ * const schedule = getFeeSchedule(settings, 'AGTHX');
+ * const rate = getFrontLoadRate(schedule, 60000);   // 4.5
+ */
+
+// American Funds equity fund Class A shares (see the fund prospectus for the current schedule)
+const AMERICAN_FUNDS_EQUITY_A_SCHEDULE = {
+    family: 'American Funds',
+    frontLoad: [
+        { amount: 0, rate: 5.75 },
+        { amount: 25000, rate: 5.00 },
+        { amount: 50000, rate: 4.50 },
+        { amount: 100000, rate: 3.50 },
+        { amount: 250000, rate: 2.50 },
+        { amount: 500000, rate: 2.00 },
+        { amount: 750000, rate: 1.50 },
+        { amount: 1000000, rate: 0 }
+    ],
+    cdsc: [{ months: 18, rate: 1 }],
+    cdscWaivedLoadOnly: true
+};
+
+const DEFAULT_FUND_FEE_SCHEDULES = {
+    AGTHX: AMERICAN_FUNDS_EQUITY_A_SCHEDULE,
+    ANCFX: AMERICAN_FUNDS_EQUITY_A_SCHEDULE
+};
+
+const DEFAULT_FEE_SETTINGS = {
+    enabled: false,
+    chargeInitialHoldings: true,
+    rightsOfAccumulation: true,
+    otherFamilyHoldings: 0,
+    schedules: {}
+};
+
+// Columns written when the break-even report is exported
+const BREAK_EVEN_COLUMNS = ['portfolio', 'reference', 'salesCharges', 'startingLoad', 'annualizedReturn', 'referenceReturn',
+    'yearsToBreakEven', 'breakEvenDate', 'recoveredDate', 'currentGap'];
+
+/**
+ * Fill in missing fee settings from the defaults and validate the schedules
+ * @param {Object} [settings] - Partial fee settings
+ * @returns {Object} - Complete fee settings
+ */
+function normalizeFeeSettings(settings = {}) {
+    const given = settings || {};
+    const otherFamilyHoldings = given.otherFamilyHoldings === undefined || given.otherFamilyHoldings === ''
+        ? DEFAULT_FEE_SETTINGS.otherFamilyHoldings
+        : Number(given.otherFamilyHoldings);
+    if (!(otherFamilyHoldings >= 0)) {
+        throw new Error('Other fund family holdings must be zero or more dollars');
+    }
+
+    const schedules = {};
+    Object.keys(given.schedules || {}).forEach(rawTicker => {
+        const ticker = String(rawTicker).trim().toUpperCase();
+        schedules[ticker] = normalizeFeeSchedule(given.schedules[rawTicker], ticker);
+    });
+
+    return {
+        enabled: Boolean(given.enabled),
+        chargeInitialHoldings: given.chargeInitialHoldings === undefined ? DEFAULT_FEE_SETTINGS.chargeInitialHoldings : Boolean(given.chargeInitialHoldings),
+        rightsOfAccumulation: given.rightsOfAccumulation === undefined ? DEFAULT_FEE_SETTINGS.rightsOfAccumulation : Boolean(given.rightsOfAccumulation),
+        otherFamilyHoldings: otherFamilyHoldings,
+        schedules: schedules
+    };
+}
+
+/**
+ * Validate a fee schedule and sort its tiers
+ * @param {Object} schedule - Raw schedule
+ * @param {String} ticker - Ticker for error messages
+ * @returns {Object} - Normalized schedule
+ */
+function normalizeFeeSchedule(schedule, ticker) {
+    const checkRate = (rate, label) => {
+        const value = Number(rate);
+        if (!(value >= 0 && value < 100)) {
+            throw new Error(`${ticker}: ${label} rate must be between 0 and 100`);
+        }
+        return value;
+    };
+
+    const frontLoad = (schedule.frontLoad || []).map(tier => {
+        const amount = Number(tier.amount);
+        if (!(amount >= 0)) {
+            throw new Error(`${ticker}: breakpoint amounts must be zero or more dollars`);
+        }
+        return { amount: amount, rate: checkRate(tier.rate, 'front load') };
+    }).sort((a, b) => a.amount - b.amount);
+
+    const cdsc = (schedule.cdsc || []).map(tier => {
+        const months = Number(tier.months);
+        if (!(months > 0)) {
+            throw new Error(`${ticker}: CDSC holding periods must be a positive number of months`);
+        }
+        return { months: months, rate: checkRate(tier.rate, 'CDSC') };
+    }).sort((a, b) => a.months - b.months);
+
+    return {
+        family: String(schedule.family || ticker).trim(),
+        frontLoad: frontLoad,
+        cdsc: cdsc,
+        cdscWaivedLoadOnly: schedule.cdscWaivedLoadOnly === undefined ? true : Boolean(schedule.cdscWaivedLoadOnly)
+    };
+}
+
+/**
+ * Get the fee schedule that applies to a ticker
+ * @param {Object} settings - Fee settings
+ * @param {String} ticker - Fund ticker
+ * @returns {Object|null} - Schedule, or null when the fund trades at NAV
+ */
+function getFeeSchedule(settings, ticker) {
+    return (settings.schedules || {})[ticker] || DEFAULT_FUND_FEE_SCHEDULES[ticker] || null;
+}
+
+/**
+ * Look up the front-end load for a purchase
+ * @param {Object|null} schedule - Fee schedule
+ * @param {Number} breakpointAmount - Purchase amount plus any holdings counted toward the breakpoint
+ * @returns {Number} - Load rate (%)
+ */
+function getFrontLoadRate(schedule, breakpointAmount) {
+    if (!schedule || schedule.frontLoad.length === 0) {
+        return 0;
+    }
+    let rate = schedule.frontLoad[0].rate;
+    schedule.frontLoad.forEach(tier => {
+        if (breakpointAmount >= tier.amount) {
+            rate = tier.rate;
+        }
+    });
+    return rate;
+}
+
+/**
+ * Add up dollar amounts held in or bought for the funds of one family
+ * @param {Object} settings - Fee settings
+ * @param {String} family - Fund family
+ * @param {Object} amounts - Dollars keyed by ticker
+ * @returns {Number} - Total for the tickers whose schedule belongs to the family
+ */
+function getFamilyAmount(settings, family, amounts) {
+    return Object.keys(amounts).reduce((sum, ticker) => {
+        const schedule = getFeeSchedule(settings, ticker);
+        return schedule && schedule.family === family ? sum + amounts[ticker] : sum;
+    }, 0);
+}
+
+/**
+ * Check whether a purchase leaves its units subject to a CDSC
+ * @param {Object|null} schedule - Fee schedule
+ * @param {Number} frontLoadRate - Load paid on the purchase (%)
+ * @returns {Boolean} - True when later sales inside the holding period pay a CDSC
+ */
+function isCdscPurchase(schedule, frontLoadRate) {
+    return Boolean(schedule) && schedule.cdsc.length > 0 && (!schedule.cdscWaivedLoadOnly || frontLoadRate === 0);
+}
+
+/**
+ * Charge the CDSC on the lots closed by a sale
+ * Each closed lot portion still inside a holding period pays the period's rate on its proceeds;
+ * the charge is taken off the portion's proceeds and realized gain.
+ * @param {Object|null} schedule - Fee schedule
+ * @param {Array} realized - Closed lot portions from sellFromLots (updated in place)
+ * @param {Object} cdscLots - Lot ids subject to a CDSC (true)
+ * @returns {Number} - Total CDSC in dollars
+ */
+function chargeCdsc(schedule, realized, cdscLots) {
+    if (!schedule || schedule.cdsc.length === 0) {
+        return 0;
+    }
+    return realized.reduce((sum, entry) => {
+        if (!cdscLots[entry.lotId]) {
+            return sum;
+        }
+        const monthsHeld = getMonthsHeld(entry.acquiredDate, entry.date);
+        const tier = schedule.cdsc.find(candidate => monthsHeld < candidate.months);
+        if (!tier) {
+            return sum;
+        }
+        const charge = entry.proceeds * tier.rate / 100;
+        entry.proceeds -= charge;
+        entry.gain -= charge;
+        return sum + charge;
+    }, 0);
+}
+
+/**
+ * Count the whole months between two dates
+ * @param {String} fromDate - 'YYYY-MM-DD'
+ * @param {String} toDate - 'YYYY-MM-DD'
+ * @returns {Number} - Whole months (a month is complete on the same day of the next month)
+ */
+function getMonthsHeld(fromDate, toDate) {
+    const [fromYear, fromMonth, fromDay] = fromDate.split('-').map(Number);
+    const [toYear, toMonth, toDay] = toDate.split('-').map(Number);
+    return (toYear - fromYear) * 12 + (toMonth - fromMonth) - (toDay < fromDay ? 1 : 0);
+}
+
+/**
+ * Estimate how long a portfolio that paid sales charges needs to outperform another to recover
+ * them, from the returns both had over the loaded history
+ * Both portfolios should start on the same date; their time-weighted indices start at
+ * TWR_START_INDEX before the first day, so a starting load shows as a drop on the first day.
+ * Returns are measured from that base and so include the load; the load is recovered at the
+ * pace the portfolio grew after paying it. The estimate covers the loads paid on the start
+ * date; later charges show in recoveredDate and currentGap.
+ * @param {Object} portfolio - Calculated portfolio that paid sales charges
+ * @param {Object} reference - Calculated portfolio without sales charges
+ * @returns {Object|null} - Break-even estimate (see BREAK-EVEN STRUCTURE), or null without enough data
+ */
+function calculateBreakEven(portfolio, reference) {
+    const referenceByDate = {};
+    reference.dailyValues.forEach(day => referenceByDate[day.date] = day);
+    const common = portfolio.dailyValues.filter(day => referenceByDate[day.date]);
+    if (common.length < 2) {
+        return null;
+    }
+
+    const first = common[0];
+    const last = common[common.length - 1];
+    const years = (new Date(last.date) - new Date(first.date)) / (365 * 24 * 60 * 60 * 1000);
+
+    // Share of the starting investment paid in loads on the start date
+    const startingLoad = portfolio.dailyValues[0].date === first.date && portfolio.initialInvestment > 0
+        ? (portfolio.startingSalesCharges || 0) / portfolio.initialInvestment
+        : 0;
+
+    // Without a starting load the portfolio is level on the first day and there is nothing to recover
+    const recovered = startingLoad > 0 ? common.find(day => day.twrIndex >= referenceByDate[day.date].twrIndex) : null;
+    const result = {
+        portfolio: portfolio.name,
+        reference: reference.name,
+        salesCharges: (portfolio.salesCharges || []).reduce((sum, charge) => sum + charge.amount, 0),
+        startingLoad: startingLoad * 100,
+        annualizedReturn: null,
+        referenceReturn: null,
+        yearsToBreakEven: null,
+        breakEvenDate: null,
+        recoveredDate: recovered ? recovered.date : null,
+        currentGap: (last.twrIndex / referenceByDate[last.date].twrIndex - 1) * 100
+    };
+    if (years < 0.02) {
+        return result;
+    }
+
+    const startIndex = portfolio.dailyValues[0].date === first.date ? TWR_START_INDEX : first.twrIndex;
+    const referenceStartIndex = reference.dailyValues[0].date === first.date ? TWR_START_INDEX : referenceByDate[first.date].twrIndex;
+    const growth = Math.pow(last.twrIndex / startIndex, 1 / years);
+    const referenceGrowth = Math.pow(referenceByDate[last.date].twrIndex / referenceStartIndex, 1 / years);
+    result.annualizedReturn = (growth - 1) * 100;
+    result.referenceReturn = (referenceGrowth - 1) * 100;
+
+    // Growth includes the starting load once; the pace after it is what recovers the load
+    const growthAfterLoad = growth / Math.pow(1 - startingLoad, 1 / years);
+    if (startingLoad > 0 && growthAfterLoad > referenceGrowth) {
+        // Solve (1 - load) * growthAfterLoad^t = referenceGrowth^t for t
+        result.yearsToBreakEven = -Math.log(1 - startingLoad) / Math.log(growthAfterLoad / referenceGrowth);
+        const breakEven = new Date(new Date(first.date).getTime() + result.yearsToBreakEven * 365 * 24 * 60 * 60 * 1000);
+        result.breakEvenDate = breakEven.toISOString().split('T')[0];
+    }
+    return result;
+}
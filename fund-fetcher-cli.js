@@ -0,0 +1,409 @@
+#!/usr/bin/env node
+/**
+ * Fund Fetcher Command-Line Tool
+ * filename = fund-fetcher-cli.js
+ * Runs the page's fetch, parse, merge and comparison code from Node (18+) so fund data can be
+ * pulled by scripts. The browser modules are loaded into the global scope in the same order as
+ * the <script> tags in index.html.
+ *
+ * USAGE:
+ * node fund-fetcher-cli.js <command> [ticker] [options]
+ * There is no package.json, so no fund-fetcher command gets installed; run the script with node
+ * (or as ./fund-fetcher-cli.js once it is executable).
+ *
+ * COMMANDS:
+ * - nav <TICKER>            NAV history (date, nav, adjClose)
+ * - distributions <TICKER>  Distribution items from the distribution files (or price feed)
+ * - merged <TICKER>         NAVs merged with distributions, as downloaded from the page
+ * - validate <TICKER>       Data-quality warnings for the NAVs and distributions (see data-validator.js)
+ * - compare --config FILE   Portfolio comparison for a saved portfolio config (JSON)
+ * - project --config FILE   Simulated future values of the config's portfolios (see projection.js)
+ * - report --config FILE    Comparison report for archiving: HTML page, JSON bundle or one table
+ *
+ * OPTIONS:
+ * --from YYYY-MM-DD    Start date (default: the config's start date, or 2024-12-31)
+ * --to YYYY-MM-DD      End date (default: today)
+ * --format FORMAT      json (default), csv or tsv; report also takes html
+ * --output FILE        Write to FILE instead of stdout
+ * --provider TYPE      NAV provider for nav/merged: yahoo, file or fixed
+ * --file PATH          CSV/JSON NAV file for --provider file
+ * --nav VALUE          NAV for --provider fixed (default 1.00)
+ * --config FILE        Portfolio config for compare; file providers are read relative to it
+ * --benchmark TICKERS  Comma-separated benchmarks for compare (default: the config's benchmarks)
+ * --returns TABLE      compare writes trailing or monthly returns instead of the daily values
+ * --trades             compare writes the rebalancing trade log instead of the daily values
+ * --fees               Charge front-end loads and CDSCs on load funds (default: the config's fee settings)
+ * --break-even         compare writes the sales charge break-even report instead of the daily values
+ * --table NAME         report: write one report table as CSV/TSV (e.g. summary, portfolio_daily_values)
+ * --years N            project: horizon in years (default 5)
+ * --paths N            project: number of simulated paths (default 2000)
+ * --method METHOD      project: bootstrap (default) or parametric
+ * --frequency FREQ     project: resample monthly (default) or daily returns
+ * --block N            project: returns per bootstrap block (default 3 monthly, 21 daily)
+ * --seed SEED          project: random seed, for reproducible results (default 1)
+ * --dist-dir DIR       Folder with the distribution files (default: this script's folder)
+ * --dist-url URL       Base URL tried for distribution files before the upstream repository
+ * --record FILE        Save every network response to a recording bundle
+ * --replay FILE        Serve network responses only from a recording bundle; compare uses the
+ *                      bundle's config when --config is not given
+ * --verbose            Show the modules' debug logging on stderr
+ *
+ * EXAMPLE USAGE:
+ * node fund-fetcher-cli.js nav AGTHX --from 2024-01-01 --format csv
+ * node fund-fetcher-cli.js merged ANCFX --format tsv --output ANCFX_fund_data.tsv
+ * node fund-fetcher-cli.js validate AGTHX --from 2024-01-01 --format csv
+ * node fund-fetcher-cli.js compare --config portfolio.json --format csv
+ * node fund-fetcher-cli.js compare --config portfolio.json --returns monthly --format csv
+ * node fund-fetcher-cli.js compare --config portfolio.json --trades --format csv
+ * node fund-fetcher-cli.js compare --config portfolio.json --fees --break-even --format csv
+ * node fund-fetcher-cli.js project --config portfolio.json --years 5 --paths 5000 --seed 7 --format csv
+ * node fund-fetcher-cli.js report --config portfolio.json --format html --output report.html
+ * node fund-fetcher-cli.js report --config portfolio.json --table holding_daily_values --format csv
+ * node fund-fetcher-cli.js compare --config portfolio.json --record run.json
+ * node fund-fetcher-cli.js compare --replay run.json
+ *
+ * compare writes { portfolios: summaries, funds, breakEven, dailyValues } as JSON, or the aligned daily values
+ * (date, p1Value, p1Index, ..., p1Drawdown, ..., b1Index, ...) as CSV/TSV. Each summary's benchmarks array holds
+ * the benchmark-relative metrics (see benchmark-metrics.js). With --returns trailing or monthly it
+ * writes one row per portfolio and fund (per year for monthly) instead (see performance-periods.js),
+ * with --trades one row per rebalancing trade with the portfolio's name (see rebalancing.js), and
+ * with --break-even one row per portfolio that paid sales charges and reference portfolio (see fund-fees.js).
+ * project writes the whole projection as JSON, or the percentile bands at each whole year as CSV/TSV.
+ * report writes the comparison report as a self-contained HTML page or a JSON bundle of every
+ * table, or one table as CSV/TSV with --table (see report-export.js).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Browser modules used by the tool, in index.html load order
+const CLI_MODULES = [
+    'network-recorder.js',
+    'market-calendar.js',
+    'fund-data-fetcher.js',
+    'nav-cache.js',
+    'process-distributions.js',
+    'data-export.js',
+    'fund-data-merge.js',
+    'data-validator.js',
+    'distribution-importer.js',
+    'tax-lots.js',
+    'tax-model.js',
+    'fund-fees.js',
+    'rebalancing.js',
+    'benchmark-metrics.js',
+    'performance-periods.js',
+    'portfolio-compare.js',
+    'portfolio-chart.js',
+    'projection.js',
+    'report-export.js',
+    'portfolio-config.js'
+];
+
+const NAV_COLUMNS = ['date', 'nav', 'adjClose'];
+
+/**
+ * Parse command-line arguments
+ * @param {Array} argv - Arguments after the script name
+ * @returns {Object} - { command, args, options }
+ */
+function parseCliArgs(argv) {
+    const args = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg.startsWith('--')) {
+            const [name, inlineValue] = arg.slice(2).split('=');
+            if (inlineValue !== undefined) {
+                options[name] = inlineValue;
+            } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+                options[name] = argv[++i];
+            } else {
+                options[name] = true;
+            }
+        } else {
+            args.push(arg);
+        }
+    }
+    return { command: args[0], args: args.slice(1), options: options };
+}
+
+/**
+ * Load the browser modules into the global scope
+ * @param {Boolean} verbose - Keep the modules' console logging (on stderr)
+ */
+function loadModules(verbose) {
+    // The modules log freely; keep stdout for the exported data
+    const toStderr = (...values) => process.stderr.write(values.map(value =>
+        typeof value === 'string' ? value : JSON.stringify(value)).join(' ') + '\n');
+    console.log = verbose ? toStderr : () => {};
+    console.warn = verbose ? toStderr : () => {};
+    console.error = verbose ? toStderr : () => {};
+
+    CLI_MODULES.forEach(file => {
+        const filename = path.join(__dirname, file);
+        vm.runInThisContext(fs.readFileSync(filename, 'utf8'), { filename: filename });
+    });
+}
+
+/**
+ * Build the NAV provider settings from the options
+ * @param {String} ticker - Fund ticker
+ * @param {Object} options - Parsed options
+ * @returns {Object} - Provider settings
+ */
+function getCliProvider(ticker, options) {
+    if (!options.provider) {
+        return getTickerNavProvider(null, ticker);
+    }
+    if (options.provider === 'file') {
+        if (!options.file) {
+            throw new Error('--provider file needs --file PATH');
+        }
+        return { type: 'file', url: options.file, text: fs.readFileSync(options.file, 'utf8') };
+    }
+    if (options.provider === 'fixed') {
+        return { type: 'fixed', nav: options.nav === undefined ? 1.00 : Number(options.nav) };
+    }
+    getNavProvider(options.provider);
+    return { type: options.provider };
+}
+
+/**
+ * Read local files for 'file' providers in a portfolio config
+ * @param {Object} config - Normalized portfolio config
+ * @param {String} configDir - Directory the config was read from
+ * @returns {Object} - Config with file contents attached to the file providers
+ */
+function resolveConfigFileProviders(config, configDir) {
+    const providers = {};
+    Object.keys(config.providers).forEach(ticker => {
+        const provider = config.providers[ticker];
+        if (provider.type === 'file') {
+            if (!provider.url) {
+                throw new Error(`${ticker}: the file provider needs a url in the config`);
+            }
+            const filePath = path.resolve(configDir, provider.url);
+            providers[ticker] = { ...provider, text: fs.readFileSync(filePath, 'utf8') };
+        } else {
+            providers[ticker] = provider;
+        }
+    });
+    return { ...config, providers: providers };
+}
+
+/**
+ * Load the data for a portfolio config and run the comparison (compare, project and report commands)
+ * @param {Object} options - Command-line options
+ * @param {String|null} to - End date
+ * @returns {Promise<Object>} - { comparison: result of calculatePortfolioComparison, config, fundData }
+ */
+async function runCliComparison(options, to) {
+    const replayConfig = getNetworkMode() === 'replay' ? getNetworkBundle().metadata.config : null;
+    if (!options.config && !replayConfig) {
+        throw new Error('compare, project and report need --config FILE');
+    }
+    const configPath = options.config ? path.resolve(options.config) : null;
+    const rawConfig = configPath ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : replayConfig;
+    const benchmarkConfig = typeof options.benchmark === 'string' ? { ...rawConfig, benchmarks: options.benchmark } : rawConfig;
+    const feeConfig = options.fees ? { ...benchmarkConfig, fees: { ...(benchmarkConfig.fees || {}), enabled: true } } : benchmarkConfig;
+    const config = configPath
+        ? resolveConfigFileProviders(normalizePortfolioConfig(feeConfig), path.dirname(configPath))
+        : normalizePortfolioConfig(feeConfig);
+    if (getNetworkMode() === 'record') {
+        getNetworkBundle().metadata.config = config;
+    }
+    const startDate = options.from || config.startDate;
+
+    const fundData = {};
+    for (const ticker of getConfigTickers(config)) {
+        fundData[ticker] = await loadMergedFundData(ticker, startDate, to, getTickerNavProvider(config, ticker));
+    }
+
+    // A benchmark that cannot be loaded is left out rather than failing the comparison
+    const benchmarkData = {};
+    for (const ticker of config.benchmarks) {
+        try {
+            benchmarkData[ticker] = await fetchFundData(ticker, startDate, to, getTickerNavProvider(config, ticker));
+        } catch (error) {
+            process.stderr.write(`Benchmark ${ticker} left out: ${error.message}\n`);
+        }
+    }
+
+    const comparisonConfig = { ...config, startDate: startDate };
+    return {
+        comparison: calculatePortfolioComparison(fundData, comparisonConfig, benchmarkData),
+        config: comparisonConfig,
+        fundData: fundData
+    };
+}
+
+/**
+ * Run a command and return the rows to export
+ * @param {Object} cli - Parsed command line
+ * @returns {Promise<Object>} - { rows, columns }, or { content } for output that is already formatted
+ */
+async function runCommand(cli) {
+    const { command, args, options } = cli;
+    const from = options.from || DEFAULT_PORTFOLIO_CONFIG.startDate;
+    const to = options.to || null;
+
+    if (command === 'compare') {
+        const { comparison } = await runCliComparison(options, to);
+        if (options.trades) {
+            const trades = comparison.portfolios.flatMap(summary => summary.rebalanceTrades.map(trade => ({ portfolio: summary.name, ...trade })));
+            return { rows: trades, columns: ['portfolio', ...REBALANCE_TRADE_COLUMNS] };
+        }
+        if (options['break-even']) {
+            return { rows: comparison.breakEven, columns: BREAK_EVEN_COLUMNS };
+        }
+        if (options.returns === 'trailing') {
+            return { rows: getTrailingReturnRows(comparison), columns: TRAILING_RETURN_COLUMNS };
+        }
+        if (options.returns === 'monthly') {
+            return { rows: getMonthlyReturnRows(comparison), columns: MONTHLY_RETURN_COLUMNS };
+        }
+        if (options.returns !== undefined) {
+            throw new Error(`Unknown --returns table: ${options.returns} (use trailing or monthly)`);
+        }
+        if (options.format === 'csv' || options.format === 'tsv') {
+            return { rows: comparison.dailyValues, columns: Object.keys(comparison.dailyValues[0] || { date: null }) };
+        }
+        return { rows: { portfolios: comparison.portfolios, funds: comparison.funds, breakEven: comparison.breakEven, dailyValues: comparison.dailyValues }, columns: [] };
+    }
+
+    if (command === 'project') {
+        const { comparison } = await runCliComparison(options, to);
+        const projection = projectPortfolios(comparison, {
+            years: options.years,
+            paths: options.paths,
+            method: options.method,
+            frequency: options.frequency,
+            blockLength: options.block,
+            seed: options.seed
+        });
+        if (options.format === 'csv' || options.format === 'tsv') {
+            return { rows: getProjectionRows(projection), columns: PROJECTION_COLUMNS };
+        }
+        return { rows: projection, columns: [] };
+    }
+
+    if (command === 'report') {
+        const { comparison, config, fundData } = await runCliComparison(options, to);
+        const inputs = getReportInputs(config, fundData);
+        if (options.format === 'html') {
+            return { content: buildHtmlReport(comparison, inputs) };
+        }
+        if (options.format === 'csv' || options.format === 'tsv') {
+            const tables = getReportTables(comparison, inputs);
+            const table = tables.find(candidate => candidate.name === options.table);
+            if (!table) {
+                throw new Error(`report --format ${options.format} needs --table with one of ${tables.map(candidate => candidate.name).join(', ')}`);
+            }
+            return { rows: table.rows, columns: table.columns };
+        }
+        return { rows: buildReportBundle(comparison, inputs), columns: [] };
+    }
+
+    const ticker = (args[0] || '').toUpperCase();
+    if (!ticker) {
+        throw new Error(`${command} needs a ticker`);
+    }
+
+    if (command === 'nav') {
+        const rows = await fetchFundData(ticker, from, to, getCliProvider(ticker, options));
+        return { rows: rows, columns: NAV_COLUMNS };
+    }
+
+    if (command === 'distributions') {
+        const result = await getDistributionData(ticker, from, to || new Date(), getCliProvider(ticker, options));
+        if (result.error) {
+            throw new Error(result.error);
+        }
+        process.stderr.write(`Distributions for ${ticker} from ${result.location || 'price feed dividends'}\n`);
+        const columns = ['date', 'recordDate', 'calculatedDate', 'payDate', 'nav', 'dist', ...DISTRIBUTION_COMPONENTS];
+        return { rows: result.items, columns: columns };
+    }
+
+    if (command === 'validate') {
+        const provider = getCliProvider(ticker, options);
+        let history = { prices: [], dividends: [] };
+        try {
+            history = await fetchFundHistory(ticker, from, to, provider);
+        } catch (error) {
+            // The distribution file can still be checked without NAVs
+            process.stderr.write(`NAVs for ${ticker} not checked: ${error.message}\n`);
+        }
+        const result = await getDistributionData(ticker, from, to || new Date(), provider);
+        const data = {
+            nav: history.prices,
+            distributions: result.items || [],
+            distributionSource: result.error ? null : result.source
+        };
+        const lastNavDate = history.prices.length > 0 ? history.prices[history.prices.length - 1].date : null;
+        const differences = data.distributionSource === 'file' && history.dividends.length > 0 && !isMmfTicker(ticker)
+            ? compareDistributionsToEvents(data.distributions.filter(item => item.date <= lastNavDate), history.dividends)
+            : [];
+        const rows = [...validateFundData(ticker, data), ...getPriceFeedIssues(ticker, differences)]
+            .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+        return { rows: rows, columns: VALIDATION_ISSUE_COLUMNS };
+    }
+
+    if (command === 'merged') {
+        const result = await loadMergedFundData(ticker, from, to, getCliProvider(ticker, options));
+        return { rows: result.merged, columns: MERGED_DATA_COLUMNS };
+    }
+
+    throw new Error(`Unknown command: ${command}`);
+}
+
+/**
+ * Entry point
+ */
+async function main() {
+    const cli = parseCliArgs(process.argv.slice(2));
+    if (!cli.command || cli.options.help) {
+        process.stdout.write(fs.readFileSync(__filename, 'utf8').split('*/')[0]
+            .split('\n').slice(2).map(line => line.replace(/^ \* ?/, '')).join('\n'));
+        return;
+    }
+
+    loadModules(Boolean(cli.options.verbose));
+    configureDistributionSources({
+        order: ['filesystem', 'url', 'github'],
+        directory: path.resolve(cli.options['dist-dir'] || __dirname),
+        baseUrl: cli.options['dist-url'] || null,
+        readFile: filePath => fs.promises.readFile(filePath, 'utf8')
+    });
+    if (cli.options.replay) {
+        startNetworkReplay(parseNetworkBundle(fs.readFileSync(cli.options.replay, 'utf8')));
+    } else if (cli.options.record) {
+        startNetworkRecording({ command: process.argv.slice(2) });
+    }
+
+    try {
+        const result = await runCommand(cli);
+        // The HTML report comes back as finished content
+        const output = result.content !== undefined
+            ? result
+            : formatExport(result.rows, result.columns, cli.options.format || 'json');
+        if (cli.options.output) {
+            fs.writeFileSync(cli.options.output, output.content);
+            process.stderr.write(`Wrote ${cli.options.output}\n`);
+        } else {
+            process.stdout.write(output.content);
+        }
+    } catch (error) {
+        process.stderr.write(`fund-fetcher-cli.js: ${error.message}\n`);
+        process.exitCode = 1;
+    } finally {
+        // Save what was recorded even when the command failed, to help reproduce the failure
+        if (getNetworkMode() === 'record') {
+            fs.writeFileSync(cli.options.record, serializeNetworkBundle(stopNetworkRecording()));
+            process.stderr.write(`Recorded network responses to ${cli.options.record}\n`);
+        }
+    }
+}
+
+main();
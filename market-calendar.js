@@ -0,0 +1,255 @@
+/**
+ * Market Calendar Module
+ * filename = market-calendar.js
+ * US stock exchange (NYSE) trading-day calendar. Mutual fund NAVs are only struck on days the
+ * exchange is open, so synthetic fixed-NAV series and the portfolio comparison use this
+ * calendar instead of "every weekday".
+ *
+ * HOLIDAYS:
+ * - New Year's Day, Martin Luther King Jr. Day (from 1998), Washington's Birthday, Good Friday,
+ *   Memorial Day, Juneteenth (from 2022), Independence Day, Labor Day, Thanksgiving, Christmas
+ * - Holidays on a Saturday are observed the Friday before and on a Sunday the Monday after,
+ *   except New Year's Day on a Saturday, which is not observed
+ * - One-off closures (national days of mourning, weather) are listed in MARKET_SPECIAL_CLOSURES
+ *
+ * Dates are 'YYYY-MM-DD' strings, as in the merged fund data. Date objects are accepted and
+ * converted with their UTC date, like formatDate in fund-data-fetcher.js.
+ *
+ * EXAMPLE USAGE:
+ * isTradingDay('2025-07-04');                      // false (Independence Day)
+ * getMarketHolidayName('2025-04-18');              // 'Good Friday'
+ * getTradingDays('2024-12-20', '2025-01-03');      // Skips 2024-12-25 and 2025-01-01
+ * getNextTradingDay('2025-05-31');                 // '2025-06-02'
+ * getLastTradingDayOfMonth('2025-05-10');          // '2025-05-30'
+ */
+
+// Closures outside the regular holiday rules
+const MARKET_SPECIAL_CLOSURES = {
+    '2001-09-11': 'September 11 attacks',
+    '2001-09-12': 'September 11 attacks',
+    '2001-09-13': 'September 11 attacks',
+    '2001-09-14': 'September 11 attacks',
+    '2004-06-11': 'National Day of Mourning (Ronald Reagan)',
+    '2007-01-02': 'National Day of Mourning (Gerald Ford)',
+    '2012-10-29': 'Hurricane Sandy',
+    '2012-10-30': 'Hurricane Sandy',
+    '2018-12-05': 'National Day of Mourning (George H.W. Bush)',
+    '2025-01-09': 'National Day of Mourning (Jimmy Carter)'
+};
+
+// Holidays by year, built on first use: Map of year -> { 'YYYY-MM-DD': name }
+const marketHolidayCache = new Map();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Convert a date to a 'YYYY-MM-DD' string
+ * @param {String|Date} date - Date string or Date
+ * @returns {String} - 'YYYY-MM-DD'
+ */
+function toMarketDate(date) {
+    return date instanceof Date ? date.toISOString().split('T')[0] : String(date).slice(0, 10);
+}
+
+/**
+ * Build a 'YYYY-MM-DD' string from UTC date parts
+ * @param {Number} year - Full year
+ * @param {Number} month - Month (0-11)
+ * @param {Number} day - Day of the month
+ * @returns {String} - 'YYYY-MM-DD'
+ */
+function marketDateFromParts(year, month, day) {
+    return new Date(Date.UTC(year, month, day)).toISOString().split('T')[0];
+}
+
+/**
+ * Add days to a date string
+ * @param {String} date - 'YYYY-MM-DD'
+ * @param {Number} days - Days to add (may be negative)
+ * @returns {String} - 'YYYY-MM-DD'
+ */
+function addMarketDays(date, days) {
+    return new Date(Date.parse(date) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Get the day of the week of a date string
+ * @param {String} date - 'YYYY-MM-DD'
+ * @returns {Number} - 0 (Sunday) to 6 (Saturday)
+ */
+function getMarketWeekday(date) {
+    return new Date(Date.parse(date)).getUTCDay();
+}
+
+/**
+ * Find the nth given weekday of a month
+ * @param {Number} year - Full year
+ * @param {Number} month - Month (0-11)
+ * @param {Number} weekday - 0 (Sunday) to 6 (Saturday)
+ * @param {Number} n - 1 for the first, 2 for the second, ...; -1 for the last
+ * @returns {String} - 'YYYY-MM-DD'
+ */
+function getNthWeekday(year, month, weekday, n) {
+    if (n < 0) {
+        const lastDay = new Date(Date.UTC(year, month + 1, 0));
+        const offset = (lastDay.getUTCDay() - weekday + 7) % 7;
+        return marketDateFromParts(year, month, lastDay.getUTCDate() - offset);
+    }
+    const firstWeekday = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    return marketDateFromParts(year, month, 1 + ((weekday - firstWeekday + 7) % 7) + (n - 1) * 7);
+}
+
+/**
+ * Calculate Easter Sunday (Gregorian calendar)
+ * @param {Number} year - Full year
+ * @returns {String} - 'YYYY-MM-DD'
+ */
+function getEasterSunday(year) {
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return marketDateFromParts(year, month - 1, day);
+}
+
+/**
+ * Move a fixed-date holiday that falls on a weekend to the day the exchange observes it
+ * @param {String} date - Holiday date
+ * @param {Boolean} [observeSaturday] - Close the Friday before when the holiday is on a Saturday
+ * @returns {String|null} - Observed date, or null when it is not observed
+ */
+function getObservedHoliday(date, observeSaturday = true) {
+    const weekday = getMarketWeekday(date);
+    if (weekday === 6) {
+        return observeSaturday ? addMarketDays(date, -1) : null;
+    }
+    return weekday === 0 ? addMarketDays(date, 1) : date;
+}
+
+/**
+ * Get the exchange holidays of a year
+ * @param {Number} year - Full year
+ * @returns {Object} - Holiday names keyed by observed date ('YYYY-MM-DD')
+ */
+function getMarketHolidays(year) {
+    if (marketHolidayCache.has(year)) {
+        return marketHolidayCache.get(year);
+    }
+
+    const holidays = {};
+    const add = (date, name) => {
+        if (date) {
+            holidays[date] = name;
+        }
+    };
+
+    add(getObservedHoliday(marketDateFromParts(year, 0, 1), false), "New Year's Day");
+    if (year >= 1998) {
+        add(getNthWeekday(year, 0, 1, 3), 'Martin Luther King Jr. Day');
+    }
+    add(getNthWeekday(year, 1, 1, 3), "Washington's Birthday");
+    add(addMarketDays(getEasterSunday(year), -2), 'Good Friday');
+    add(getNthWeekday(year, 4, 1, -1), 'Memorial Day');
+    if (year >= 2022) {
+        add(getObservedHoliday(marketDateFromParts(year, 5, 19)), 'Juneteenth');
+    }
+    add(getObservedHoliday(marketDateFromParts(year, 6, 4)), 'Independence Day');
+    add(getNthWeekday(year, 8, 1, 1), 'Labor Day');
+    add(getNthWeekday(year, 10, 4, 4), 'Thanksgiving Day');
+    add(getObservedHoliday(marketDateFromParts(year, 11, 25)), 'Christmas Day');
+
+    Object.keys(MARKET_SPECIAL_CLOSURES)
+        .filter(date => date.startsWith(`${year}-`))
+        .forEach(date => add(date, MARKET_SPECIAL_CLOSURES[date]));
+
+    marketHolidayCache.set(year, holidays);
+    return holidays;
+}
+
+/**
+ * Get the name of the holiday the exchange is closed for on a date
+ * @param {String|Date} date - Date to check
+ * @returns {String|null} - Holiday name, or null when it is not a holiday
+ */
+function getMarketHolidayName(date) {
+    const day = toMarketDate(date);
+    return getMarketHolidays(Number(day.slice(0, 4)))[day] || null;
+}
+
+/**
+ * Check whether the exchange is open on a date
+ * @param {String|Date} date - Date to check
+ * @returns {Boolean} - True on weekdays that are not holidays
+ */
+function isTradingDay(date) {
+    const day = toMarketDate(date);
+    const weekday = getMarketWeekday(day);
+    return weekday !== 0 && weekday !== 6 && !getMarketHolidayName(day);
+}
+
+/**
+ * Find the first trading day on or after a date
+ * @param {String|Date} date - Date to start from
+ * @returns {String} - 'YYYY-MM-DD'
+ */
+function getNextTradingDay(date) {
+    let day = toMarketDate(date);
+    while (!isTradingDay(day)) {
+        day = addMarketDays(day, 1);
+    }
+    return day;
+}
+
+/**
+ * Find the last trading day of the month a date falls in
+ * @param {String|Date} date - Any date in the month
+ * @returns {String} - 'YYYY-MM-DD'
+ */
+function getLastTradingDayOfMonth(date) {
+    const day = toMarketDate(date);
+    let last = marketDateFromParts(Number(day.slice(0, 4)), Number(day.slice(5, 7)), 0);
+    while (!isTradingDay(last)) {
+        last = addMarketDays(last, -1);
+    }
+    return last;
+}
+
+/**
+ * List the trading days in a range
+ * @param {String|Date} startDate - First date (inclusive)
+ * @param {String|Date} endDate - Last date (inclusive)
+ * @returns {Array} - 'YYYY-MM-DD' strings, oldest first
+ */
+function getTradingDays(startDate, endDate) {
+    const end = toMarketDate(endDate);
+    const days = [];
+    for (let day = toMarketDate(startDate); day <= end; day = addMarketDays(day, 1)) {
+        if (isTradingDay(day)) {
+            days.push(day);
+        }
+    }
+    return days;
+}
+
+// Export the calendar functions
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        MARKET_SPECIAL_CLOSURES,
+        getMarketHolidays,
+        getMarketHolidayName,
+        isTradingDay,
+        getNextTradingDay,
+        getLastTradingDayOfMonth,
+        getTradingDays
+    };
+}
@@ -0,0 +1,301 @@
+/**
+ * NAV Cache Module
+ * filename = nav-cache.js
+ * Stores NAV history per ticker in IndexedDB so later page loads only fetch the trading days
+ * after the last cached date, and cached history is still available when the proxies are down.
+ *
+ * CACHE ENTRY STRUCTURE (one per ticker):
+ * {
+ *     ticker: string,
+ *     startDate: 'YYYY-MM-DD',              // Earliest date the cached history was requested from
+ *     points: [{ date, nav, adjClose }],    // Same shape as fetchFundData results, oldest first
+ *     dividends: [{ date, amount }],        // Events from fetchFundHistory
+ *     splits: [{ date, numerator, denominator, ratio }],
+ *     updatedAt: string                     // ISO timestamp of the last successful fetch
+ * }
+ *
+ * USAGE:
+ * fetchFundDataCached(ticker, startDate, [options])
+ *   - options.forceRefresh: ignore the cache and fetch the full range again
+ *   - options.provider: NAV provider settings passed to fetchFundData; providers that are not
+ *     cacheable (local files, fixed NAVs) are always read directly, as is everything while
+ *     network-recorder.js is recording or replaying
+ *   - Resolves to { data, dividends, splits, cachedCount, fetchedCount, source, warning, proxy, attempts }
+ *     proxy and attempts describe the proxy requests made (see fetchWithProxy), when any were
+ *     source is 'cache', 'network', 'cache+network', or the provider type when not cached
+ *
+ * When IndexedDB is not available (private browsing, Node) every call goes to the network.
+ * A distribution or split after the last cached date changes the adjusted closes of every earlier
+ * day, so when the incremental fetch reports one the whole range is fetched again and the cached
+ * points are replaced.
+ *
+ * EXAMPLE USAGE:
+ * const result = await fetchFundDataCached('AGTHX', '2024-12-31');
+ * console.log(`${result.cachedCount} cached, ${result.fetchedCount} fetched`, result.data);
+ * const entries = await listNavCache();
+ * await clearNavCache('AGTHX');   // Omit the ticker to clear everything
+ */
+
+const NAV_CACHE_DB_NAME = 'fundFetcher.navCache';
+const NAV_CACHE_DB_VERSION = 1;
+const NAV_CACHE_STORE = 'navHistory';
+
+let navCacheDbPromise = null;
+
+/**
+ * Open (and create if needed) the cache database
+ * @returns {Promise<IDBDatabase|null>} - Database, or null when IndexedDB is unavailable
+ */
+function openNavCache() {
+    if (typeof indexedDB === 'undefined') {
+        return Promise.resolve(null);
+    }
+
+    if (!navCacheDbPromise) {
+        navCacheDbPromise = new Promise(resolve => {
+            const request = indexedDB.open(NAV_CACHE_DB_NAME, NAV_CACHE_DB_VERSION);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(NAV_CACHE_STORE, { keyPath: 'ticker' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn(`NAV cache unavailable: ${request.error?.message}`);
+                resolve(null);
+            };
+        });
+    }
+    return navCacheDbPromise;
+}
+
+/**
+ * Run a single request against the cache object store
+ * @param {String} mode - 'readonly' or 'readwrite'
+ * @param {Function} makeRequest - Called with the object store, returns an IDBRequest
+ * @returns {Promise<*>} - Request result (undefined when the cache is unavailable)
+ */
+async function runNavCacheRequest(mode, makeRequest) {
+    const db = await openNavCache();
+    if (!db) {
+        return undefined;
+    }
+
+    return new Promise((resolve, reject) => {
+        const request = makeRequest(db.transaction(NAV_CACHE_STORE, mode).objectStore(NAV_CACHE_STORE));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Read the cached history for a ticker
+ * @param {String} ticker - Fund ticker
+ * @returns {Promise<Object|null>} - Cache entry, or null when nothing is cached
+ */
+async function readCachedNav(ticker) {
+    return (await runNavCacheRequest('readonly', store => store.get(ticker))) || null;
+}
+
+/**
+ * Save the history for a ticker, replacing any previous entry
+ * @param {Object} entry - Cache entry ({ ticker, startDate, points, updatedAt })
+ * @returns {Promise<void>}
+ */
+async function writeCachedNav(entry) {
+    await runNavCacheRequest('readwrite', store => store.put(entry));
+}
+
+/**
+ * Remove cached history
+ * @param {String} [ticker] - Ticker to remove; omit to clear the whole cache
+ * @returns {Promise<void>}
+ */
+async function clearNavCache(ticker) {
+    await runNavCacheRequest('readwrite', store => ticker ? store.delete(ticker) : store.clear());
+    console.log(ticker ? `Cleared NAV cache for ${ticker}` : 'Cleared NAV cache');
+}
+
+/**
+ * Describe every cached ticker
+ * @returns {Promise<Array>} - [{ ticker, startDate, firstDate, lastDate, count, updatedAt }]
+ */
+async function listNavCache() {
+    const entries = (await runNavCacheRequest('readonly', store => store.getAll())) || [];
+    return entries.map(entry => ({
+        ticker: entry.ticker,
+        startDate: entry.startDate,
+        firstDate: entry.points[0]?.date || null,
+        lastDate: getLastCachedNavDate(entry.points),
+        count: entry.points.length,
+        updatedAt: entry.updatedAt
+    }));
+}
+
+/**
+ * Find the last date with a NAV value (Yahoo can return a null close for the current day)
+ * @param {Array} points - Cached NAV points, oldest first
+ * @returns {String|null} - Last date with a NAV
+ */
+function getLastCachedNavDate(points) {
+    for (let i = points.length - 1; i >= 0; i--) {
+        if (points[i].nav !== null && points[i].nav !== undefined) {
+            return points[i].date;
+        }
+    }
+    return null;
+}
+
+/**
+ * Combine cached and newly fetched points; fetched values replace cached ones for the same date
+ * @param {Array} cachedPoints - Points from the cache
+ * @param {Array} fetchedPoints - Points from the network
+ * @returns {Array} - Merged points sorted by date
+ */
+function mergeNavPoints(cachedPoints, fetchedPoints) {
+    const byDate = new Map();
+    cachedPoints.forEach(point => byDate.set(point.date, point));
+    fetchedPoints.forEach(point => {
+        // Keep a cached value rather than overwrite it with a missing one
+        if ((point.nav !== null && point.nav !== undefined) || !byDate.has(point.date)) {
+            byDate.set(point.date, point);
+        }
+    });
+    return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Combine cached and newly fetched dividend or split events; fetched events replace cached ones
+ * @param {Array} cachedEvents - Events from the cache
+ * @param {Array} fetchedEvents - Events from the network
+ * @returns {Array} - Merged events sorted by date
+ */
+function mergeNavEvents(cachedEvents, fetchedEvents) {
+    const byDate = new Map();
+    [...cachedEvents, ...fetchedEvents].forEach(event => byDate.set(event.date, event));
+    return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Fetch NAV history, using the cache for dates already downloaded
+ * @param {String} ticker - Fund ticker
+ * @param {String} startDate - First date needed ('YYYY-MM-DD')
+ * @param {Object} [options] - { forceRefresh: boolean, provider: provider settings }
+ * @returns {Promise<Object>} - { data, dividends, splits, cachedCount, fetchedCount, source, warning, proxy, attempts }
+ */
+async function fetchFundDataCached(ticker, startDate, options = {}) {
+    const provider = options.provider || { type: 'yahoo' };
+    // Recording and replaying need every request to go through the network recorder
+    const bypassCache = typeof getNetworkMode === 'function' && getNetworkMode() !== 'live';
+    if (!getNavProvider(provider.type).cacheable || bypassCache) {
+        const history = await fetchFundHistory(ticker, startDate, null, provider);
+        return {
+            data: history.prices,
+            dividends: history.dividends,
+            splits: history.splits,
+            cachedCount: 0,
+            fetchedCount: history.prices.length,
+            source: provider.type,
+            warning: null,
+            proxy: history.proxy || null,
+            attempts: history.attempts || []
+        };
+    }
+
+    const today = formatDate(new Date());
+    let cached = null;
+    try {
+        cached = options.forceRefresh ? null : await readCachedNav(ticker);
+    } catch (error) {
+        console.warn(`Could not read NAV cache for ${ticker}: ${error.message}`);
+    }
+
+    // The cache is only usable when it reaches back to the requested start date
+    const lastCachedDate = cached ? getLastCachedNavDate(cached.points) : null;
+    const usable = Boolean(cached && lastCachedDate && cached.startDate <= startDate);
+    const inRange = item => item.date >= startDate;
+    const cachedPoints = usable ? cached.points.filter(inRange) : [];
+    const cachedDividends = usable ? cached.dividends || [] : [];
+    const cachedSplits = usable ? cached.splits || [] : [];
+
+    let fetchStart = startDate;
+    if (usable) {
+        const nextDay = new Date(lastCachedDate);
+        nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+        fetchStart = formatDate(nextDay);
+    }
+
+    const cacheOnly = (warning, attempts) => ({
+        data: cachedPoints,
+        dividends: cachedDividends.filter(inRange),
+        splits: cachedSplits.filter(inRange),
+        cachedCount: cachedPoints.length,
+        fetchedCount: 0,
+        source: 'cache',
+        warning: warning,
+        proxy: null,
+        attempts: attempts
+    });
+
+    if (usable && fetchStart > today) {
+        console.log(`NAV cache for ${ticker} is up to date through ${lastCachedDate}`);
+        return cacheOnly(null, []);
+    }
+
+    let history;
+    try {
+        console.log(`Fetching ${ticker} NAVs from ${fetchStart}${usable ? ` (cached through ${lastCachedDate})` : ''}`);
+        history = await fetchFundHistory(ticker, fetchStart, null, provider);
+    } catch (error) {
+        if (!usable) {
+            throw error;
+        }
+        // Fall back to the cached history when the incremental fetch fails
+        console.warn(`Using cached NAVs for ${ticker}: ${error.message}`);
+        return cacheOnly(`Showing cached NAVs through ${lastCachedDate} (update failed: ${error.message})`, error.attempts || []);
+    }
+
+    // Cached adjClose values do not include distributions or splits after they were fetched
+    let readjusted = false;
+    const newEvents = [...history.dividends, ...history.splits].filter(event => event.date > lastCachedDate);
+    if (usable && newEvents.length > 0) {
+        try {
+            console.log(`Refetching ${ticker} NAVs from ${cached.startDate} to re-adjust for the ${newEvents[0].date} event`);
+            history = await fetchFundHistory(ticker, cached.startDate, null, provider);
+            readjusted = true;
+        } catch (error) {
+            // New points are on a different adjustment basis than the cached ones, so show only the
+            // cached range and leave the cache as it was for the next load to try again
+            console.warn(`Using cached NAVs for ${ticker}: ${error.message}`);
+            return cacheOnly(`Showing cached NAVs through ${lastCachedDate} (re-adjusting for the ${newEvents[0].date} event failed: ${error.message})`,
+                error.attempts || []);
+        }
+    }
+
+    const newPoints = history.prices.filter(point => point.date >= (readjusted ? cached.startDate : fetchStart));
+    const allPoints = usable && !readjusted ? mergeNavPoints(cached.points, newPoints) : newPoints;
+    const allDividends = mergeNavEvents(cachedDividends, history.dividends);
+    const allSplits = mergeNavEvents(cachedSplits, history.splits);
+    try {
+        await writeCachedNav({
+            ticker: ticker,
+            startDate: usable ? cached.startDate : startDate,
+            points: allPoints,
+            dividends: allDividends,
+            splits: allSplits,
+            updatedAt: new Date().toISOString()
+        });
+    } catch (error) {
+        console.warn(`Could not save NAV cache for ${ticker}: ${error.message}`);
+    }
+
+    return {
+        data: allPoints.filter(inRange),
+        dividends: allDividends.filter(inRange),
+        splits: allSplits.filter(inRange),
+        cachedCount: readjusted ? 0 : cachedPoints.length,
+        fetchedCount: readjusted ? allPoints.filter(inRange).length : newPoints.length,
+        source: usable && !readjusted ? 'cache+network' : 'network',
+        warning: null,
+        proxy: history.proxy || null,
+        attempts: history.attempts || []
+    };
+}
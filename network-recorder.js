@@ -0,0 +1,222 @@
+/**
+ * Network Recorder Module
+ * filename = network-recorder.js
+ * Records every response the app reads over the network (Yahoo through fetchWithProxy,
+ * distribution files, NAV files loaded by URL) into a fixture bundle, and replays a bundle so
+ * a comparison can be re-run with exactly the same data.
+ *
+ * MODES:
+ * - 'live'    Normal network access (default)
+ * - 'record'  Network access as usual; every successful response is saved to the bundle
+ * - 'replay'  No network access; responses come only from the loaded bundle and anything
+ *             missing from it fails as if the request had failed
+ * The NAV cache is bypassed while recording or replaying.
+ *
+ * BUNDLE STRUCTURE:
+ * {
+ *     version: 1,
+ *     createdAt: string,              // ISO timestamp
+ *     metadata: { ... },              // E.g. the portfolio config the recording was made with
+ *     entries: {
+ *         [key]: { status: number, body: string, recordedAt: string }
+ *     }
+ * }
+ * Keys are request URLs (for proxied requests, the target URL rather than the proxy URL) with
+ * the volatile Yahoo "period2" end timestamp removed, or file://<filename> for distribution
+ * files read from disk by the command-line tool.
+ * Files chosen on the page are not network reads and are not recorded.
+ *
+ * EXAMPLE USAGE:
+ * startNetworkRecording({ config: portfolioConfig });
+ * // ... load data ...
+ * const bundle = stopNetworkRecording();
+ * downloadTextFile(serializeNetworkBundle(bundle), 'recording.json', 'application/json');
+ *
+ * startNetworkReplay(parseNetworkBundle(text));
+ * const response = await networkFetch('mutual_AGTHX_distributions.txt');
+ */
+
+const NETWORK_BUNDLE_VERSION = 1;
+
+// Query parameters that change on every run and are left out of recording keys
+const VOLATILE_QUERY_PARAMS = ['period2'];
+
+let networkMode = 'live';
+let networkBundle = null;
+
+/**
+ * Create an empty bundle
+ * @param {Object} [metadata] - Information saved with the recording
+ * @returns {Object} - Bundle
+ */
+function createNetworkBundle(metadata = {}) {
+    return {
+        version: NETWORK_BUNDLE_VERSION,
+        createdAt: new Date().toISOString(),
+        metadata: metadata,
+        entries: {}
+    };
+}
+
+/**
+ * Get the current network mode
+ * @returns {String} - 'live', 'record' or 'replay'
+ */
+function getNetworkMode() {
+    return networkMode;
+}
+
+/**
+ * Get the bundle being recorded or replayed
+ * @returns {Object|null} - Bundle, or null in live mode
+ */
+function getNetworkBundle() {
+    return networkBundle;
+}
+
+/**
+ * Start recording responses into a new bundle
+ * @param {Object} [metadata] - Information saved with the recording
+ */
+function startNetworkRecording(metadata = {}) {
+    networkMode = 'record';
+    networkBundle = createNetworkBundle(metadata);
+    console.log('Network recording started');
+}
+
+/**
+ * Stop recording and return to live mode
+ * @returns {Object} - The recorded bundle
+ */
+function stopNetworkRecording() {
+    const bundle = networkBundle || createNetworkBundle();
+    console.log(`Network recording stopped with ${Object.keys(bundle.entries).length} responses`);
+    setLiveNetworkMode();
+    return bundle;
+}
+
+/**
+ * Serve responses only from a bundle
+ * @param {Object} bundle - Bundle from parseNetworkBundle
+ */
+function startNetworkReplay(bundle) {
+    networkMode = 'replay';
+    networkBundle = bundle;
+    console.log(`Network replay started with ${Object.keys(bundle.entries).length} responses`);
+}
+
+/**
+ * Return to normal network access
+ */
+function setLiveNetworkMode() {
+    networkMode = 'live';
+    networkBundle = null;
+}
+
+/**
+ * Convert a bundle to JSON text
+ * @param {Object} bundle - Bundle
+ * @returns {String} - JSON text
+ */
+function serializeNetworkBundle(bundle) {
+    return JSON.stringify(bundle, null, 2);
+}
+
+/**
+ * Read and validate a bundle
+ * @param {String} text - JSON text from serializeNetworkBundle
+ * @returns {Object} - Bundle
+ */
+function parseNetworkBundle(text) {
+    const bundle = JSON.parse(text);
+    if (!bundle || bundle.version !== NETWORK_BUNDLE_VERSION || typeof bundle.entries !== 'object') {
+        throw new Error(`Not a version ${NETWORK_BUNDLE_VERSION} network recording`);
+    }
+    bundle.metadata = bundle.metadata || {};
+    return bundle;
+}
+
+/**
+ * Build the bundle key for a URL or path
+ * @param {String} url - Request URL, or a file:// path
+ * @returns {String} - Key with volatile query parameters removed
+ */
+function getRecordingKey(url) {
+    const queryIndex = url.indexOf('?');
+    if (queryIndex < 0) {
+        return url;
+    }
+    const params = new URLSearchParams(url.slice(queryIndex + 1));
+    VOLATILE_QUERY_PARAMS.forEach(param => params.delete(param));
+    const query = params.toString();
+    return url.slice(0, queryIndex) + (query ? `?${query}` : '');
+}
+
+/**
+ * Save a response while recording (ignored in other modes)
+ * @param {String} url - Request URL or file:// path
+ * @param {String} body - Response text
+ * @param {Number} [status] - HTTP status
+ */
+function recordNetworkResponse(url, body, status = 200) {
+    if (networkMode !== 'record') {
+        return;
+    }
+    networkBundle.entries[getRecordingKey(url)] = { status: status, body: body, recordedAt: new Date().toISOString() };
+}
+
+/**
+ * Look up a response while replaying
+ * @param {String} url - Request URL or file:// path
+ * @returns {Object} - Recorded entry ({ status, body, recordedAt })
+ */
+function getReplayedResponse(url) {
+    const entry = networkBundle.entries[getRecordingKey(url)];
+    if (!entry) {
+        throw new Error(`No recorded response for ${getRecordingKey(url)}`);
+    }
+    console.log(`Replaying recorded response for ${getRecordingKey(url)}`);
+    return entry;
+}
+
+/**
+ * Read text through the recorder: replayed in replay mode, otherwise loaded and (when
+ * recording) saved
+ * @param {String} key - URL or file:// path identifying the content
+ * @param {Function} load - Returns a Promise of the text when not replaying
+ * @returns {Promise<String>} - Text content
+ */
+async function recordedRead(key, load) {
+    if (networkMode === 'replay') {
+        return getReplayedResponse(key).body;
+    }
+    const body = await load();
+    recordNetworkResponse(key, body);
+    return body;
+}
+
+/**
+ * fetch() replacement that records and replays successful responses
+ * @param {String} url - Request URL
+ * @param {Object} [init] - fetch options
+ * @returns {Promise<Object>} - Response-like object ({ ok, status, statusText, text() })
+ */
+async function networkFetch(url, init = {}) {
+    if (networkMode === 'replay') {
+        let entry;
+        try {
+            entry = getReplayedResponse(url);
+        } catch (error) {
+            // Missing entries behave like a failed request
+            return { ok: false, status: 404, statusText: error.message, text: async () => '' };
+        }
+        return { ok: true, status: entry.status, statusText: 'OK (replayed)', text: async () => entry.body };
+    }
+
+    const response = await fetch(url, init);
+    const body = await response.text();
+    if (response.ok) {
+        recordNetworkResponse(url, body, response.status);
+    }
+    return { ok: response.ok, status: response.status, statusText: response.statusText, text: async () => body };
+}
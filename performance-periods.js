@@ -0,0 +1,292 @@
+/**
+ * Performance Periods Module
+ * filename = performance-periods.js
+ * Standard trailing-period returns and a month-by-year return grid for each portfolio and for
+ * each fund on its own. Both come from the time-weighted index (twrIndex) that
+ * calculatePortfolio records, so distributions are reinvested and contributions or withdrawals
+ * do not count as return. A fund's series is a one-unit portfolio holding only that fund.
+ *
+ * TRAILING RETURNS (percent, null when the series does not reach back to the period's start):
+ * { endDate: 'YYYY-MM-DD', '1M': number, '3M': number, '6M': number, 'YTD': number, '1Y': number, sinceStart: number }
+ * A period's return is measured from the close on its start date (or the last trading day
+ * before it) to the close on endDate; YTD starts at the close of the previous December 31. A
+ * series that begins on the first trading day after a period's start date (money invested on
+ * January 2 for YTD) is measured from its start. Returns from the start of a series use
+ * TWR_START_INDEX (portfolio-compare.js) as the base, so they include any sales charges paid on
+ * the first day, like the time-weighted return on the portfolio cards.
+ *
+ * MONTHLY RETURNS (percent, oldest year first):
+ * [{ year: 2025, months: [Jan, Feb, ..., Dec], total: number }]
+ * Months outside the series are null. The first month is measured from the series' start
+ * (TWR_START_INDEX) and the last month up to its last close, so either may be a partial month.
+ *
+ * EXAMPLE USAGE:
+ * const trailing = calculateTrailingReturns(portfolio.dailyValues);
+ * console.log(`1Y: ${trailing['1Y'].toFixed(2)}%`);
+ * const rows = getMonthlyReturnRows(comparison);
+ * downloadTextFile(toDelimitedText(rows, MONTHLY_RETURN_COLUMNS, ','), 'monthly_returns.csv', 'text/csv');
+ */
+
+// Trailing periods in display order (months back from the last date; YTD and sinceStart are special)
+const TRAILING_PERIODS = [
+    { key: '1M', label: '1 Month', months: 1 },
+    { key: '3M', label: '3 Months', months: 3 },
+    { key: '6M', label: '6 Months', months: 6 },
+    { key: 'YTD', label: 'Year to Date' },
+    { key: '1Y', label: '1 Year', months: 12 },
+    { key: 'sinceStart', label: 'Since Start' }
+];
+
+const MONTH_LABELS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Columns written when the tables are exported
+const TRAILING_RETURN_COLUMNS = ['name', 'type', 'endDate', ...TRAILING_PERIODS.map(period => period.key)];
+const MONTHLY_RETURN_COLUMNS = ['name', 'type', 'year', ...MONTH_LABELS, 'total'];
+
+/**
+ * Calculate trailing-period returns from a daily series
+ * @param {Array} dailyValues - Daily values from calculatePortfolio ({ date, twrIndex }), oldest first
+ * @returns {Object} - Trailing returns (see TRAILING RETURNS)
+ */
+function calculateTrailingReturns(dailyValues) {
+    const returns = { endDate: null };
+    TRAILING_PERIODS.forEach(period => returns[period.key] = null);
+    if (dailyValues.length === 0) {
+        return returns;
+    }
+
+    const first = dailyValues[0];
+    const last = dailyValues[dailyValues.length - 1];
+    returns.endDate = last.date;
+    returns.sinceStart = (last.twrIndex / TWR_START_INDEX - 1) * 100;
+
+    TRAILING_PERIODS.forEach(period => {
+        let baseDate = null;
+        if (period.key === 'YTD') {
+            baseDate = `${Number(last.date.slice(0, 4)) - 1}-12-31`;
+        } else if (period.months) {
+            baseDate = subtractMonths(last.date, period.months);
+        } else {
+            return;
+        }
+        const base = findPeriodBase(dailyValues, baseDate);
+        if (base) {
+            const baseIndex = base === first ? TWR_START_INDEX : base.twrIndex;
+            returns[period.key] = (last.twrIndex / baseIndex - 1) * 100;
+        }
+    });
+    return returns;
+}
+
+/**
+ * Calculate calendar-month returns from a daily series, grouped by year
+ * @param {Array} dailyValues - Daily values from calculatePortfolio ({ date, twrIndex }), oldest first
+ * @returns {Array} - Years with monthly and full-year returns (see MONTHLY RETURNS)
+ */
+function calculateMonthlyReturns(dailyValues) {
+    if (dailyValues.length === 0) {
+        return [];
+    }
+
+    // Last close of each month, in order
+    const monthEnds = [];
+    dailyValues.forEach(day => {
+        const month = day.date.slice(0, 7);
+        if (monthEnds.length > 0 && monthEnds[monthEnds.length - 1].month === month) {
+            monthEnds[monthEnds.length - 1].twrIndex = day.twrIndex;
+        } else {
+            monthEnds.push({ month: month, twrIndex: day.twrIndex });
+        }
+    });
+
+    const years = [];
+    let previousIndex = TWR_START_INDEX;
+    let yearStartIndex = previousIndex;
+    monthEnds.forEach(monthEnd => {
+        const year = Number(monthEnd.month.slice(0, 4));
+        let row = years[years.length - 1];
+        if (!row || row.year !== year) {
+            row = { year: year, months: MONTH_LABELS.map(() => null), total: null };
+            years.push(row);
+            yearStartIndex = previousIndex;
+        }
+        row.months[Number(monthEnd.month.slice(5, 7)) - 1] = (monthEnd.twrIndex / previousIndex - 1) * 100;
+        row.total = (monthEnd.twrIndex / yearStartIndex - 1) * 100;
+        previousIndex = monthEnd.twrIndex;
+    });
+    return years;
+}
+
+/**
+ * Build the daily series of a single fund held on its own with distributions reinvested
+ * @param {Object} preparedData - Sorted fund data keyed by ticker (as used by calculatePortfolio)
+ * @param {String} ticker - Fund ticker
+ * @param {String} startDate - First date of the series ('YYYY-MM-DD')
+ * @param {String} [mmfReinvestment] - Money market reinvestment mode (see MMF_REINVESTMENT_MODES)
+ * @returns {Array} - Daily values from calculatePortfolio
+ */
+function calculateFundReturnSeries(preparedData, ticker, startDate, mmfReinvestment = 'monthly') {
+    const portfolio = calculatePortfolio(preparedData, {
+        name: ticker,
+        startDate: startDate,
+        holdings: [{ ticker: ticker, units: 1 }],
+        mmfReinvestment: mmfReinvestment
+    });
+    return portfolio.dailyValues;
+}
+
+/**
+ * Get the trailing returns of every portfolio and fund in a comparison as export rows
+ * @param {Object} comparison - Result of calculatePortfolioComparison
+ * @returns {Array} - Rows with TRAILING_RETURN_COLUMNS
+ */
+function getTrailingReturnRows(comparison) {
+    return getPerformanceSources(comparison).map(source => ({
+        name: source.name,
+        type: source.type,
+        ...source.trailingReturns
+    }));
+}
+
+/**
+ * Get the monthly returns of every portfolio and fund in a comparison as export rows
+ * @param {Object} comparison - Result of calculatePortfolioComparison
+ * @returns {Array} - Rows with MONTHLY_RETURN_COLUMNS, one per name and year
+ */
+function getMonthlyReturnRows(comparison) {
+    const rows = [];
+    getPerformanceSources(comparison).forEach(source => {
+        source.monthlyReturns.forEach(yearRow => {
+            const row = { name: source.name, type: source.type, year: yearRow.year, total: yearRow.total };
+            MONTH_LABELS.forEach((label, index) => row[label] = yearRow.months[index]);
+            rows.push(row);
+        });
+    });
+    return rows;
+}
+
+/**
+ * Render the trailing-return table and monthly grid with export buttons
+ * @param {HTMLElement} container - Target element
+ * @param {Object} comparison - Result of calculatePortfolioComparison
+ */
+function renderPerformancePeriods(container, comparison) {
+    const formatReturn = value => value === null || value === undefined ? '' : `${value.toFixed(2)}%`;
+    const changeClass = value => value === null || value === undefined ? '' : value >= 0 ? 'positive-change' : 'negative-change';
+    const sources = getPerformanceSources(comparison);
+    const endDate = sources.length > 0 ? sources[0].trailingReturns.endDate : null;
+
+    container.innerHTML = `
+        <div class="holdings-title">Trailing Returns${endDate ? ` (to ${endDate})` : ''}</div>
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr><th></th>${TRAILING_PERIODS.map(period => `<th>${period.label}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${sources.map(source => `
+                        <tr>
+                            <td>${escapeConfigHtml(source.name)}</td>
+                            ${TRAILING_PERIODS.map(period => {
+                                const value = source.trailingReturns[period.key];
+                                return `<td class="data-point ${changeClass(value)}">${value === null ? 'N/A' : formatReturn(value)}</td>`;
+                            }).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div class="holdings-title">Monthly Returns</div>
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr><th></th><th>Year</th>${MONTH_LABELS.map(label => `<th>${label}</th>`).join('')}<th>Year Total</th></tr>
+                </thead>
+                <tbody>
+                    ${sources.map(source => source.monthlyReturns.map(yearRow => `
+                        <tr>
+                            <td>${escapeConfigHtml(source.name)}</td>
+                            <td>${yearRow.year}</td>
+                            ${yearRow.months.map(value => `<td class="data-point ${changeClass(value)}">${formatReturn(value)}</td>`).join('')}
+                            <td class="data-point ${changeClass(yearRow.total)}">${formatReturn(yearRow.total)}</td>
+                        </tr>
+                    `).join('')).join('')}
+                </tbody>
+            </table>
+        </div>
+        <div class="button-container">
+            <button class="download-btn trailing-download"><span>📥</span> Export Trailing Returns (CSV)</button>
+            <button class="download-btn monthly-download"><span>📥</span> Export Monthly Returns (CSV)</button>
+        </div>
+    `;
+
+    const dateStamp = new Date().toISOString().split('T')[0];
+    container.querySelector('.trailing-download').addEventListener('click', () => {
+        const csv = toDelimitedText(getTrailingReturnRows(comparison), TRAILING_RETURN_COLUMNS, ',');
+        downloadTextFile(csv, `trailing-returns-${dateStamp}.csv`, 'text/csv');
+    });
+    container.querySelector('.monthly-download').addEventListener('click', () => {
+        const csv = toDelimitedText(getMonthlyReturnRows(comparison), MONTHLY_RETURN_COLUMNS, ',');
+        downloadTextFile(csv, `monthly-returns-${dateStamp}.csv`, 'text/csv');
+    });
+}
+
+/**
+ * List the portfolios, then the funds, of a comparison with their period returns
+ * @param {Object} comparison - Result of calculatePortfolioComparison
+ * @returns {Array} - [{ name, type: 'portfolio' | 'fund', trailingReturns, monthlyReturns }]
+ */
+function getPerformanceSources(comparison) {
+    return [
+        ...comparison.portfolios.map(summary => ({
+            name: summary.name,
+            type: 'portfolio',
+            trailingReturns: summary.trailingReturns,
+            monthlyReturns: summary.monthlyReturns
+        })),
+        ...(comparison.funds || []).map(fund => ({
+            name: fund.ticker,
+            type: 'fund',
+            trailingReturns: fund.trailingReturns,
+            monthlyReturns: fund.monthlyReturns
+        }))
+    ].filter(source => source.trailingReturns && source.monthlyReturns);
+}
+
+/**
+ * Find the daily value a trailing period is measured from: the last one on or before the
+ * period's start date, or the first one when the series begins on the next trading day
+ * @param {Array} dailyValues - Daily values, oldest first
+ * @param {String} date - Period start date ('YYYY-MM-DD')
+ * @returns {Object|null} - Daily value, or null when the series starts later
+ */
+function findPeriodBase(dailyValues, date) {
+    let found = null;
+    for (const day of dailyValues) {
+        if (day.date > date) {
+            break;
+        }
+        found = day;
+    }
+    if (!found && getNextTradingDay(addMarketDays(date, 1)) >= dailyValues[0].date) {
+        found = dailyValues[0];
+    }
+    return found;
+}
+
+/**
+ * Go back a number of calendar months, keeping the day of the month where it exists
+ * (2025-03-31 minus one month is 2025-02-28)
+ * @param {String} date - 'YYYY-MM-DD'
+ * @param {Number} months - Months to go back
+ * @returns {String} - 'YYYY-MM-DD'
+ */
+function subtractMonths(date, months) {
+    const [year, month, day] = date.split('-').map(Number);
+    const totalMonths = year * 12 + (month - 1) - months;
+    const targetYear = Math.floor(totalMonths / 12);
+    const targetMonth = totalMonths % 12;
+    const daysInMonth = new Date(Date.UTC(targetYear, targetMonth + 1, 0)).getUTCDate();
+    const targetDay = Math.min(day, daysInMonth);
+    return `${targetYear}-${String(targetMonth + 1).padStart(2, '0')}-${String(targetDay).padStart(2, '0')}`;
+}
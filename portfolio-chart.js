@@ -0,0 +1,481 @@
+/**
+ * Portfolio Chart Module
+ * filename = portfolio-chart.js
+ * Draws the aligned portfolio comparison series (from alignPortfolioSeries) as an
+ * interactive SVG chart. Uses no external libraries so the page works offline.
+ *
+ * USAGE:
+ * renderPortfolioChart(container, comparison, [options])
+ *
+ * @param {HTMLElement} container - Element the chart (toolbar, plot and tooltip) is drawn into
+ * @param {Object} comparison - Result of calculatePortfolioComparison
+ * @param {Object} [options] - { view: 'index' | 'value' | 'drawdown', height: number }
+ * @returns {Object} - Chart state; pass it to drawPortfolioChart to redraw
+ *
+ * FEATURES:
+ * - Indexed (start = 100), dollar value or drawdown (underwater) view, toggled from the toolbar
+ * - Benchmarks (b1Index, ...) drawn as dashed lines in the indexed view
+ * - Lower panel plots the difference between the second and first portfolio
+ * - Hover tooltip with the date and every series value
+ * - Markers on dates where a portfolio reinvested a distribution
+ * - Zoom by dragging across the plot or by picking From/To dates; Reset restores the full range
+ *
+ * The SVG markup itself comes from buildChartSvg(chart, width, height), which needs no DOM
+ * and can be reused for static output.
+ */
+
+const CHART_MARGIN = { top: 20, right: 20, bottom: 30, left: 80 };
+const CHART_PANEL_GAP = 30;
+const CHART_DEFAULT_HEIGHT = 380;
+
+/**
+ * Render an interactive portfolio chart into a container
+ * @param {HTMLElement} container - Target element
+ * @param {Object} comparison - Portfolio comparison data
+ * @param {Object} options - Chart options
+ * @returns {Object} - Chart state
+ */
+function renderPortfolioChart(container, comparison, options = {}) {
+    const chart = {
+        container: container,
+        comparison: comparison,
+        view: options.view || 'index',
+        range: null,
+        height: options.height || CHART_DEFAULT_HEIGHT,
+        layout: null,
+        dragStartX: null
+    };
+
+    container.innerHTML = `
+        <div class="chart-toolbar">
+            <select class="format-select chart-view">
+                <option value="index">Indexed (start = 100)</option>
+                <option value="value">Dollar Value</option>
+                <option value="drawdown">Drawdown (%)</option>
+            </select>
+            <label>From <input type="date" class="format-select chart-from"></label>
+            <label>To <input type="date" class="format-select chart-to"></label>
+            <button class="download-btn chart-reset">Reset Zoom</button>
+        </div>
+        <div class="chart-plot"></div>
+        <div class="chart-tooltip"></div>
+    `;
+
+    const viewSelect = container.querySelector('.chart-view');
+    const fromInput = container.querySelector('.chart-from');
+    const toInput = container.querySelector('.chart-to');
+    const plot = container.querySelector('.chart-plot');
+
+    viewSelect.value = chart.view;
+    viewSelect.addEventListener('change', () => {
+        chart.view = viewSelect.value;
+        drawPortfolioChart(chart);
+    });
+
+    const applyDateInputs = () => {
+        if (fromInput.value && toInput.value && fromInput.value <= toInput.value) {
+            chart.range = [fromInput.value, toInput.value];
+            drawPortfolioChart(chart);
+        }
+    };
+    fromInput.addEventListener('change', applyDateInputs);
+    toInput.addEventListener('change', applyDateInputs);
+
+    container.querySelector('.chart-reset').addEventListener('click', () => {
+        chart.range = null;
+        drawPortfolioChart(chart);
+    });
+
+    plot.addEventListener('mousedown', event => {
+        chart.dragStartX = getPlotX(plot, event);
+    });
+    plot.addEventListener('mousemove', event => handleChartHover(chart, getPlotX(plot, event), event));
+    plot.addEventListener('mouseleave', () => hideChartHover(chart));
+    plot.addEventListener('mouseup', event => {
+        const startX = chart.dragStartX;
+        const endX = getPlotX(plot, event);
+        chart.dragStartX = null;
+        if (startX === null || Math.abs(endX - startX) < 5 || !chart.layout) {
+            return;
+        }
+        const startDate = getNearestPoint(chart.layout, Math.min(startX, endX)).date;
+        const endDate = getNearestPoint(chart.layout, Math.max(startX, endX)).date;
+        if (startDate < endDate) {
+            chart.range = [startDate, endDate];
+            drawPortfolioChart(chart);
+        }
+    });
+
+    // Register the resize handler once per container, even when the chart is rendered again
+    if (!container.portfolioChart) {
+        window.addEventListener('resize', () => drawPortfolioChart(container.portfolioChart));
+    }
+    container.portfolioChart = chart;
+
+    drawPortfolioChart(chart);
+    return chart;
+}
+
+/**
+ * Redraw a chart from its current state (view, zoom range and data)
+ * @param {Object} chart - Chart state from renderPortfolioChart
+ */
+function drawPortfolioChart(chart) {
+    const plot = chart.container.querySelector('.chart-plot');
+    const width = plot.clientWidth || 1000;
+
+    plot.innerHTML = buildChartSvg(chart, width, chart.height);
+    chart.layout = computeChartLayout(chart, width, chart.height);
+
+    // Keep the date pickers in sync with the visible range
+    const allPoints = chart.comparison.dailyValues;
+    const fromInput = chart.container.querySelector('.chart-from');
+    const toInput = chart.container.querySelector('.chart-to');
+    if (allPoints.length > 0) {
+        fromInput.min = toInput.min = allPoints[0].date;
+        fromInput.max = toInput.max = allPoints[allPoints.length - 1].date;
+    }
+    const visible = chart.layout ? chart.layout.points : [];
+    fromInput.value = visible.length > 0 ? visible[0].date : '';
+    toInput.value = visible.length > 0 ? visible[visible.length - 1].date : '';
+}
+
+/**
+ * Get the series plotted in the main panel for the current view
+ * Benchmarks have no dollar value, so they are only plotted in the indexed view
+ * @param {Object} comparison - Portfolio comparison data
+ * @param {String} view - 'index', 'value' or 'drawdown'
+ * @returns {Array} - Series definitions ({ key, label, color, dashed })
+ */
+function getChartSeries(comparison, view) {
+    const suffix = { index: 'Index', value: 'Value', drawdown: 'Drawdown' }[view];
+    const series = comparison.portfolios.map((summary, index) => ({
+        key: `p${index + 1}${suffix}`,
+        label: summary.name,
+        color: PORTFOLIO_COLORS[index % PORTFOLIO_COLORS.length],
+        dashed: false
+    }));
+    if (view === 'index') {
+        (comparison.benchmarks || []).forEach((benchmark, index) => series.push({
+            key: `b${index + 1}Index`,
+            label: benchmark.totalReturn ? benchmark.ticker : `${benchmark.ticker} (price only)`,
+            color: BENCHMARK_COLORS[index % BENCHMARK_COLORS.length],
+            dashed: true
+        }));
+    }
+    return series;
+}
+
+/**
+ * Get the difference panel value for a data point
+ * @param {Object} point - Aligned data point
+ * @param {String} view - 'index' (index points), 'value' (dollars) or 'drawdown' (percentage points)
+ * @returns {Number} - Second portfolio minus first portfolio
+ */
+function getDifferenceValue(point, view) {
+    if (view === 'value') {
+        return point.p2Value - point.p1Value;
+    }
+    return view === 'drawdown' ? point.p2Drawdown - point.p1Drawdown : point.difference;
+}
+
+/**
+ * Collect dates on which a portfolio reinvested a distribution
+ * Money market funds compounded daily reinvest every day, so they are left out to keep the
+ * markers readable; with monthly reinvestment their monthly payments are shown
+ * @param {Object} comparison - Portfolio comparison data
+ * @returns {Array} - Markers ({ date, portfolioIndex, tickers })
+ */
+function getDistributionMarkers(comparison) {
+    const markers = [];
+    (comparison.portfolioSeries || []).forEach((portfolio, portfolioIndex) => {
+        portfolio.dailyValues.forEach(day => {
+            const tickers = Object.keys(day.holdings || {}).filter(ticker =>
+                day.holdings[ticker].distRatio > 0 && !(isMmfTicker(ticker) && comparison.mmfReinvestment === 'daily')
+            );
+            if (tickers.length > 0) {
+                markers.push({ date: day.date, portfolioIndex: portfolioIndex, tickers: tickers });
+            }
+        });
+    });
+    return markers;
+}
+
+/**
+ * Compute scales and panel positions for the visible part of the chart
+ * @param {Object} chart - Chart state ({ comparison, view, range })
+ * @param {Number} width - Chart width in pixels
+ * @param {Number} height - Chart height in pixels
+ * @returns {Object|null} - Layout, or null when there is nothing to plot
+ */
+function computeChartLayout(chart, width, height) {
+    const points = chart.comparison.dailyValues.filter(point =>
+        !chart.range || (point.date >= chart.range[0] && point.date <= chart.range[1])
+    );
+    if (points.length === 0) {
+        return null;
+    }
+
+    const series = getChartSeries(chart.comparison, chart.view);
+    const showDifference = chart.comparison.portfolios.length > 1;
+
+    const left = CHART_MARGIN.left;
+    const right = width - CHART_MARGIN.right;
+    const mainTop = CHART_MARGIN.top;
+    const bottom = height - CHART_MARGIN.bottom;
+    const mainBottom = showDifference ? Math.round(mainTop + (bottom - mainTop - CHART_PANEL_GAP) * 0.7) : bottom;
+    const diffTop = mainBottom + CHART_PANEL_GAP;
+
+    const times = points.map(point => new Date(point.date).getTime());
+    const firstTime = times[0];
+    const lastTime = times[times.length - 1];
+    const xScale = time => lastTime === firstTime
+        ? (left + right) / 2
+        : left + ((time - firstTime) / (lastTime - firstTime)) * (right - left);
+
+    const mainValues = [];
+    points.forEach(point => series.forEach(s => mainValues.push(point[s.key])));
+    const mainScale = createLinearScale(mainValues, mainBottom, mainTop);
+
+    let diffScale = null;
+    if (showDifference) {
+        const diffValues = points.map(point => getDifferenceValue(point, chart.view));
+        diffValues.push(0);
+        diffScale = createLinearScale(diffValues, bottom, diffTop);
+    }
+
+    return {
+        width, height, left, right, mainTop, mainBottom, diffTop, bottom,
+        points, times, series, showDifference, xScale, mainScale, diffScale
+    };
+}
+
+/**
+ * Create a linear scale mapping a value domain onto a pixel range, padded by 5%
+ * @param {Array} values - Values that must fit in the scale
+ * @param {Number} pixelMin - Pixel position of the smallest value
+ * @param {Number} pixelMax - Pixel position of the largest value
+ * @returns {Object} - { map(value), ticks }
+ */
+function createLinearScale(values, pixelMin, pixelMax) {
+    const finite = values.filter(value => Number.isFinite(value));
+    let min = finite.length > 0 ? Math.min(...finite) : 0;
+    let max = finite.length > 0 ? Math.max(...finite) : 1;
+    if (min === max) {
+        min -= 1;
+        max += 1;
+    }
+    const padding = (max - min) * 0.05;
+    min -= padding;
+    max += padding;
+
+    const ticks = [];
+    for (let i = 0; i <= 4; i++) {
+        ticks.push(min + ((max - min) * i) / 4);
+    }
+
+    return {
+        map: value => pixelMin + ((value - min) / (max - min)) * (pixelMax - pixelMin),
+        ticks: ticks
+    };
+}
+
+/**
+ * Format a value for axis labels and tooltips
+ * @param {Number} value - Value to format
+ * @param {String} view - 'index', 'value' or 'drawdown'
+ * @returns {String} - Formatted value
+ */
+function formatChartValue(value, view) {
+    if (!Number.isFinite(value)) {
+        return 'N/A';
+    }
+    if (view === 'value') {
+        return value.toLocaleString('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 });
+    }
+    if (view === 'drawdown') {
+        return `${value.toFixed(2)}%`;
+    }
+    return value.toFixed(2);
+}
+
+/**
+ * Build the SVG markup for a chart
+ * @param {Object} chart - Chart state ({ comparison, view, range })
+ * @param {Number} width - Chart width in pixels
+ * @param {Number} height - Chart height in pixels
+ * @returns {String} - SVG markup
+ */
+function buildChartSvg(chart, width, height) {
+    const layout = computeChartLayout(chart, width, height);
+    if (!layout) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+            <text x="${width / 2}" y="${height / 2}" fill="#a3a3a3" text-anchor="middle">No comparison data to chart</text>
+        </svg>`;
+    }
+
+    const { points, times, series, xScale, mainScale, diffScale } = layout;
+    const parts = [];
+
+    // Grid lines and y-axis labels
+    const addAxis = (scale, view, top, bottom) => {
+        scale.ticks.forEach(tick => {
+            const y = scale.map(tick);
+            if (y >= top - 1 && y <= bottom + 1) {
+                parts.push(`<line x1="${layout.left}" x2="${layout.right}" y1="${y}" y2="${y}" stroke="#2d3748" />`);
+                parts.push(`<text x="${layout.left - 8}" y="${y + 4}" fill="#a3a3a3" font-size="11" text-anchor="end">${formatChartValue(tick, view)}</text>`);
+            }
+        });
+    };
+    addAxis(mainScale, chart.view, layout.mainTop, layout.mainBottom);
+
+    // X-axis date labels
+    const labelCount = Math.min(6, points.length);
+    for (let i = 0; i < labelCount; i++) {
+        const index = labelCount === 1 ? 0 : Math.round((i * (points.length - 1)) / (labelCount - 1));
+        const x = xScale(times[index]);
+        parts.push(`<text x="${x}" y="${layout.bottom + 18}" fill="#a3a3a3" font-size="11" text-anchor="middle">${points[index].date}</text>`);
+    }
+
+    // Portfolio and benchmark lines (a benchmark starting later has no value at first)
+    series.forEach(s => {
+        const segments = [];
+        let drawing = false;
+        points.forEach((point, index) => {
+            if (!Number.isFinite(point[s.key])) {
+                drawing = false;
+                return;
+            }
+            segments.push(`${drawing ? 'L' : 'M'}${xScale(times[index]).toFixed(1)},${mainScale.map(point[s.key]).toFixed(1)}`);
+            drawing = true;
+        });
+        parts.push(`<path d="${segments.join(' ')}" fill="none" stroke="${s.color}" stroke-width="${s.dashed ? 1.5 : 2}"${s.dashed ? ' stroke-dasharray="6 4"' : ''} />`);
+    });
+
+    // Distribution markers along the bottom of the main panel
+    const firstDate = points[0].date;
+    const lastDate = points[points.length - 1].date;
+    getDistributionMarkers(chart.comparison)
+        .filter(marker => marker.date >= firstDate && marker.date <= lastDate)
+        .forEach(marker => {
+            const x = xScale(new Date(marker.date).getTime());
+            const y = layout.mainBottom - 4 - marker.portfolioIndex * 8;
+            const color = PORTFOLIO_COLORS[marker.portfolioIndex % PORTFOLIO_COLORS.length];
+            parts.push(`<path d="M${x - 4},${y} L${x + 4},${y} L${x},${y - 7} Z" fill="${color}"><title>${marker.date} distribution: ${escapeConfigHtml(marker.tickers.join(', '))}</title></path>`);
+        });
+
+    // Difference panel
+    if (layout.showDifference) {
+        addAxis(diffScale, chart.view, layout.diffTop, layout.bottom);
+        const zeroY = diffScale.map(0);
+        parts.push(`<line x1="${layout.left}" x2="${layout.right}" y1="${zeroY}" y2="${zeroY}" stroke="#4b5563" stroke-dasharray="4 3" />`);
+        const path = points
+            .map((point, index) => `${index === 0 ? 'M' : 'L'}${xScale(times[index]).toFixed(1)},${diffScale.map(getDifferenceValue(point, chart.view)).toFixed(1)}`)
+            .join(' ');
+        parts.push(`<path d="${path}" fill="none" stroke="#f87171" stroke-width="1.5" />`);
+        parts.push(`<text x="${layout.left + 4}" y="${layout.diffTop - 6}" fill="#c4c4c4" font-size="11">Difference (${escapeConfigHtml(series[1].label)} - ${escapeConfigHtml(series[0].label)})</text>`);
+    }
+
+    // Legend
+    series.forEach((s, index) => {
+        const x = layout.left + 10 + index * 190;
+        parts.push(s.dashed
+            ? `<line x1="${x}" x2="${x + 12}" y1="5.5" y2="5.5" stroke="${s.color}" stroke-width="2" stroke-dasharray="4 2" />`
+            : `<rect x="${x}" y="4" width="12" height="3" fill="${s.color}" />`);
+        parts.push(`<text x="${x + 16}" y="10" fill="#c4c4c4" font-size="11">${escapeConfigHtml(s.label)}</text>`);
+    });
+
+    // Hover line and drag selection, positioned by the interactive handlers
+    parts.push(`<line class="chart-hover-line" x1="0" x2="0" y1="${layout.mainTop}" y2="${layout.bottom}" stroke="#e4e4e4" stroke-width="1" visibility="hidden" />`);
+    parts.push(`<rect class="chart-selection" x="0" y="${layout.mainTop}" width="0" height="${layout.bottom - layout.mainTop}" fill="rgba(99, 102, 241, 0.2)" visibility="hidden" />`);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" font-family="Segoe UI, Tahoma, sans-serif">${parts.join('')}</svg>`;
+}
+
+/**
+ * Get the mouse x position relative to the plot element
+ * @param {HTMLElement} plot - Plot element
+ * @param {MouseEvent} event - Mouse event
+ * @returns {Number} - X position in pixels
+ */
+function getPlotX(plot, event) {
+    return event.clientX - plot.getBoundingClientRect().left;
+}
+
+/**
+ * Find the visible data point closest to an x position
+ * @param {Object} layout - Chart layout
+ * @param {Number} x - X position in pixels
+ * @returns {Object} - Closest data point
+ */
+function getNearestPoint(layout, x) {
+    let nearestIndex = 0;
+    let nearestDistance = Infinity;
+    layout.times.forEach((time, index) => {
+        const distance = Math.abs(layout.xScale(time) - x);
+        if (distance < nearestDistance) {
+            nearestDistance = distance;
+            nearestIndex = index;
+        }
+    });
+    return layout.points[nearestIndex];
+}
+
+/**
+ * Update the hover line, tooltip and drag selection for a mouse position
+ * @param {Object} chart - Chart state
+ * @param {Number} x - X position in pixels
+ * @param {MouseEvent} event - Mouse event
+ */
+function handleChartHover(chart, x, event) {
+    const layout = chart.layout;
+    if (!layout) {
+        return;
+    }
+
+    const point = getNearestPoint(layout, x);
+    const pointX = layout.xScale(new Date(point.date).getTime());
+    const hoverLine = chart.container.querySelector('.chart-hover-line');
+    hoverLine.setAttribute('x1', pointX);
+    hoverLine.setAttribute('x2', pointX);
+    hoverLine.setAttribute('visibility', 'visible');
+
+    const selection = chart.container.querySelector('.chart-selection');
+    if (chart.dragStartX !== null) {
+        selection.setAttribute('x', Math.min(chart.dragStartX, x));
+        selection.setAttribute('width', Math.abs(x - chart.dragStartX));
+        selection.setAttribute('visibility', 'visible');
+    }
+
+    const markers = getDistributionMarkers(chart.comparison).filter(marker => marker.date === point.date);
+    const rows = layout.series.map(s => `
+        <div><span style="color: ${s.color}">■</span> ${escapeConfigHtml(s.label)}: ${formatChartValue(point[s.key], chart.view)}</div>
+    `);
+    if (layout.showDifference) {
+        rows.push(`<div>Difference: ${formatChartValue(getDifferenceValue(point, chart.view), chart.view)}</div>`);
+    }
+    markers.forEach(marker => {
+        rows.push(`<div>Distribution: ${escapeConfigHtml(marker.tickers.join(', '))}</div>`);
+    });
+
+    const tooltip = chart.container.querySelector('.chart-tooltip');
+    tooltip.innerHTML = `<strong>${point.date}</strong>${rows.join('')}`;
+    tooltip.style.display = 'block';
+    const containerRect = chart.container.getBoundingClientRect();
+    const offsetX = event.clientX - containerRect.left;
+    tooltip.style.left = `${offsetX > layout.width / 2 ? offsetX - tooltip.offsetWidth - 15 : offsetX + 15}px`;
+    tooltip.style.top = `${event.clientY - containerRect.top + 15}px`;
+}
+
+/**
+ * Hide the hover line, tooltip and drag selection
+ * @param {Object} chart - Chart state
+ */
+function hideChartHover(chart) {
+    chart.dragStartX = null;
+    const hoverLine = chart.container.querySelector('.chart-hover-line');
+    const selection = chart.container.querySelector('.chart-selection');
+    if (hoverLine) hoverLine.setAttribute('visibility', 'hidden');
+    if (selection) selection.setAttribute('visibility', 'hidden');
+    chart.container.querySelector('.chart-tooltip').style.display = 'none';
+}
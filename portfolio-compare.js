@@ -1,81 +1,237 @@
 /**
  * Portfolio Comparison Module
- * Compares performance between a Money Market Fund portfolio and a Mutual Funds portfolio
- * Tracks daily values with distribution reinvestment
+ * Compares performance between any number of portfolios, each holding any number of funds
+ * Tracks daily values with distribution reinvestment on exchange trading days (market-calendar.js)
+ *
+ * PORTFOLIO CONFIG:
+ * {
+ *     startDate: '2024-12-31',               // Default start date for every portfolio
+ *     portfolios: [
+ *         {
+ *             name: 'MMF Portfolio',
+ *             startDate: '2024-12-31',       // Optional, overrides the default start date
+ *             holdings: [
+ *                 { ticker: 'AFAXX', units: 77650.78 }
+ *             ]
+ *         },
+ *         {
+ *             name: 'Mutual Funds Portfolio',
+ *             holdings: [
+ *                 { ticker: 'AGTHX', units: 104.855 },
+ *                 { ticker: 'ANCFX', dollars: 70000 }   // Dollars are converted at the first NAV
+ *             ],
+ *             transactions: [                  // Optional ledger of later contributions and withdrawals
+ *                 { date: '2025-03-03', ticker: 'AGTHX', type: 'buy', dollars: 5000 },
+ *                 { date: '2025-06-02', ticker: 'ANCFX', type: 'sell', units: 25, lotIds: ['ANCFX-1'] }
+ *             ],
+ *             costBasisMethod: 'fifo'          // Optional: 'fifo' (default), 'specific' or 'average'
+ *         },
+ *         {
+ *             name: 'Balanced 60/40',
+ *             holdings: [                      // targetWeight in percent, used when rebalancing
+ *                 { ticker: 'AGTHX', dollars: 60000, targetWeight: 60 },
+ *                 { ticker: 'AFAXX', dollars: 40000, targetWeight: 40 }
+ *             ],
+ *             rebalance: { rule: 'quarterly', compareBuyAndHold: true }   // Optional (see rebalancing.js)
+ *         }
+ *     ],
+ *     tax: { enabled: true, payFrom: 'reinvestment', rates: { ... } },  // Optional after-tax mode (see tax-model.js)
+ *     fees: { enabled: true },               // Optional sales charges on load funds (see fund-fees.js)
+ *     mmfReinvestment: 'monthly',            // Optional: 'monthly' (default) or 'daily' (see MMF_REINVESTMENT_MODES)
+ *     benchmarks: ['SPY']                    // Optional index tickers to measure every portfolio against
+ * }
+ *
+ * Benchmark prices are passed separately, keyed by ticker, as returned by fetchFundData
+ * (see benchmark-metrics.js). Each portfolio summary gets a benchmarks array of metrics and the
+ * aligned daily values get a b1Index, b2Index, ... series next to p1Index, p2Index, ...
+ *
+ * A rebalanced portfolio with compareBuyAndHold is followed by a copy named "<name> (Buy & Hold)"
+ * that keeps its starting holdings, so both appear in the cards and chart. Each summary carries
+ * the rebalance trade log (rebalanceTrades).
+ *
+ * Each summary also gets trailingReturns and monthlyReturns, and comparison.funds lists the same
+ * figures for every fund held on its own (see performance-periods.js).
+ *
+ * With fees enabled, each summary lists the sales charges paid (salesCharges, salesChargesTotal)
+ * and comparison.breakEven estimates how long each portfolio that paid them needs to outperform
+ * each portfolio that did not to recover them.
+ *
+ * Sharpe and Sortino ratios use the daily yield of the first money market fund in the config
+ * as the risk-free rate (zero when no portfolio holds one); see getRiskFreeRates.
+ *
+ * Returns from the start (time-weighted return, since-start and monthly returns, benchmark
+ * returns, drawdowns, the chart index) are all measured from TWR_START_INDEX, the index before
+ * the first day, so sales charges paid on the start date count against them.
  */
 
+// Time-weighted index before the first day; the first day's index is already net of starting loads
+const TWR_START_INDEX = 100;
+
+// How money market fund income is reinvested: 'monthly' accrues the daily rates and reinvests
+// them on the last trading day of the month, 'daily' compounds each day's rate into units
+const MMF_REINVESTMENT_MODES = ['monthly', 'daily'];
+
+// Accent colors assigned to portfolios in order (cards and charts)
+const PORTFOLIO_COLORS = ['#10b981', '#8b5cf6', '#f59e0b', '#3b82f6', '#ec4899', '#14b8a6'];
+
 /**
- * Calculate the comparison between two portfolios
- * @param {Object} fundData - The fund data object containing NAV and distribution data
+ * Calculate the comparison between any number of portfolios
+ * @param {Object} fundData - The fund data object containing NAV and distribution data, keyed by ticker
  * @param {Object} portfolioConfig - Configuration for the portfolios
- * @returns {Object} - Comparison results for both portfolios
+ * @param {Object} [benchmarkData] - Benchmark prices from fetchFundData, keyed by ticker
+ * @returns {Object} - Comparison results for all portfolios
  */
-function calculatePortfolioComparison(fundData, portfolioConfig) {
-    console.log('Entering calculatePortfolioComparison with fundData:', Object.keys(fundData), 'portfolioConfig:', portfolioConfig);
+function calculatePortfolioComparison(fundData, portfolioConfig, benchmarkData = {}) {
+    console.log('Entering calculatePortfolioComparison with fundData:', Object.keys(fundData || {}), 'portfolioConfig:', portfolioConfig);
 
     // Validate inputs
     if (!fundData || !portfolioConfig) {
         throw new Error('Missing required data for portfolio comparison');
     }
-    
-    if (!fundData.AFAXX || !fundData.AGTHX || !fundData.ANCFX) {
-        throw new Error('Missing required fund data for portfolio comparison');
+
+    if (!Array.isArray(portfolioConfig.portfolios) || portfolioConfig.portfolios.length === 0) {
+        throw new Error('Portfolio configuration must contain at least one portfolio');
+    }
+
+    const tickers = getPortfolioTickers(portfolioConfig.portfolios);
+    const missingTickers = tickers.filter(ticker => !fundData[ticker] || !fundData[ticker].merged);
+    if (missingTickers.length > 0) {
+        throw new Error(`Missing required fund data for portfolio comparison: ${missingTickers.join(', ')}`);
     }
 
-    console.log('Post-validation - AGTHX merged length:', fundData.AGTHX.merged.length); // Debug
-    
     // Preparation: Standardize the format of merged data for all funds
     console.log('Preparing time series data...');
-    const preparedData = {
-        AFAXX: prepareTimeSeries(fundData.AFAXX.merged),
-        AGTHX: prepareTimeSeries(fundData.AGTHX.merged),
-        ANCFX: prepareTimeSeries(fundData.ANCFX.merged)
-    };
-    console.log('Prepared data lengths - AFAXX:', preparedData.AFAXX.length, 'AGTHX:', preparedData.AGTHX.length, 'ANCFX:', preparedData.ANCFX.length);
-    console.log('Sample AFAXX[0]:', preparedData.AFAXX[0], 'AGTHX[0]:', preparedData.AGTHX[0], 'ANCFX[0]:', preparedData.ANCFX[0]);
-    
+    const preparedData = {};
+    tickers.forEach(ticker => {
+        preparedData[ticker] = alignToTradingCalendar(prepareTimeSeries(fundData[ticker].merged));
+        console.log(`Prepared ${ticker} length:`, preparedData[ticker].length, 'Sample:', preparedData[ticker][0]);
+    });
+
     // Get a list of all available dates from all funds
-    const allDates = getAllDates([
-        preparedData.AFAXX,
-        preparedData.AGTHX,
-        preparedData.ANCFX
-    ]);
+    const allDates = getAllDates(tickers.map(ticker => preparedData[ticker]));
     console.log('Total unique dates:', allDates.length, 'First date:', allDates[0], 'Last date:', allDates[allDates.length - 1]);
-    
-    // Calculate MMF Portfolio (AFAXX)
-    console.log('Calculating MMF Portfolio...');
-    const mmfPortfolio = calculateMMFPortfolio(
-        preparedData.AFAXX,
-        portfolioConfig.mmf.units,
-        portfolioConfig.mmf.startDate
-    );
-    
-    // Calculate Mutual Funds Portfolio (AGTHX + ANCFX)
-    console.log('Calculating Mutual Funds Portfolio...');
-    const mutualFundsPortfolio = calculateMutualFundsPortfolio(
-        preparedData.AGTHX,
-        preparedData.ANCFX,
-        portfolioConfig.mutualFunds.AGTHX,
-        portfolioConfig.mutualFunds.ANCFX,
-        portfolioConfig.mutualFunds.startDate
-    );
-    
-    // Calculate daily value for both portfolios on the same date scale
+
+    // Calculate each portfolio, followed by its buy-and-hold twin when a rebalanced portfolio asks for one
+    const feeSettings = normalizeFeeSettings(portfolioConfig.fees);
+    const definitions = portfolioConfig.portfolios.flatMap((definition, index) => {
+        const full = {
+            ...definition,
+            name: definition.name || `Portfolio ${index + 1}`,
+            startDate: definition.startDate || portfolioConfig.startDate,
+            mmfReinvestment: portfolioConfig.mmfReinvestment || 'monthly',
+            fees: feeSettings
+        };
+        const rebalance = definition.rebalance || {};
+        if (rebalance.rule && rebalance.rule !== 'none' && rebalance.compareBuyAndHold) {
+            return [full, { ...full, name: `${full.name} (Buy & Hold)`, rebalance: null }];
+        }
+        return [full];
+    });
+    const portfolios = definitions.map(definition => {
+        console.log(`Calculating ${definition.name}...`);
+        return calculatePortfolio(preparedData, definition);
+    });
+
+    // In after-tax mode, calculate each portfolio again with distributions taxed
+    const taxSettings = normalizeTaxSettings(portfolioConfig.tax);
+    let afterTaxPortfolios = null;
+    if (taxSettings.enabled) {
+        console.log('Calculating after-tax portfolios...', taxSettings);
+        afterTaxPortfolios = definitions.map(definition => calculatePortfolio(preparedData, { ...definition, tax: taxSettings }));
+    }
+
+    // Benchmarks without price data are left out rather than failing the comparison
+    const benchmarks = [];
+    (portfolioConfig.benchmarks || []).forEach(ticker => {
+        const benchmark = prepareBenchmarkSeries(ticker, benchmarkData[ticker]);
+        if (benchmark.points.length > 0) {
+            benchmarks.push(benchmark);
+        } else {
+            console.warn(`No price data for benchmark ${ticker}; it is left out of the comparison`);
+        }
+    });
+
+    const riskFree = getRiskFreeRates(preparedData, tickers);
+
+    // Calculate daily value for all portfolios on the same date scale
     console.log('Aligning portfolio series...');
-    const commonDailyValues = alignPortfolioSeries(mmfPortfolio, mutualFundsPortfolio, allDates);
+    const commonDailyValues = alignPortfolioSeries(portfolios, allDates, benchmarks);
     console.log('Common daily values length:', commonDailyValues.length, 'Sample:', commonDailyValues[0]);
-    
+
     // Compare the performance metrics
     const comparison = {
-        mmfPortfolio: summarizePortfolio(mmfPortfolio, 'MMF Portfolio'),
-        mutualFundsPortfolio: summarizePortfolio(mutualFundsPortfolio, 'Mutual Funds Portfolio'),
+        portfolios: portfolios.map(portfolio => summarizePortfolio(portfolio, portfolio.name, riskFree)),
+        portfolioSeries: portfolios,
+        afterTaxSeries: afterTaxPortfolios,
+        taxSettings: taxSettings,
+        mmfReinvestment: portfolioConfig.mmfReinvestment || 'monthly',
+        riskFreeTicker: riskFree.ticker,
+        benchmarks: benchmarks.map(benchmark => ({ ticker: benchmark.ticker, totalReturn: benchmark.totalReturn })),
         dailyValues: commonDailyValues
     };
-    console.log('Comparison summary - MMF:', comparison.mmfPortfolio, 'Mutual Funds:', comparison.mutualFundsPortfolio);
-    
+    comparison.portfolios.forEach((summary, index) => {
+        summary.benchmarks = benchmarks.map(benchmark => calculateBenchmarkMetrics(portfolios[index].dailyValues, benchmark));
+        summary.trailingReturns = calculateTrailingReturns(portfolios[index].dailyValues);
+        summary.monthlyReturns = calculateMonthlyReturns(portfolios[index].dailyValues);
+
+        // Without contributions or withdrawals both measure the same growth from the same base
+        const sinceStart = summary.trailingReturns.sinceStart;
+        if (portfolios[index].cashFlows.length <= 1 && sinceStart !== null && Math.abs(summary.timeWeightedReturn - sinceStart) > 1e-9) {
+            console.warn(`${summary.name}: time-weighted return ${summary.timeWeightedReturn}% differs from the since-start return ${sinceStart}%`);
+        }
+    });
+
+    // How long each portfolio that paid sales charges needs to recover them against each that did not
+    comparison.feeSettings = feeSettings;
+    comparison.breakEven = [];
+    if (feeSettings.enabled) {
+        const loaded = portfolios.filter(portfolio => portfolio.salesCharges.length > 0);
+        const references = portfolios.filter(portfolio => portfolio.salesCharges.length === 0 && portfolio.dailyValues.length > 0);
+        loaded.forEach(portfolio => references.forEach(reference => {
+            const breakEven = calculateBreakEven(portfolio, reference);
+            if (breakEven) {
+                comparison.breakEven.push(breakEven);
+            }
+        }));
+    }
+
+    // Each fund on its own, from the comparison's start date (or its first date)
+    comparison.funds = tickers.map(ticker => {
+        const startDate = portfolioConfig.startDate || (preparedData[ticker][0] || {}).date;
+        const dailyValues = calculateFundReturnSeries(preparedData, ticker, startDate, comparison.mmfReinvestment);
+        return {
+            ticker: ticker,
+            trailingReturns: calculateTrailingReturns(dailyValues),
+            monthlyReturns: calculateMonthlyReturns(dailyValues)
+        };
+    });
+    if (afterTaxPortfolios) {
+        comparison.portfolios.forEach((summary, index) => {
+            summary.afterTax = summarizeAfterTax(afterTaxPortfolios[index]);
+        });
+    }
+    console.log('Comparison summary:', comparison.portfolios);
+
     return comparison;
 }
 
+/**
+ * Get the unique tickers held or traded across a list of portfolio definitions
+ * @param {Array} portfolios - Portfolio definitions from the portfolio config
+ * @returns {Array} - Unique tickers in order of first appearance
+ */
+function getPortfolioTickers(portfolios) {
+    const tickers = [];
+    portfolios.forEach(portfolio => {
+        [...(portfolio.holdings || []), ...(portfolio.transactions || [])].forEach(entry => {
+            if (!tickers.includes(entry.ticker)) {
+                tickers.push(entry.ticker);
+            }
+        });
+    });
+    return tickers;
+}
+
 /**
  * Prepare time series data for calculations by standardizing format and ordering
  * @param {Array} data - The fund data array
@@ -86,13 +242,81 @@ function prepareTimeSeries(data) {
         console.log('prepareTimeSeries: Empty or null data received');
         return [];
     }
-    
+
     const processed = [...data];
     processed.sort((a, b) => new Date(a.date) - new Date(b.date));
     console.log('prepareTimeSeries: Sorted', processed.length, 'items, first:', processed[0]);
     return processed;
 }
 
+/**
+ * Put a fund's series on the exchange trading-day calendar (see market-calendar.js)
+ * Rows on weekends and holidays are dropped, with any distribution on them moved to the next
+ * trading day, and trading days without a NAV between the fund's first and last rows are filled
+ * with the previous NAV (marked filled: true). Every fund then has the same dates.
+ * @param {Array} series - Sorted rows from prepareTimeSeries
+ * @returns {Array} - One row per trading day, oldest first
+ */
+function alignToTradingCalendar(series) {
+    if (series.length === 0) {
+        return series;
+    }
+
+    const tradingDays = getTradingDays(series[0].date, series[series.length - 1].date);
+    const result = [];
+    let index = 0;
+    let previous = null;
+    let movedDistributions = [];
+
+    tradingDays.forEach(date => {
+        let row = null;
+        while (index < series.length && series[index].date <= date) {
+            const item = series[index++];
+            if (item.date === date) {
+                row = item;
+            } else if (item.distribution > 0) {
+                movedDistributions.push(item);
+            }
+        }
+
+        if (!row || row.nav === null || row.nav === undefined) {
+            if (!previous) {
+                return;
+            }
+            // Forward-fill: previous NAV, no distribution of its own
+            const { distributionMovedFrom, ...carried } = previous;
+            row = { ...carried, date: date, distRatio: 0, distribution: 0, recordDate: null, calculatedDate: null, payDate: null, filled: true };
+            DISTRIBUTION_COMPONENTS.forEach(component => row[component] = 0);
+        }
+
+        if (movedDistributions.length > 0) {
+            row = { ...row };
+            movedDistributions.forEach(moved => {
+                row.distRatio += moved.distRatio || 0;
+                row.distribution += moved.distribution || 0;
+                DISTRIBUTION_COMPONENTS.forEach(component => row[component] = (row[component] || 0) + (moved[component] || 0));
+                row.recordDate = row.recordDate || moved.recordDate || null;
+                row.calculatedDate = row.calculatedDate || moved.calculatedDate || null;
+                row.payDate = row.payDate || moved.payDate || null;
+                row.distributionMovedFrom = moved.date;
+            });
+            movedDistributions = [];
+        }
+
+        result.push(row);
+        previous = row;
+    });
+
+    const unpaid = series.slice(index).filter(item => item.distribution > 0);
+    if (unpaid.length > 0 || movedDistributions.length > 0) {
+        console.warn(`alignToTradingCalendar: ${unpaid.length + movedDistributions.length} distribution(s) after the last trading day were dropped`);
+    }
+
+    const filledCount = result.filter(row => row.filled).length;
+    console.log('alignToTradingCalendar:', series.length, 'rows ->', result.length, 'trading days,', filledCount, 'filled');
+    return result;
+}
+
 /**
  * Get a merged array of all unique dates from multiple time series
  * @param {Array} dataSeries - Array of data series, each containing date entries
@@ -112,212 +336,569 @@ function getAllDates(dataSeries) {
 }
 
 /**
- * Calculate the MMF portfolio value over time
- * @param {Array} mmfData - The AFAXX fund data
- * @param {Number} initialUnits - Initial number of units
- * @param {String} startDate - Starting date for tracking
+ * Calculate a portfolio's value over time
+ * Each holding's units grow by its distribution ratio on distribution dates, and
+ * the last known NAV is carried forward on dates where a fund has no data.
+ * Ledger transactions are applied at the NAV of the first available date on or after
+ * their date, and every day records its external cash flow, flow-adjusted return and
+ * time-weighted index (starting from TWR_START_INDEX).
+ * When definition.tax is enabled, each distribution is taxed: the tax is either withheld from
+ * the reinvestment or paid from outside cash, which is subtracted from afterTaxValue.
+ * With definition.mmfReinvestment 'monthly', money market daily rates accrue as pending income
+ * (included in the value as accruedIncome) and are paid and reinvested on the last trading day
+ * of each month; with 'daily' each day's rate is reinvested on the day. Either way income is earned
+ * from the day after the start date, so the start date's rate is not paid on the starting holdings.
+ * With a definition.rebalance rule, holdings are traded back to their target weights after the
+ * day's distributions and transactions whenever the rule calls for it (see rebalancing.js); the
+ * trades are logged in rebalanceTrades.
+ * With definition.fees enabled, purchases of load funds (starting holdings, ledger buys and
+ * rebalance buys) pay the front-end load and sales inside a CDSC period pay the CDSC (see
+ * fund-fees.js); charges are logged in salesCharges. The starting outlay, including loads, is
+ * initialInvestment, and the first day's return shows the loads paid on the start date.
+ * @param {Object} preparedData - Sorted fund data keyed by ticker
+ * @param {Object} definition - Portfolio definition ({ name, startDate, holdings, transactions, tax, mmfReinvestment, rebalance, fees })
  * @returns {Object} - Portfolio tracking data
  */
-function calculateMMFPortfolio(mmfData, initialUnits, startDate) {
+function calculatePortfolio(preparedData, definition) {
+    const startDate = definition.startDate;
+
+    const holdings = definition.holdings || [];
+    const tickers = getPortfolioTickers([definition]);
+
     const portfolio = {
-        name: 'MMF Portfolio',
-        ticker: 'AFAXX',
-        initialUnits: initialUnits,
+        name: definition.name,
+        tickers: tickers,
         initialDate: startDate,
-        currentUnits: initialUnits,
+        initialUnits: {},
+        currentUnits: {},
+        cashFlows: [],
+        transactions: [],
+        costBasisMethod: definition.costBasisMethod || 'fifo',
+        lotBook: createLotBook(),
+        distributions: [],
+        distributionTotals: createDistributionTotals(),
+        distributionTotalsByTicker: {},
+        taxes: [],
+        taxesPaid: 0,
+        taxesPaidOutside: 0,
+        rebalanceRule: 'none',
+        rebalanceTrades: [],
+        initialInvestment: 0,
+        startingSalesCharges: 0,
+        salesCharges: [],
         dailyValues: []
     };
-    
-    const filteredData = mmfData.filter(item => new Date(item.date) >= new Date(startDate));
-    console.log('MMF filtered data length:', filteredData.length, 'First item:', filteredData[0]);
-    
-    if (filteredData.length === 0) {
-        console.log('MMF: No data after startDate', startDate);
+    const taxSettings = definition.tax && definition.tax.enabled ? definition.tax : null;
+    const rebalance = definition.rebalance && definition.rebalance.rule !== 'none' ? definition.rebalance : null;
+    const targetWeights = rebalance ? getTargetWeights(holdings) : null;
+    if (rebalance) {
+        portfolio.rebalanceRule = rebalance.rule;
+    }
+    const accrueMonthly = (definition.mmfReinvestment || 'monthly') === 'monthly';
+    const feeSettings = definition.fees && definition.fees.enabled ? definition.fees : null;
+
+    if (tickers.length === 0) {
+        console.log(`${portfolio.name}: No holdings configured`);
         return portfolio;
     }
-    
-    let units = initialUnits;
-    let initialNav = filteredData[0].nav;
-    let initialValue = units * initialNav;
-    console.log('MMF Initial: units:', units, 'nav:', initialNav, 'value:', initialValue);
-    
-    filteredData.forEach(item => {
-        if (item.distRatio > 0) {
-            const additionalUnits = units * item.distRatio;
-            units += additionalUnits;
-        }
-        const dailyValue = units * item.nav;
-        portfolio.dailyValues.push({
-            date: item.date,
-            units: units,
-            nav: item.nav,
-            value: dailyValue,
-            changeFromStart: ((dailyValue - initialValue) / initialValue) * 100
-        });
+
+    const filteredData = {};
+    const dataByDate = {};
+    tickers.forEach(ticker => {
+        filteredData[ticker] = (preparedData[ticker] || []).filter(item => new Date(item.date) >= new Date(startDate));
+        dataByDate[ticker] = {};
+        filteredData[ticker].forEach(item => dataByDate[ticker][item.date] = item);
+        console.log(`${portfolio.name} filtered - ${ticker} length:`, filteredData[ticker].length, 'First:', filteredData[ticker][0]);
     });
-    portfolio.currentUnits = units;
-    console.log('MMF Final: units:', units, 'dailyValues length:', portfolio.dailyValues.length, 'Last value:', portfolio.dailyValues[portfolio.dailyValues.length - 1]);
-    
-    return portfolio;
-}
 
-/**
- * Calculate the Mutual Funds portfolio value over time
- * @param {Array} agthxData - The AGTHX fund data
- * @param {Array} ancfxData - The ANCFX fund data
- * @param {Number} agthxUnits - Initial AGTHX units
- * @param {Number} ancfxUnits - Initial ANCFX units
- * @param {String} startDate - Starting date for tracking
- * @returns {Object} - Portfolio tracking data
- */
-function calculateMutualFundsPortfolio(agthxData, ancfxData, agthxUnits, ancfxUnits, startDate) {
-    // Log the unfiltered lengths for debugging purposes
-    console.log('Mutual Funds unfiltered - AGTHX length:', agthxData.length, 'ANCFX length:', ancfxData.length);
- 
-    
-    const portfolio = {
-        name: 'Mutual Funds Portfolio',
-        initialDate: startDate,
-        initialAGTHXUnits: agthxUnits,
-        initialANCFXUnits: ancfxUnits,
-        currentAGTHXUnits: agthxUnits,
-        currentANCFXUnits: ancfxUnits,
-        dailyValues: []
-    };
-    
-    const filteredAGTHX = agthxData.filter(item => new Date(item.date) >= new Date(startDate));
-    const filteredANCFX = ancfxData.filter(item => new Date(item.date) >= new Date(startDate));
-    console.log('Mutual Funds filtered - AGTHX length:', filteredAGTHX.length, 'First:', filteredAGTHX[0]);
-    console.log('Mutual Funds filtered - ANCFX length:', filteredANCFX.length, 'First:', filteredANCFX[0]);
-    
-    if (filteredAGTHX.length === 0 || filteredANCFX.length === 0) {
-        console.log('Mutual Funds: Empty filtered data - AGTHX:', filteredAGTHX.length, 'ANCFX:', filteredANCFX.length);
+    const emptyTickers = tickers.filter(ticker => filteredData[ticker].length === 0);
+    if (emptyTickers.length > 0) {
+        console.log(`${portfolio.name}: No data after startDate`, startDate, 'for', emptyTickers);
         return portfolio;
     }
-    
-    const agthxByDate = {};
-    filteredAGTHX.forEach(item => agthxByDate[item.date] = item);
-    const ancfxByDate = {};
-    filteredANCFX.forEach(item => ancfxByDate[item.date] = item);
-    
-    const allDates = getAllDates([filteredAGTHX, filteredANCFX]);
-    console.log('Mutual Funds allDates length:', allDates.length);
-    
-    let agthxUnitsCount = agthxUnits;
-    let ancfxUnitsCount = ancfxUnits;
-    
-    let initialAgthxNav = filteredAGTHX[0]?.nav || 0;
-    let initialAncfxNav = filteredANCFX[0]?.nav || 0;
-    console.log('Mutual Funds Initial NAVs - AGTHX:', initialAgthxNav, 'ANCFX:', initialAncfxNav);
-    
-    const initialValue = (agthxUnits * initialAgthxNav) + (ancfxUnits * initialAncfxNav);
-    console.log('Mutual Funds Initial Value:', initialValue);
-    
-    let lastAgthxNav = initialAgthxNav;
-    let lastAncfxNav = initialAncfxNav;
-    
+
+    const allDates = getAllDates(tickers.map(ticker => filteredData[ticker]));
+    console.log(`${portfolio.name} allDates length:`, allDates.length);
+
+    const lotBook = createLotBook();
+    const units = {};
+    const lastNav = {};
+    tickers.forEach(ticker => {
+        units[ticker] = 0;
+        lastNav[ticker] = filteredData[ticker][0]?.nav || 0;
+    });
+
+    // Sales charges for buying a ticker, with the day's purchases in the same family counting
+    // together and, with rights of accumulation, the family's holdings counting toward the breakpoint.
+    // Lots bought without a load that a CDSC applies to are tracked by id in cdscLots.
+    const cdscLots = {};
+    const getTradeFees = (ticker, purchases) => {
+        const schedule = feeSettings ? getFeeSchedule(feeSettings, ticker) : null;
+        if (!schedule) {
+            return null;
+        }
+        let breakpointAmount = getFamilyAmount(feeSettings, schedule.family, purchases);
+        if (feeSettings.rightsOfAccumulation) {
+            const values = {};
+            tickers.forEach(held => values[held] = units[held] * lastNav[held]);
+            breakpointAmount += feeSettings.otherFamilyHoldings + getFamilyAmount(feeSettings, schedule.family, values);
+        }
+        return { schedule: schedule, frontLoadRate: getFrontLoadRate(schedule, breakpointAmount), cdscLots: cdscLots };
+    };
+    const recordSalesCharge = (date, ticker, type, amount, rate) => {
+        if (amount > 0) {
+            portfolio.salesCharges.push({ date: date, ticker: ticker, type: type, amount: amount, rate: rate });
+        }
+    };
+
+    // Buy the starting holdings at each fund's first NAV, combining repeated tickers: dollar
+    // amounts are converted to units after any load, and unit amounts cost their value plus the load.
+    // Each starting holding opens a tax lot.
+    const initialUnits = {};
+    const initialPurchases = {};
+    tickers.forEach(ticker => initialUnits[ticker] = 0);
+    holdings.forEach(holding => {
+        const amount = holding.dollars !== undefined ? Number(holding.dollars) : Number(holding.units) * lastNav[holding.ticker];
+        initialPurchases[holding.ticker] = (initialPurchases[holding.ticker] || 0) + (amount || 0);
+    });
+    let initialCharges = 0;
+    holdings.forEach(holding => {
+        const firstNav = lastNav[holding.ticker];
+        const fees = feeSettings && feeSettings.chargeInitialHoldings ? getTradeFees(holding.ticker, initialPurchases) : null;
+        const loadFraction = fees ? fees.frontLoadRate / 100 : 0;
+        const holdingUnits = holding.dollars !== undefined ? Number(holding.dollars) * (1 - loadFraction) / firstNav : Number(holding.units);
+        const cost = holding.dollars !== undefined ? Number(holding.dollars) : holdingUnits * firstNav / (1 - loadFraction);
+        initialUnits[holding.ticker] += holdingUnits || 0;
+        const lot = addLot(lotBook, holding.ticker, allDates[0], holdingUnits, cost, 'initial');
+        if (fees) {
+            const charge = cost - holdingUnits * firstNav;
+            initialCharges += charge;
+            recordSalesCharge(allDates[0], holding.ticker, 'front-load', charge, fees.frontLoadRate);
+            if (isCdscPurchase(fees.schedule, fees.frontLoadRate)) {
+                cdscLots[lot.id] = true;
+            }
+        }
+    });
+    portfolio.initialUnits = { ...initialUnits };
+    portfolio.lotBook = lotBook;
+    tickers.forEach(ticker => units[ticker] = initialUnits[ticker]);
+
+    const initialValue = tickers.reduce((sum, ticker) => sum + units[ticker] * lastNav[ticker], 0);
+    const initialInvestment = initialValue + initialCharges;
+    portfolio.initialInvestment = initialInvestment;
+    portfolio.startingSalesCharges = initialCharges;
+    console.log(`${portfolio.name} Initial: units:`, units, 'navs:', lastNav, 'value:', initialValue, 'sales charges:', initialCharges);
+    if (initialInvestment > 0) {
+        portfolio.cashFlows.push({ date: allDates[0], amount: initialInvestment });
+    }
+
+    const pendingTransactions = [...(definition.transactions || [])]
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+    let previousValue = initialInvestment;
+    let twrIndex = TWR_START_INDEX;
+
+    // Money market income accrued but not yet paid, by ticker ({ amount, components } in dollars)
+    const accrued = {};
+    tickers.forEach(ticker => accrued[ticker] = createAccruedIncome());
+
+    // Record, tax and reinvest a distribution paid on a date
+    const reinvestDistribution = (ticker, date, item) => {
+        const distribution = recordDistribution(portfolio, ticker, date, units[ticker], item);
+        let reinvestRatio = item.distRatio;
+        let reinvestedAmount = distribution.amount || units[ticker] * item.distRatio * item.nav;
+
+        if (taxSettings) {
+            const tax = recordDistributionTax(portfolio, ticker, date, distribution, taxSettings);
+            if (taxSettings.payFrom === 'reinvestment' && distribution.amount > 0) {
+                const keptFraction = Math.max(0, 1 - tax.total / distribution.amount);
+                reinvestRatio *= keptFraction;
+                reinvestedAmount *= keptFraction;
+            }
+        }
+
+        const additionalUnits = units[ticker] * reinvestRatio;
+        units[ticker] += additionalUnits;
+        addLot(lotBook, ticker, date, additionalUnits, reinvestedAmount, 'reinvestment');
+    };
+
     allDates.forEach(date => {
-        if (agthxByDate[date]) {
-            const agthxItem = agthxByDate[date];
-            lastAgthxNav = agthxItem.nav;
-            if (agthxItem.distRatio > 0) {
-                const additionalUnits = agthxUnitsCount * agthxItem.distRatio;
-                agthxUnitsCount += additionalUnits;
+        // Update NAVs and reinvest distributions before any trades on this date
+        const paidRatios = {};
+        tickers.forEach(ticker => {
+            const item = dataByDate[ticker][date];
+            if (item) {
+                lastNav[ticker] = item.nav;
+                const accrues = accrueMonthly && isMmfTicker(ticker);
+                // Money market income is earned from the day after the start date
+                const paysIncome = item.distRatio > 0 && !(isMmfTicker(ticker) && date === allDates[0]);
+                if (paysIncome && accrues) {
+                    accrueIncome(accrued[ticker], units[ticker], item);
+                } else if (paysIncome) {
+                    reinvestDistribution(ticker, date, item);
+                    paidRatios[ticker] = item.distRatio;
+                }
+
+                // Pay the month's accrued income on its last trading day
+                if (accrues && accrued[ticker].amount > 0 && units[ticker] > 0 && date === getLastTradingDayOfMonth(date)) {
+                    const payment = getAccruedPayment(accrued[ticker], units[ticker], item.nav);
+                    reinvestDistribution(ticker, date, payment);
+                    paidRatios[ticker] = payment.distRatio;
+                    accrued[ticker] = createAccruedIncome();
+                }
+            }
+        });
+
+        // Apply ledger transactions dated on or before this date
+        let cashFlow = 0;
+        while (pendingTransactions.length > 0 && new Date(pendingTransactions[0].date) <= new Date(date)) {
+            const transaction = pendingTransactions.shift();
+            const purchase = transaction.type === 'sell' ? {}
+                : { [transaction.ticker]: transaction.dollars !== undefined ? Number(transaction.dollars) : Number(transaction.units) * lastNav[transaction.ticker] };
+            const fees = getTradeFees(transaction.ticker, purchase);
+            const applied = applyTransaction(transaction, units, lastNav[transaction.ticker], date, lotBook, portfolio.costBasisMethod, fees);
+            if (applied) {
+                recordSalesCharge(date, applied.ticker, applied.type === 'sell' ? 'cdsc' : 'front-load', applied.salesCharge, applied.type === 'sell' || !fees ? null : fees.frontLoadRate);
+                cashFlow += applied.amount;
+                portfolio.transactions.push(applied);
+                portfolio.cashFlows.push({ date: date, amount: applied.amount });
             }
         }
-        if (ancfxByDate[date]) {
-            const ancfxItem = ancfxByDate[date];
-            lastAncfxNav = ancfxItem.nav;
-            if (ancfxItem.distRatio > 0) {
-                const additionalUnits = ancfxUnitsCount * ancfxItem.distRatio;
-                ancfxUnitsCount += additionalUnits;
+
+        // Trade back to the target weights at today's NAVs; sales fund the purchases, so there is no cash flow.
+        // With sales charges, purchases are made in dollars (paying any load) and shrink by any CDSC the sales paid.
+        // The starting holdings are not rebalanced on the start date.
+        if (rebalance && date !== allDates[0]) {
+            const values = {};
+            tickers.forEach(ticker => values[ticker] = units[ticker] * lastNav[ticker] + accrued[ticker].amount);
+            if (isRebalanceDue(rebalance, date, values, targetWeights)) {
+                const weightsBefore = getHoldingWeights(values);
+                const trades = getRebalanceTrades(values, lastNav, targetWeights);
+                const applied = trades.filter(trade => trade.type === 'sell')
+                    .map(trade => applyTransaction({ ...trade, date: date }, units, lastNav[trade.ticker], date, lotBook, portfolio.costBasisMethod, getTradeFees(trade.ticker, {})))
+                    .filter(Boolean);
+                applied.forEach(trade => recordSalesCharge(date, trade.ticker, 'cdsc', trade.salesCharge, null));
+                const cdscPaid = applied.reduce((sum, trade) => sum + trade.salesCharge, 0);
+
+                const purchases = {};
+                trades.filter(trade => trade.type === 'buy').forEach(trade => purchases[trade.ticker] = trade.units * lastNav[trade.ticker]);
+                const plannedPurchases = Object.values(purchases).reduce((sum, amount) => sum + amount, 0);
+                const scale = plannedPurchases > 0 ? Math.max(0, 1 - cdscPaid / plannedPurchases) : 1;
+                trades.filter(trade => trade.type === 'buy').forEach(trade => {
+                    const fees = getTradeFees(trade.ticker, purchases);
+                    const transaction = feeSettings
+                        ? { ticker: trade.ticker, type: 'buy', date: date, dollars: purchases[trade.ticker] * scale }
+                        : { ...trade, date: date };
+                    const purchase = applyTransaction(transaction, units, lastNav[trade.ticker], date, lotBook, portfolio.costBasisMethod, fees);
+                    if (purchase) {
+                        applied.push(purchase);
+                        recordSalesCharge(date, trade.ticker, 'front-load', purchase.salesCharge, fees ? fees.frontLoadRate : null);
+                    }
+                });
+                tickers.forEach(ticker => values[ticker] = units[ticker] * lastNav[ticker] + accrued[ticker].amount);
+                const weightsAfter = getHoldingWeights(values);
+                applied.forEach(trade => {
+                    portfolio.rebalanceTrades.push({
+                        date: date,
+                        ticker: trade.ticker,
+                        type: trade.type,
+                        units: trade.units,
+                        nav: trade.nav,
+                        amount: trade.amount,
+                        weightBefore: weightsBefore[trade.ticker] * 100,
+                        weightAfter: weightsAfter[trade.ticker] * 100,
+                        realizedGain: trade.realizedGain
+                    });
+                });
             }
         }
-        
-        const agthxValue = agthxUnitsCount * lastAgthxNav;
-        const ancfxValue = ancfxUnitsCount * lastAncfxNav;
-        const totalValue = agthxValue + ancfxValue;
-        
+
+        const holdingValues = {};
+        let totalValue = 0;
+        let accruedIncome = 0;
+        tickers.forEach(ticker => {
+            const value = units[ticker] * lastNav[ticker] + accrued[ticker].amount;
+            holdingValues[ticker] = {
+                units: units[ticker],
+                nav: lastNav[ticker],
+                value: value,
+                accruedIncome: accrued[ticker].amount,
+                distRatio: paidRatios[ticker] || 0
+            };
+            totalValue += value;
+            accruedIncome += accrued[ticker].amount;
+        });
+
+        // Return for the day excluding money moved in or out
+        const dailyReturn = previousValue > 0 ? (totalValue - cashFlow - previousValue) / previousValue : 0;
+        twrIndex *= 1 + dailyReturn;
+        previousValue = totalValue;
+
         portfolio.dailyValues.push({
             date: date,
-            agthxUnits: agthxUnitsCount,
-            ancfxUnits: ancfxUnitsCount,
-            agthxNav: lastAgthxNav,
-            ancfxNav: lastAncfxNav,
-            agthxValue: agthxValue,
-            ancfxValue: ancfxValue,
+            holdings: holdingValues,
             value: totalValue,
-            changeFromStart: ((totalValue - initialValue) / initialValue) * 100
+            cashFlow: cashFlow,
+            dailyReturn: dailyReturn,
+            twrIndex: twrIndex,
+            accruedIncome: accruedIncome,
+            afterTaxValue: totalValue - portfolio.taxesPaidOutside,
+            changeFromStart: initialInvestment > 0 ? ((totalValue - initialInvestment) / initialInvestment) * 100 : 0
         });
     });
-    
-    portfolio.currentAGTHXUnits = agthxUnitsCount;
-    portfolio.currentANCFXUnits = ancfxUnitsCount;
-    console.log('Mutual Funds Final - AGTHX units:', agthxUnitsCount, 'ANCFX units:', ancfxUnitsCount);
-    console.log('Mutual Funds dailyValues length:', portfolio.dailyValues.length, 'Sample:', portfolio.dailyValues[0]);
-    
+
+    if (pendingTransactions.length > 0) {
+        console.warn(`${portfolio.name}: ${pendingTransactions.length} transaction(s) after the last available date were not applied`);
+    }
+
+    portfolio.currentUnits = { ...units };
+    console.log(`${portfolio.name} Final: units:`, units, 'dailyValues length:', portfolio.dailyValues.length, 'Last value:', portfolio.dailyValues[portfolio.dailyValues.length - 1]);
+
     return portfolio;
 }
 
+/**
+ * Create an empty money market income accrual
+ * @returns {Object} - { amount, components } in dollars
+ */
+function createAccruedIncome() {
+    const components = {};
+    DISTRIBUTION_COMPONENTS.forEach(component => components[component] = 0);
+    return { amount: 0, components: components };
+}
+
+/**
+ * Add one day's money market income to an accrual
+ * @param {Object} accrual - Accrual from createAccruedIncome (updated in place)
+ * @param {Number} units - Units held on the day
+ * @param {Object} item - Merged fund data item with the day's per-share rate
+ */
+function accrueIncome(accrual, units, item) {
+    accrual.amount += units * (item.distribution || 0);
+    DISTRIBUTION_COMPONENTS.forEach(component => {
+        accrual.components[component] += units * (item[component] || 0);
+    });
+}
+
+/**
+ * Convert accrued income into a per-share distribution paid on the current units
+ * @param {Object} accrual - Accrual from createAccruedIncome
+ * @param {Number} units - Units held on the payable date
+ * @param {Number} nav - NAV the income is reinvested at
+ * @returns {Object} - Item in the merged fund data shape ({ nav, distRatio, distribution, components })
+ */
+function getAccruedPayment(accrual, units, nav) {
+    const perShare = accrual.amount / units;
+    const payment = { nav: nav, distRatio: perShare / nav, distribution: perShare };
+    DISTRIBUTION_COMPONENTS.forEach(component => payment[component] = accrual.components[component] / units);
+    return payment;
+}
+
+/**
+ * Create a zeroed set of distribution totals, one per distribution component
+ * @returns {Object} - Dollar totals keyed by component, plus total
+ */
+function createDistributionTotals() {
+    const totals = { total: 0 };
+    DISTRIBUTION_COMPONENTS.forEach(component => totals[component] = 0);
+    return totals;
+}
+
+/**
+ * Record the dollars a holding received from a distribution, split by component
+ * @param {Object} portfolio - Portfolio being calculated (updated in place)
+ * @param {String} ticker - Fund ticker
+ * @param {String} date - Distribution date
+ * @param {Number} units - Units held when the distribution was paid
+ * @param {Object} item - Merged fund data item with per-share component amounts
+ * @returns {Object} - The recorded distribution ({ date, ticker, units, amount, components })
+ */
+function recordDistribution(portfolio, ticker, date, units, item) {
+    if (!portfolio.distributionTotalsByTicker[ticker]) {
+        portfolio.distributionTotalsByTicker[ticker] = createDistributionTotals();
+    }
+    const tickerTotals = portfolio.distributionTotalsByTicker[ticker];
+
+    const components = {};
+    DISTRIBUTION_COMPONENTS.forEach(component => {
+        components[component] = units * (item[component] || 0);
+        portfolio.distributionTotals[component] += components[component];
+        tickerTotals[component] += components[component];
+    });
+
+    const amount = units * (item.distribution || 0);
+    portfolio.distributionTotals.total += amount;
+    tickerTotals.total += amount;
+    const distribution = { date: date, ticker: ticker, units: units, amount: amount, components: components };
+    portfolio.distributions.push(distribution);
+    return distribution;
+}
+
+/**
+ * Record the tax owed on a distribution
+ * @param {Object} portfolio - Portfolio being calculated (updated in place)
+ * @param {String} ticker - Fund ticker
+ * @param {String} date - Distribution date
+ * @param {Object} distribution - Distribution from recordDistribution
+ * @param {Object} taxSettings - Normalized tax settings
+ * @returns {Object} - Tax owed ({ total, byIncomeType })
+ */
+function recordDistributionTax(portfolio, ticker, date, distribution, taxSettings) {
+    const tax = calculateDistributionTax(ticker, distribution.components, taxSettings);
+    portfolio.taxesPaid += tax.total;
+    if (taxSettings.payFrom === 'outside') {
+        portfolio.taxesPaidOutside += tax.total;
+    }
+    portfolio.taxes.push({ date: date, ticker: ticker, amount: tax.total, byIncomeType: tax.byIncomeType });
+    return tax;
+}
+
+/**
+ * Apply a buy or sell from the transaction ledger to the running unit totals and tax lots
+ * @param {Object} transaction - Ledger entry ({ date, ticker, type: 'buy'|'sell', units | dollars, lotIds })
+ * @param {Object} units - Running units by ticker (updated in place)
+ * @param {Number} nav - NAV the trade executes at
+ * @param {String} date - Date the trade is applied on
+ * @param {Object} lotBook - Tax lots of the portfolio (updated in place)
+ * @param {String} costBasisMethod - 'fifo', 'specific' or 'average'
+ * @param {Object} [fees] - Sales charges for the trade ({ schedule, frontLoadRate, cdscLots }, see fund-fees.js)
+ * @returns {Object|null} - Applied trade with its cash flow (positive = money in) and sales charge, or null if skipped
+ */
+function applyTransaction(transaction, units, nav, date, lotBook, costBasisMethod, fees = null) {
+    const ticker = transaction.ticker;
+    if (!(nav > 0)) {
+        console.warn(`Skipping ${transaction.type} of ${ticker} on ${transaction.date}: no NAV available`);
+        return null;
+    }
+
+    // Purchases pay the offering price, NAV / (1 - load)
+    const loadFraction = fees && transaction.type !== 'sell' ? fees.frontLoadRate / 100 : 0;
+    let tradeUnits = transaction.dollars !== undefined
+        ? Number(transaction.dollars) * (1 - loadFraction) / nav
+        : Number(transaction.units);
+
+    if (transaction.type === 'sell') {
+        if (tradeUnits > units[ticker]) {
+            console.warn(`Sell of ${tradeUnits} ${ticker} units on ${transaction.date} exceeds the ${units[ticker]} held; selling all units`);
+            tradeUnits = units[ticker];
+        }
+        units[ticker] -= tradeUnits;
+    } else {
+        units[ticker] += tradeUnits;
+    }
+
+    let realizedGain = 0;
+    let amount = 0;
+    let salesCharge = 0;
+    if (transaction.type === 'sell') {
+        const realized = sellFromLots(lotBook, ticker, tradeUnits, nav, date, costBasisMethod, transaction.lotIds || []);
+        salesCharge = fees ? chargeCdsc(fees.schedule, realized, fees.cdscLots) : 0;
+        realizedGain = realized.reduce((sum, entry) => sum + entry.gain, 0);
+        amount = -(tradeUnits * nav - salesCharge);
+    } else {
+        amount = transaction.dollars !== undefined ? Number(transaction.dollars) : tradeUnits * nav / (1 - loadFraction);
+        salesCharge = loadFraction > 0 ? amount - tradeUnits * nav : 0;
+        const lot = addLot(lotBook, ticker, date, tradeUnits, amount, 'purchase');
+        if (fees && isCdscPurchase(fees.schedule, fees.frontLoadRate)) {
+            fees.cdscLots[lot.id] = true;
+        }
+    }
+
+    return {
+        date: date,
+        requestedDate: transaction.date,
+        ticker: ticker,
+        type: transaction.type,
+        units: tradeUnits,
+        nav: nav,
+        amount: amount,
+        salesCharge: salesCharge,
+        realizedGain: realizedGain
+    };
+}
+
 /**
  * Align portfolio time series to have values for all common dates
- * @param {Object} portfolio1 - First portfolio
- * @param {Object} portfolio2 - Second portfolio
+ * Each data point carries p1Value/p1Index, p2Value/p2Index, ... (one pair per portfolio,
+ * in config order) and, with two or more portfolios, difference = p2Index - p1Index.
+ * Indices follow each portfolio's time-weighted index, so contributions and withdrawals
+ * do not show up as gains or losses.
+ * Each portfolio also gets an underwater series, p1Drawdown, p2Drawdown, ...: the percentage
+ * below the highest index reached so far (0 at a new high).
+ * A portfolio that starts on the aligned start date and paid sales charges for its starting
+ * holdings is measured from its starting investment, so the loads show in its index.
+ * Benchmarks add b1Index, b2Index, ... starting at 100 on their first value on or after the
+ * start date (null before it)
+ * @param {Array} portfolios - Calculated portfolios
  * @param {Array} allDates - Array of all dates to include
+ * @param {Array} [benchmarks] - Series from prepareBenchmarkSeries
  * @returns {Array} - Array of daily comparison data points
  */
-function alignPortfolioSeries(portfolio1, portfolio2, allDates) {
+function alignPortfolioSeries(portfolios, allDates, benchmarks = []) {
     const result = [];
-    const p1ByDate = {};
-    portfolio1.dailyValues.forEach(item => p1ByDate[item.date] = item);
-    const p2ByDate = {};
-    portfolio2.dailyValues.forEach(item => p2ByDate[item.date] = item);
-    
-    let startDate = null, p1StartValue = null, p2StartValue = null;
+    const byDate = portfolios.map(portfolio => {
+        const map = {};
+        portfolio.dailyValues.forEach(item => map[item.date] = item);
+        return map;
+    });
+
+    let startDate = null, startIndices = null;
     for (const date of allDates) {
-        if (p1ByDate[date] && p2ByDate[date]) {
+        if (byDate.every(map => map[date])) {
             startDate = date;
-            p1StartValue = p1ByDate[date].value;
-            p2StartValue = p2ByDate[date].value;
+            // A portfolio that starts on the common start date is measured from before its starting loads
+            startIndices = byDate.map((map, index) => portfolios[index].dailyValues[0].date === date ? TWR_START_INDEX : map[date].twrIndex);
             break;
         }
     }
-    console.log('alignPortfolioSeries - Start date:', startDate, 'P1 start value:', p1StartValue, 'P2 start value:', p2StartValue);
-    
+    console.log('alignPortfolioSeries - Start date:', startDate, 'Start indices:', startIndices);
+
     if (!startDate) {
         console.log('alignPortfolioSeries: No common dates found');
         return result;
     }
-    
+
+    const peaks = byDate.map(() => 100);
     allDates.forEach(date => {
-        if (new Date(date) >= new Date(startDate)) {
-            const p1 = p1ByDate[date];
-            const p2 = p2ByDate[date];
-            if (p1 && p2) {
-                const p1Index = (p1.value / p1StartValue) * 100;
-                const p2Index = (p2.value / p2StartValue) * 100;
-                result.push({
-                    date: date,
-                    p1Value: p1.value,
-                    p2Value: p2.value,
-                    p1Index: p1Index,
-                    p2Index: p2Index,
-                    difference: p2Index - p1Index
-                });
+        if (new Date(date) >= new Date(startDate) && byDate.every(map => map[date])) {
+            const point = { date: date };
+            byDate.forEach((map, index) => {
+                point[`p${index + 1}Value`] = map[date].value;
+                point[`p${index + 1}Index`] = (map[date].twrIndex / startIndices[index]) * 100;
+            });
+            if (byDate.length > 1) {
+                point.difference = point.p2Index - point.p1Index;
             }
+            byDate.forEach((map, index) => {
+                peaks[index] = Math.max(peaks[index], point[`p${index + 1}Index`]);
+                point[`p${index + 1}Drawdown`] = (point[`p${index + 1}Index`] / peaks[index] - 1) * 100;
+            });
+            result.push(point);
         }
     });
-    
+
+    benchmarks.forEach((benchmark, index) => {
+        const values = getBenchmarkValues(benchmark, result.map(point => point.date));
+        const startValue = values.find(value => value !== null);
+        result.forEach((point, i) => {
+            point[`b${index + 1}Index`] = values[i] === null ? null : (values[i] / startValue) * 100;
+        });
+    });
+
     return result;
 }
 
 /**
  * Generate summary statistics for a portfolio
+ * Drawdowns follow the time-weighted index, so withdrawals do not count as losses. Sharpe and
+ * Sortino ratios are annualized from daily returns in excess of the risk-free rate; they are
+ * null when the excess return does not vary (a portfolio holding only the risk-free fund).
+ * The Calmar ratio is the annualized return divided by the maximum drawdown.
  * @param {Object} portfolio - Portfolio data
  * @param {String} name - Portfolio name
+ * @param {Object} [riskFree] - Risk-free daily rates from getRiskFreeRates
  * @returns {Object} - Summary statistics
  */
-function summarizePortfolio(portfolio, name) {
+function summarizePortfolio(portfolio, name, riskFree = { ticker: null, rates: {} }) {
     if (!portfolio.dailyValues || portfolio.dailyValues.length === 0) {
         console.log('summarizePortfolio: No daily values for', name);
         return {
@@ -325,154 +906,592 @@ function summarizePortfolio(portfolio, name) {
             initialValue: 0,
             currentValue: 0,
             change: 0,
-            changePercent: 0
+            changePercent: 0,
+            timeWeightedReturn: 0,
+            moneyWeightedReturn: null,
+            netContributions: 0,
+            costBasis: 0,
+            unrealizedGain: 0,
+            realizedGain: 0,
+            lots: [],
+            realizedLots: [],
+            accruedIncome: 0,
+            rebalanceRule: portfolio.rebalanceRule || 'none',
+            rebalanceTrades: [],
+            salesCharges: [],
+            salesChargesTotal: 0,
+            ...calculateDrawdowns([]),
+            downsideDeviation: null,
+            sharpeRatio: null,
+            sortinoRatio: null,
+            calmarRatio: null,
+            riskFreeTicker: riskFree.ticker,
+            distributionTotals: portfolio.distributionTotals || createDistributionTotals(),
+            distributionTotalsByTicker: portfolio.distributionTotalsByTicker || {},
+            currentUnits: portfolio.currentUnits || {}
         };
     }
-    
-    const initialValue = portfolio.dailyValues[0].value;
+
+    // The starting value includes any sales charges paid for the starting holdings
+    const initialValue = portfolio.dailyValues[0].value + (portfolio.startingSalesCharges || 0);
     const currentValue = portfolio.dailyValues[portfolio.dailyValues.length - 1].value;
     const change = currentValue - initialValue;
     const changePercent = (change / initialValue) * 100;
-    
+
+    // Time-weighted return removes the effect of contributions and withdrawals
+    const lastDay = portfolio.dailyValues[portfolio.dailyValues.length - 1];
+    const growthFactor = lastDay.twrIndex / TWR_START_INDEX;
+    const timeWeightedReturn = (growthFactor - 1) * 100;
+
     const startDate = new Date(portfolio.dailyValues[0].date);
-    const endDate = new Date(portfolio.dailyValues[portfolio.dailyValues.length - 1].date);
+    const endDate = new Date(lastDay.date);
     const yearFraction = (endDate - startDate) / (365 * 24 * 60 * 60 * 1000);
     let annualizedReturn = 0;
+    let moneyWeightedReturn = null;
     if (yearFraction > 0.02) {
-        annualizedReturn = (Math.pow((currentValue / initialValue), (1 / yearFraction)) - 1) * 100;
+        annualizedReturn = (Math.pow(growthFactor, (1 / yearFraction)) - 1) * 100;
+
+        // Money-weighted return: XIRR of the investor's flows plus the ending value
+        const flows = (portfolio.cashFlows || []).map(flow => ({ date: flow.date, amount: -flow.amount }));
+        flows.push({ date: lastDay.date, amount: currentValue });
+        const xirr = calculateXirr(flows);
+        moneyWeightedReturn = xirr === null ? null : xirr * 100;
     }
-    
+
+    const netContributions = (portfolio.cashFlows || []).reduce((sum, flow) => sum + flow.amount, 0);
+
+    // Value open tax lots at the last NAVs
+    const lastNavs = {};
+    Object.keys(lastDay.holdings || {}).forEach(ticker => lastNavs[ticker] = lastDay.holdings[ticker].nav);
+    const taxLots = summarizeLots(portfolio.lotBook || createLotBook(), lastNavs, lastDay.date);
+
     let minValue = Infinity, maxValue = -Infinity, minDate = '', maxDate = '';
     portfolio.dailyValues.forEach(day => {
         if (day.value < minValue) { minValue = day.value; minDate = day.date; }
         if (day.value > maxValue) { maxValue = day.value; maxDate = day.date; }
     });
-    
+
     let sumReturns = 0, sumSquaredReturns = 0, countReturns = 0;
     for (let i = 1; i < portfolio.dailyValues.length; i++) {
-        const previousValue = portfolio.dailyValues[i-1].value;
-        const currentValue = portfolio.dailyValues[i].value;
-        const dailyReturn = (currentValue - previousValue) / previousValue;
+        const dailyReturn = portfolio.dailyValues[i].dailyReturn;
         sumReturns += dailyReturn;
         sumSquaredReturns += dailyReturn * dailyReturn;
         countReturns++;
     }
-    
+
     const avgReturn = sumReturns / countReturns;
     const variance = (sumSquaredReturns / countReturns) - (avgReturn * avgReturn);
     const volatility = Math.sqrt(variance) * Math.sqrt(252) * 100;
-    
+
+    // Risk-adjusted ratios from daily returns above the risk-free rate
+    const excessReturns = portfolio.dailyValues.slice(1).map(day => day.dailyReturn - (riskFree.rates[day.date] || 0));
+    let downsideDeviation = null, sharpeRatio = null, sortinoRatio = null;
+    if (excessReturns.length > 1) {
+        const meanExcess = excessReturns.reduce((sum, value) => sum + value, 0) / excessReturns.length;
+        const excessVariance = excessReturns.reduce((sum, value) => sum + (value - meanExcess) * (value - meanExcess), 0) / excessReturns.length;
+        const downsideVariance = excessReturns.reduce((sum, value) => sum + Math.min(0, value) * Math.min(0, value), 0) / excessReturns.length;
+        downsideDeviation = Math.sqrt(downsideVariance) * Math.sqrt(252) * 100;
+        // Below 0.01% a year the excess return is just rounding (e.g. the risk-free fund itself)
+        if (Math.sqrt(excessVariance) * Math.sqrt(252) > 1e-4) {
+            sharpeRatio = (meanExcess * 252) / (Math.sqrt(excessVariance) * Math.sqrt(252));
+            sortinoRatio = downsideVariance > 0 ? (meanExcess * 252) / (Math.sqrt(downsideVariance) * Math.sqrt(252)) : null;
+        }
+    }
+
+    const drawdowns = calculateDrawdowns(portfolio.dailyValues);
+    const calmarRatio = yearFraction > 0.02 && drawdowns.maxDrawdown < 0 ? annualizedReturn / Math.abs(drawdowns.maxDrawdown) : null;
+
     const summary = {
         name: name,
         initialValue: initialValue,
         currentValue: currentValue,
         change: change,
         changePercent: changePercent,
+        timeWeightedReturn: timeWeightedReturn,
+        moneyWeightedReturn: moneyWeightedReturn,
+        netContributions: netContributions,
+        costBasis: taxLots.costBasis,
+        unrealizedGain: taxLots.unrealizedGain,
+        unrealizedShortTerm: taxLots.unrealizedShortTerm,
+        unrealizedLongTerm: taxLots.unrealizedLongTerm,
+        realizedGain: taxLots.realizedGain,
+        realizedShortTerm: taxLots.realizedShortTerm,
+        realizedLongTerm: taxLots.realizedLongTerm,
+        lots: taxLots.lots,
+        realizedLots: taxLots.realized,
+        accruedIncome: lastDay.accruedIncome || 0,
+        rebalanceRule: portfolio.rebalanceRule || 'none',
+        rebalanceTrades: portfolio.rebalanceTrades || [],
+        salesCharges: portfolio.salesCharges || [],
+        salesChargesTotal: (portfolio.salesCharges || []).reduce((sum, charge) => sum + charge.amount, 0),
+        distributionTotals: portfolio.distributionTotals || createDistributionTotals(),
+        distributionTotalsByTicker: portfolio.distributionTotalsByTicker || {},
         annualizedReturn: annualizedReturn,
         minValue: minValue,
         maxValue: maxValue,
         minDate: minDate,
         maxDate: maxDate,
         volatility: volatility,
-        currentUnits: portfolio.currentUnits || null,
-        currentAGTHXUnits: portfolio.currentAGTHXUnits || null,
-        currentANCFXUnits: portfolio.currentANCFXUnits || null
+        ...drawdowns,
+        downsideDeviation: downsideDeviation,
+        sharpeRatio: sharpeRatio,
+        sortinoRatio: sortinoRatio,
+        calmarRatio: calmarRatio,
+        riskFreeTicker: riskFree.ticker,
+        currentUnits: portfolio.currentUnits || {}
     };
     console.log('summarizePortfolio:', name, 'Summary:', summary);
     return summary;
 }
 
 /**
- * Display the portfolio comparison results on the page
+ * Find the maximum and current drawdown of a portfolio's time-weighted index
+ * @param {Array} dailyValues - Portfolio daily values ({ date, twrIndex })
+ * @returns {Object} - { maxDrawdown, maxDrawdownPeakDate, maxDrawdownTroughDate,
+ *     maxDrawdownRecoveryDate, currentDrawdown }; drawdowns are percentages (0 or negative),
+ *     and the recovery date is null until the index is back at the peak
+ */
+function calculateDrawdowns(dailyValues) {
+    const result = {
+        maxDrawdown: 0,
+        maxDrawdownPeakDate: null,
+        maxDrawdownTroughDate: null,
+        maxDrawdownRecoveryDate: null,
+        currentDrawdown: 0
+    };
+    if (dailyValues.length === 0) {
+        return result;
+    }
+
+    // Starting loads show as a drawdown from the first day
+    let peak = TWR_START_INDEX;
+    let peakDate = dailyValues[0].date;
+    let maxPeak = null;
+    dailyValues.forEach(day => {
+        if (day.twrIndex >= peak) {
+            if (maxPeak !== null && result.maxDrawdownRecoveryDate === null && day.twrIndex >= maxPeak) {
+                result.maxDrawdownRecoveryDate = day.date;
+            }
+            peak = day.twrIndex;
+            peakDate = day.date;
+            return;
+        }
+        const drawdown = (day.twrIndex / peak - 1) * 100;
+        if (drawdown < result.maxDrawdown) {
+            result.maxDrawdown = drawdown;
+            result.maxDrawdownPeakDate = peakDate;
+            result.maxDrawdownTroughDate = day.date;
+            result.maxDrawdownRecoveryDate = null;
+            maxPeak = peak;
+        }
+    });
+    result.currentDrawdown = (dailyValues[dailyValues.length - 1].twrIndex / peak - 1) * 100;
+    return result;
+}
+
+/**
+ * Get the risk-free daily rates: the daily yield of the first money market fund among the
+ * tickers, as reinvested in calculatePortfolio
+ * @param {Object} preparedData - Fund data keyed by ticker, on the trading calendar
+ * @param {Array} tickers - Tickers in the comparison, in config order
+ * @returns {Object} - { ticker, rates: { 'YYYY-MM-DD': rate } }; ticker is null (and every
+ *     rate zero) when there is no money market fund
+ */
+function getRiskFreeRates(preparedData, tickers) {
+    const ticker = tickers.find(isMmfTicker) || null;
+    const rates = {};
+    if (ticker) {
+        (preparedData[ticker] || []).forEach(item => rates[item.date] = item.distRatio || 0);
+    }
+    return { ticker: ticker, rates: rates };
+}
+
+/**
+ * Summarize a portfolio calculated in after-tax mode
+ * @param {Object} portfolio - Portfolio calculated with tax settings
+ * @returns {Object} - After-tax value, change and taxes paid
+ */
+function summarizeAfterTax(portfolio) {
+    const taxesByIncomeType = {};
+    TAX_INCOME_TYPES.forEach(incomeType => {
+        taxesByIncomeType[incomeType] = portfolio.taxes.reduce((sum, tax) => sum + tax.byIncomeType[incomeType], 0);
+    });
+
+    if (portfolio.dailyValues.length === 0) {
+        return { currentValue: 0, change: 0, changePercent: 0, taxesPaid: 0, taxesByIncomeType: taxesByIncomeType };
+    }
+
+    const initialValue = portfolio.dailyValues[0].value + (portfolio.startingSalesCharges || 0);
+    const currentValue = portfolio.dailyValues[portfolio.dailyValues.length - 1].afterTaxValue;
+    const change = currentValue - initialValue;
+    return {
+        currentValue: currentValue,
+        change: change,
+        changePercent: initialValue > 0 ? (change / initialValue) * 100 : 0,
+        taxesPaid: portfolio.taxesPaid,
+        taxesByIncomeType: taxesByIncomeType
+    };
+}
+
+/**
+ * Calculate the internal rate of return for irregularly spaced cash flows (XIRR)
+ * @param {Array} flows - Cash flows ({ date, amount }), negative = money paid in
+ * @returns {Number|null} - Annualized rate as a fraction, or null if it cannot be solved
+ */
+function calculateXirr(flows) {
+    if (!flows.some(flow => flow.amount < 0) || !flows.some(flow => flow.amount > 0)) {
+        return null;
+    }
+
+    const firstTime = new Date(flows[0].date).getTime();
+    const years = flows.map(flow => (new Date(flow.date).getTime() - firstTime) / (365 * 24 * 60 * 60 * 1000));
+    const netPresentValue = rate => flows.reduce((sum, flow, i) => sum + flow.amount / Math.pow(1 + rate, years[i]), 0);
+
+    // Newton's method from a 10% guess
+    let rate = 0.1;
+    for (let iteration = 0; iteration < 50; iteration++) {
+        const value = netPresentValue(rate);
+        const derivative = flows.reduce((sum, flow, i) => sum - years[i] * flow.amount / Math.pow(1 + rate, years[i] + 1), 0);
+        if (!Number.isFinite(value) || !Number.isFinite(derivative) || derivative === 0) {
+            break;
+        }
+        const nextRate = rate - value / derivative;
+        if (Math.abs(nextRate - rate) < 1e-10) {
+            return nextRate;
+        }
+        rate = nextRate <= -0.9999 ? (rate - 0.9999) / 2 : nextRate;
+    }
+
+    // Fall back to bisection when Newton's method does not converge
+    let low = -0.9999, high = 10;
+    let lowValue = netPresentValue(low);
+    if (lowValue * netPresentValue(high) > 0) {
+        console.warn('calculateXirr: No solution found for cash flows', flows);
+        return null;
+    }
+    for (let iteration = 0; iteration < 200; iteration++) {
+        const mid = (low + high) / 2;
+        const midValue = netPresentValue(mid);
+        if (Math.abs(midValue) < 1e-7) {
+            return mid;
+        }
+        if (lowValue * midValue < 0) {
+            high = mid;
+        } else {
+            low = mid;
+            lowValue = midValue;
+        }
+    }
+    return (low + high) / 2;
+}
+
+/**
+ * Display the portfolio comparison results on the page, one card per portfolio
  * @param {Object} comparison - Portfolio comparison data
  */
 function displayPortfolioComparison(comparison) {
-    const mmf = comparison.mmfPortfolio;
-    const mutualFunds = comparison.mutualFundsPortfolio;
-    
     const container = document.getElementById('portfolio-cards');
     container.innerHTML = '';
-    
-    const mmfCard = document.createElement('div');
-    mmfCard.className = 'portfolio-card mmf';
-    mmfCard.innerHTML = `
-        <h3>Money Market Fund (AFAXX)</h3>
-        <div class="portfolio-stat">
-            <span class="portfolio-label">Current Value:</span>
-            <span class="portfolio-value">$${mmf.currentValue ? mmf.currentValue.toFixed(2) : '0.00'}</span>
-        </div>
-        <div class="portfolio-stat">
-            <span class="portfolio-label">Initial Value:</span>
-            <span class="portfolio-value">$${mmf.initialValue ? mmf.initialValue.toFixed(2) : '0.00'}</span>
-        </div>
-        <div class="portfolio-stat">
-            <span class="portfolio-label">Change:</span>
-            <span class="portfolio-value ${mmf.change >= 0 ? 'positive-change' : 'negative-change'}">
-                $${mmf.change ? mmf.change.toFixed(2) : '0.00'} (${mmf.changePercent ? mmf.changePercent.toFixed(2) : '0.00'}%)
-            </span>
-        </div>
-        <div class="portfolio-stat">
-            <span class="portfolio-label">Annualized Return:</span>
-            <span class="portfolio-value ${mmf.annualizedReturn >= 0 ? 'positive-change' : 'negative-change'}">
-                ${mmf.annualizedReturn ? mmf.annualizedReturn.toFixed(2) : '0.00'}%
-            </span>
-        </div>
-        <div class="portfolio-stat">
-            <span class="portfolio-label">Volatility:</span>
-            <span class="portfolio-value">${mmf.volatility ? mmf.volatility.toFixed(2) : '0.00'}%</span>
-        </div>
-        <div class="holdings-details">
-            <div class="holdings-title">Current Holdings</div>
+
+    comparison.portfolios.forEach((summary, index) => {
+        const card = document.createElement('div');
+        card.className = 'portfolio-card';
+        card.style.borderLeftColor = PORTFOLIO_COLORS[index % PORTFOLIO_COLORS.length];
+
+        const holdingsHtml = Object.keys(summary.currentUnits).map(ticker => `
+            <div class="portfolio-stat">
+                <span class="portfolio-label">${ticker} Units:</span>
+                <span class="portfolio-value">${summary.currentUnits[ticker] ? summary.currentUnits[ticker].toFixed(3) : 'N/A'}</span>
+            </div>
+        `).join('');
+
+        // Metrics that could not be calculated are shown as N/A
+        const formatMetric = (value, digits, suffix = '') => value === null || value === undefined ? 'N/A' : `${value.toFixed(digits)}${suffix}`;
+
+        // One block of benchmark-relative metrics per benchmark
+        const benchmarksHtml = (summary.benchmarks || []).map(metrics => `
+            <div class="holdings-details">
+                <div class="holdings-title">vs ${metrics.ticker}${metrics.totalReturn ? '' : ' (price only)'}</div>
+                <div class="portfolio-stat">
+                    <span class="portfolio-label">${metrics.ticker} Return:</span>
+                    <span class="portfolio-value">${formatMetric(metrics.benchmarkReturn, 2, '%')}</span>
+                </div>
+                <div class="portfolio-stat">
+                    <span class="portfolio-label">Excess Return:</span>
+                    <span class="portfolio-value ${metrics.excessReturn >= 0 ? 'positive-change' : 'negative-change'}">
+                        ${formatMetric(metrics.excessReturn, 2, '%')}
+                    </span>
+                </div>
+                <div class="portfolio-stat">
+                    <span class="portfolio-label">Beta:</span>
+                    <span class="portfolio-value">${formatMetric(metrics.beta, 2)}</span>
+                </div>
+                <div class="portfolio-stat">
+                    <span class="portfolio-label">Alpha (annualized):</span>
+                    <span class="portfolio-value ${metrics.alpha >= 0 ? 'positive-change' : 'negative-change'}">
+                        ${formatMetric(metrics.alpha, 2, '%')}
+                    </span>
+                </div>
+                <div class="portfolio-stat">
+                    <span class="portfolio-label">Correlation:</span>
+                    <span class="portfolio-value">${formatMetric(metrics.correlation, 2)}</span>
+                </div>
+                <div class="portfolio-stat">
+                    <span class="portfolio-label">Tracking Error:</span>
+                    <span class="portfolio-value">${formatMetric(metrics.trackingError, 2, '%')}</span>
+                </div>
+            </div>
+        `).join('');
+
+        // Before-tax and after-tax figures side by side in after-tax mode
+        const afterTaxHtml = !summary.afterTax ? '' : `
+            <table class="after-tax-table">
+                <thead>
+                    <tr><th></th><th>Before Tax</th><th>After Tax</th></tr>
+                </thead>
+                <tbody>
+                    <tr>
+                        <td>Value</td>
+                        <td class="data-point">$${summary.currentValue.toFixed(2)}</td>
+                        <td class="data-point">$${summary.afterTax.currentValue.toFixed(2)}</td>
+                    </tr>
+                    <tr>
+                        <td>Change</td>
+                        <td class="${summary.change >= 0 ? 'positive-change' : 'negative-change'}">${summary.changePercent.toFixed(2)}%</td>
+                        <td class="${summary.afterTax.change >= 0 ? 'positive-change' : 'negative-change'}">${summary.afterTax.changePercent.toFixed(2)}%</td>
+                    </tr>
+                    <tr>
+                        <td>Taxes Paid</td>
+                        <td class="data-point">$0.00</td>
+                        <td class="data-point">$${summary.afterTax.taxesPaid.toFixed(2)}</td>
+                    </tr>
+                </tbody>
+            </table>
+        `;
+
+        // Trade log of a rebalanced portfolio
+        const rebalanceHtml = summary.rebalanceRule === 'none' ? '' : `
+            <details class="holdings-details">
+                <summary class="holdings-title">
+                    Rebalancing: ${REBALANCE_RULE_LABELS[summary.rebalanceRule]} (${new Set(summary.rebalanceTrades.map(trade => trade.date)).size} rebalance date(s), ${summary.rebalanceTrades.length} trade(s))
+                </summary>
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr><th>Date</th><th>Ticker</th><th>Trade</th><th>Units</th><th>Amount</th><th>Weight Before / After</th></tr>
+                        </thead>
+                        <tbody>
+                            ${summary.rebalanceTrades.map(trade => `
+                                <tr>
+                                    <td>${trade.date}</td>
+                                    <td>${trade.ticker}</td>
+                                    <td>${trade.type === 'sell' ? 'Sell' : 'Buy'}</td>
+                                    <td class="data-point">${trade.units.toFixed(3)}</td>
+                                    <td class="data-point">$${Math.abs(trade.amount).toFixed(2)}</td>
+                                    <td class="data-point">${trade.weightBefore.toFixed(2)}% / ${trade.weightAfter.toFixed(2)}%</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="button-container">
+                    <button class="download-btn trades-download"><span>📥</span> Export Trades (CSV)</button>
+                </div>
+            </details>
+        `;
+
+        // Sales charges paid and how long the portfolio needs to recover them
+        const breakEvenHtml = (comparison.breakEven || []).filter(entry => entry.portfolio === summary.name).map(entry => {
+            let outcome = 'does not recover them at its historical pace';
+            if (entry.startingLoad === 0) {
+                outcome = 'n/a (no sales charge on the starting holdings)';
+            } else if (entry.recoveredDate) {
+                outcome = `was ahead on ${entry.recoveredDate}`;
+            } else if (entry.yearsToBreakEven !== null) {
+                outcome = `needs ${entry.yearsToBreakEven.toFixed(1)} years at its historical pace (${entry.breakEvenDate})`;
+            }
+            return `
+                <div class="portfolio-stat">
+                    <span class="portfolio-label">Break-even vs ${escapeConfigHtml(entry.reference)}:</span>
+                    <span class="portfolio-value">${outcome}</span>
+                </div>
+            `;
+        }).join('');
+        const salesChargesHtml = !summary.salesCharges || summary.salesCharges.length === 0 ? '' : `
+            <details class="holdings-details">
+                <summary class="holdings-title">Sales Charges: $${summary.salesChargesTotal.toFixed(2)}</summary>
+                ${breakEvenHtml}
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr><th>Date</th><th>Ticker</th><th>Charge</th><th>Rate</th><th>Amount</th></tr>
+                        </thead>
+                        <tbody>
+                            ${summary.salesCharges.map(charge => `
+                                <tr>
+                                    <td>${charge.date}</td>
+                                    <td>${charge.ticker}</td>
+                                    <td>${charge.type === 'cdsc' ? 'CDSC' : 'Front Load'}</td>
+                                    <td class="data-point">${charge.rate === null ? 'N/A' : `${charge.rate.toFixed(2)}%`}</td>
+                                    <td class="data-point">$${charge.amount.toFixed(2)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </details>
+        `;
+
+        card.innerHTML = `
+            <h3>${escapeConfigHtml(summary.name)}</h3>
+            ${afterTaxHtml}
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Current Value:</span>
+                <span class="portfolio-value">$${summary.currentValue ? summary.currentValue.toFixed(2) : '0.00'}</span>
+            </div>
             <div class="portfolio-stat">
-                <span class="portfolio-label">AFAXX Units:</span>
-                <span class="portfolio-value">${mmf.currentUnits ? mmf.currentUnits.toFixed(2) : 'N/A'}</span>
+                <span class="portfolio-label">Initial Value:</span>
+                <span class="portfolio-value">$${summary.initialValue ? summary.initialValue.toFixed(2) : '0.00'}</span>
             </div>
-        </div>
-    `;
-    
-    const mutualFundsCard = document.createElement('div');
-    mutualFundsCard.className = 'portfolio-card mutual-funds';
-    mutualFundsCard.innerHTML = `
-        <h3>Mutual Funds Portfolio</h3>
-        <div class="portfolio-stat">
-            <span class="portfolio-label">Current Value:</span>
-            <span class="portfolio-value">$${mutualFunds.currentValue ? mutualFunds.currentValue.toFixed(2) : '0.00'}</span>
-        </div>
-        <div class="portfolio-stat">
-            <span class="portfolio-label">Initial Value:</span>
-            <span class="portfolio-value">$${mutualFunds.initialValue ? mutualFunds.initialValue.toFixed(2) : '0.00'}</span>
-        </div>
-        <div class="portfolio-stat">
-            <span class="portfolio-label">Change:</span>
-            <span class="portfolio-value ${mutualFunds.change >= 0 ? 'positive-change' : 'negative-change'}">
-                $${mutualFunds.change ? mutualFunds.change.toFixed(2) : '0.00'} (${mutualFunds.changePercent ? mutualFunds.changePercent.toFixed(2) : '0.00'}%)
-            </span>
-        </div>
-        <div class="portfolio-stat">
-            <span class="portfolio-label">Annualized Return:</span>
-            <span class="portfolio-value ${mutualFunds.annualizedReturn >= 0 ? 'positive-change' : 'negative-change'}">
-                ${mutualFunds.annualizedReturn ? mutualFunds.annualizedReturn.toFixed(2) : '0.00'}%
-            </span>
-        </div>
-        <div class="portfolio-stat">
-            <span class="portfolio-label">Volatility:</span>
-            <span class="portfolio-value">${mutualFunds.volatility ? mutualFunds.volatility.toFixed(2) : '0.00'}%</span>
-        </div>
-        <div class="holdings-details">
-            <div class="holdings-title">Current Holdings</div>
             <div class="portfolio-stat">
-                <span class="portfolio-label">AGTHX Units:</span>
-                <span class="portfolio-value">${mutualFunds.currentAGTHXUnits ? mutualFunds.currentAGTHXUnits.toFixed(3) : 'N/A'}</span>
+                <span class="portfolio-label">Change:</span>
+                <span class="portfolio-value ${summary.change >= 0 ? 'positive-change' : 'negative-change'}">
+                    $${summary.change ? summary.change.toFixed(2) : '0.00'} (${summary.changePercent ? summary.changePercent.toFixed(2) : '0.00'}%)
+                </span>
             </div>
             <div class="portfolio-stat">
-                <span class="portfolio-label">ANCFX Units:</span>
-                <span class="portfolio-value">${mutualFunds.currentANCFXUnits ? mutualFunds.currentANCFXUnits.toFixed(3) : 'N/A'}</span>
+                <span class="portfolio-label">Net Contributions:</span>
+                <span class="portfolio-value">$${summary.netContributions ? summary.netContributions.toFixed(2) : '0.00'}</span>
             </div>
-        </div>
-    `;
-    
-    container.appendChild(mmfCard);
-    container.appendChild(mutualFundsCard);
-    
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Time-Weighted Return (cumulative):</span>
+                <span class="portfolio-value ${summary.timeWeightedReturn >= 0 ? 'positive-change' : 'negative-change'}">
+                    ${summary.timeWeightedReturn ? summary.timeWeightedReturn.toFixed(2) : '0.00'}%
+                </span>
+            </div>
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Time-Weighted Return (annualized):</span>
+                <span class="portfolio-value ${summary.annualizedReturn >= 0 ? 'positive-change' : 'negative-change'}">
+                    ${summary.annualizedReturn ? summary.annualizedReturn.toFixed(2) : '0.00'}%
+                </span>
+            </div>
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Money-Weighted Return (XIRR, annualized):</span>
+                <span class="portfolio-value ${summary.moneyWeightedReturn >= 0 ? 'positive-change' : 'negative-change'}">
+                    ${summary.moneyWeightedReturn !== null && summary.moneyWeightedReturn !== undefined ? summary.moneyWeightedReturn.toFixed(2) + '%' : 'N/A'}
+                </span>
+            </div>
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Volatility:</span>
+                <span class="portfolio-value">${summary.volatility ? summary.volatility.toFixed(2) : '0.00'}%</span>
+            </div>
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Max Drawdown:</span>
+                <span class="portfolio-value ${summary.maxDrawdown < 0 ? 'negative-change' : ''}">
+                    ${formatMetric(summary.maxDrawdown, 2, '%')}
+                    ${summary.maxDrawdownPeakDate ? `(${summary.maxDrawdownPeakDate} → ${summary.maxDrawdownTroughDate}, ${summary.maxDrawdownRecoveryDate ? `recovered ${summary.maxDrawdownRecoveryDate}` : 'not recovered'})` : ''}
+                </span>
+            </div>
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Current Drawdown:</span>
+                <span class="portfolio-value ${summary.currentDrawdown < 0 ? 'negative-change' : ''}">${formatMetric(summary.currentDrawdown, 2, '%')}</span>
+            </div>
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Downside Deviation:</span>
+                <span class="portfolio-value">${formatMetric(summary.downsideDeviation, 2, '%')}</span>
+            </div>
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Sharpe / Sortino${summary.riskFreeTicker ? ` (vs ${summary.riskFreeTicker})` : ''}:</span>
+                <span class="portfolio-value">${formatMetric(summary.sharpeRatio, 2)} / ${formatMetric(summary.sortinoRatio, 2)}</span>
+            </div>
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Calmar Ratio:</span>
+                <span class="portfolio-value">${formatMetric(summary.calmarRatio, 2)}</span>
+            </div>
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Dividends (Regular / Special):</span>
+                <span class="portfolio-value">
+                    $${summary.distributionTotals.incomeDividendRegular.toFixed(2)} / $${summary.distributionTotals.incomeDividendSpecial.toFixed(2)}
+                </span>
+            </div>
+            ${summary.accruedIncome > 0 ? `
+                <div class="portfolio-stat">
+                    <span class="portfolio-label">Accrued Income (unpaid):</span>
+                    <span class="portfolio-value">$${summary.accruedIncome.toFixed(2)}</span>
+                </div>
+            ` : ''}
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Capital Gains (LT / ST):</span>
+                <span class="portfolio-value">
+                    $${summary.distributionTotals.capGainsLongTerm.toFixed(2)} / $${summary.distributionTotals.capGainsShortTerm.toFixed(2)}
+                </span>
+            </div>
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Cost Basis:</span>
+                <span class="portfolio-value">$${summary.costBasis ? summary.costBasis.toFixed(2) : '0.00'}</span>
+            </div>
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Unrealized Gain (ST / LT):</span>
+                <span class="portfolio-value ${summary.unrealizedGain >= 0 ? 'positive-change' : 'negative-change'}">
+                    $${summary.unrealizedGain ? summary.unrealizedGain.toFixed(2) : '0.00'}
+                    ($${(summary.unrealizedShortTerm || 0).toFixed(2)} / $${(summary.unrealizedLongTerm || 0).toFixed(2)})
+                </span>
+            </div>
+            <div class="portfolio-stat">
+                <span class="portfolio-label">Realized Gain (ST / LT):</span>
+                <span class="portfolio-value ${summary.realizedGain >= 0 ? 'positive-change' : 'negative-change'}">
+                    $${summary.realizedGain ? summary.realizedGain.toFixed(2) : '0.00'}
+                    ($${(summary.realizedShortTerm || 0).toFixed(2)} / $${(summary.realizedLongTerm || 0).toFixed(2)})
+                </span>
+            </div>
+            ${benchmarksHtml}
+            <div class="holdings-details">
+                <div class="holdings-title">Current Holdings</div>
+                ${holdingsHtml}
+            </div>
+            <details class="holdings-details">
+                <summary class="holdings-title">Tax Lots (${summary.lots.length} open)</summary>
+                <div class="table-container">
+                    <table>
+                        <thead>
+                            <tr><th>Lot</th><th>Acquired</th><th>Units</th><th>Cost</th><th>Gain</th><th>Term</th></tr>
+                        </thead>
+                        <tbody>
+                            ${summary.lots.map(lot => `
+                                <tr>
+                                    <td>${lot.id}</td>
+                                    <td>${lot.date}</td>
+                                    <td class="data-point">${lot.units.toFixed(3)}</td>
+                                    <td class="data-point">$${lot.cost.toFixed(2)}</td>
+                                    <td class="data-point ${lot.unrealizedGain >= 0 ? 'positive-change' : 'negative-change'}">$${lot.unrealizedGain.toFixed(2)}</td>
+                                    <td>${lot.term === 'long' ? 'Long-term' : 'Short-term'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="button-container">
+                    <button class="download-btn lots-download"><span>📥</span> Export Lots (CSV)</button>
+                </div>
+            </details>
+            ${rebalanceHtml}
+            ${salesChargesHtml}
+        `;
+
+        card.querySelector('.lots-download').addEventListener('click', () => {
+            const rows = getLotExportRows(summary.lots, summary.realizedLots);
+            const filename = `${summary.name.replace(/[^A-Za-z0-9]+/g, '_')}_tax_lots.csv`;
+            downloadTextFile(toDelimitedText(rows, LOT_EXPORT_COLUMNS, ','), filename, 'text/csv');
+        });
+        if (rebalanceHtml) {
+            card.querySelector('.trades-download').addEventListener('click', () => {
+                const filename = `${summary.name.replace(/[^A-Za-z0-9]+/g, '_')}_rebalance_trades.csv`;
+                downloadTextFile(toDelimitedText(summary.rebalanceTrades, REBALANCE_TRADE_COLUMNS, ','), filename, 'text/csv');
+            });
+        }
+
+        container.appendChild(card);
+    });
+
     console.log('Portfolio comparison data for charting:', comparison.dailyValues);
 }
@@ -0,0 +1,740 @@
+/**
+ * Portfolio Configuration Module
+ * filename = portfolio-config.js
+ * Loads, saves and shares the portfolio setup (start date, holdings, tax and sales charge settings and NAV and
+ * distribution data sources) and renders the in-page editor for it.
+ *
+ * CONFIG STRUCTURE:
+ * {
+ *     startDate: 'YYYY-MM-DD',
+ *     portfolios: [
+ *         {
+ *             name: string,
+ *             holdings: [
+ *                 { ticker: string, units: number }     // Fixed number of shares, or
+ *                 { ticker: string, dollars: number }   // Amount invested at the first NAV on/after startDate
+ *             ],                                         // Either may add targetWeight (percent) for rebalancing
+ *             transactions: [                            // Optional ledger of later trades
+ *                 { date: 'YYYY-MM-DD', ticker: string, type: 'buy' | 'sell', units | dollars: number,
+ *                   lotIds: [string] }                   // Lots to sell first with the 'specific' method
+ *             ],
+ *             costBasisMethod: 'fifo' | 'specific' | 'average',
+ *             rebalance: { rule, threshold, compareBuyAndHold }   // Optional (see rebalancing.js)
+ *         },
+ *         ...
+ *     ],
+ *     tax: { enabled, payFrom, rates },                  // After-tax mode settings (see tax-model.js)
+ *     fees: { enabled, chargeInitialHoldings, rightsOfAccumulation, otherFamilyHoldings, schedules },
+ *                                                        // Sales charges on load funds (see fund-fees.js)
+ *     mmfReinvestment: 'monthly' | 'daily',              // Money market income: accrue and reinvest monthly, or compound daily
+ *     benchmarks: [string],                              // Index tickers to compare every portfolio with (see benchmark-metrics.js)
+ *     providers: {                                       // Optional NAV source per ticker (see fund-data-fetcher.js)
+ *         AFAXX: { type: 'fixed', nav: 1.00 },
+ *         AGTHX: { type: 'file', url: 'data/AGTHX.csv' } // Leave url empty to use a file chosen in the editor
+ *     },
+ *     distributionBaseUrl: string                        // Optional base URL for distribution files
+ * }
+ *
+ * CONFIG SOURCES (first one found wins):
+ * 1. "config" parameter in the page URL (see getShareableConfigUrl)
+ * 2. localStorage (saved by savePortfolioConfig)
+ * 3. DEFAULT_PORTFOLIO_CONFIG
+ *
+ * EXAMPLE USAGE:
+ * const config = loadPortfolioConfig();
+ * renderConfigEditor(document.getElementById('config-editor'), config, newConfig => {
+ *     savePortfolioConfig(newConfig);
+ *     // Reload data for newConfig
+ * });
+ */
+
+const CONFIG_STORAGE_KEY = 'fundFetcher.portfolioConfig';
+const CONFIG_URL_PARAM = 'config';
+
+const DEFAULT_PORTFOLIO_CONFIG = {
+    startDate: '2024-12-31',
+    portfolios: [
+        {
+            name: 'Money Market Fund (AFAXX)',
+            holdings: [{ ticker: 'AFAXX', units: 77650.78 }]
+        },
+        {
+            name: 'Mutual Funds Portfolio',
+            holdings: [
+                { ticker: 'AGTHX', units: 104.855 },
+                { ticker: 'ANCFX', units: 860.672 }
+            ]
+        }
+    ]
+};
+
+/**
+ * Load the portfolio configuration from the URL, localStorage or the defaults
+ * @returns {Object} - Normalized portfolio configuration
+ */
+function loadPortfolioConfig() {
+    if (typeof window !== 'undefined' && window.location) {
+        const encoded = new URLSearchParams(window.location.search).get(CONFIG_URL_PARAM);
+        if (encoded) {
+            try {
+                const config = normalizePortfolioConfig(decodePortfolioConfig(encoded));
+                console.log('Loaded portfolio config from URL:', config);
+                return config;
+            } catch (error) {
+                console.warn(`Ignoring invalid portfolio config in URL: ${error.message}`);
+            }
+        }
+    }
+
+    if (typeof localStorage !== 'undefined') {
+        const stored = localStorage.getItem(CONFIG_STORAGE_KEY);
+        if (stored) {
+            try {
+                const config = normalizePortfolioConfig(JSON.parse(stored));
+                console.log('Loaded portfolio config from localStorage:', config);
+                return config;
+            } catch (error) {
+                console.warn(`Ignoring invalid saved portfolio config: ${error.message}`);
+            }
+        }
+    }
+
+    console.log('Using default portfolio config');
+    return normalizePortfolioConfig(DEFAULT_PORTFOLIO_CONFIG);
+}
+
+/**
+ * Save the portfolio configuration to localStorage
+ * @param {Object} config - Portfolio configuration
+ */
+function savePortfolioConfig(config) {
+    if (typeof localStorage === 'undefined') {
+        return;
+    }
+    localStorage.setItem(CONFIG_STORAGE_KEY, JSON.stringify(normalizePortfolioConfig(config)));
+    console.log('Saved portfolio config to localStorage');
+}
+
+/**
+ * Remove the saved configuration so the defaults are used again
+ */
+function clearSavedPortfolioConfig() {
+    if (typeof localStorage !== 'undefined') {
+        localStorage.removeItem(CONFIG_STORAGE_KEY);
+    }
+}
+
+/**
+ * Encode a configuration as a URL-safe string
+ * @param {Object} config - Portfolio configuration
+ * @returns {String} - Base64url encoded JSON
+ */
+function encodePortfolioConfig(config) {
+    const json = JSON.stringify(normalizePortfolioConfig(config));
+    const base64 = btoa(unescape(encodeURIComponent(json)));
+    return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode a configuration produced by encodePortfolioConfig
+ * @param {String} encoded - Base64url encoded JSON
+ * @returns {Object} - Decoded (not yet normalized) configuration
+ */
+function decodePortfolioConfig(encoded) {
+    const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+    const json = decodeURIComponent(escape(atob(base64)));
+    return JSON.parse(json);
+}
+
+/**
+ * Build a link to the current page that opens with the given configuration
+ * @param {Object} config - Portfolio configuration
+ * @returns {String} - Shareable URL
+ */
+function getShareableConfigUrl(config) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(CONFIG_URL_PARAM, encodePortfolioConfig(config));
+    return url.toString();
+}
+
+/**
+ * Validate a configuration and convert it to the canonical shape
+ * @param {Object} config - Raw configuration
+ * @returns {Object} - Normalized copy of the configuration
+ */
+function normalizePortfolioConfig(config) {
+    if (!config || typeof config !== 'object') {
+        throw new Error('Portfolio config must be an object');
+    }
+
+    if (!config.startDate || !/^\d{4}-\d{2}-\d{2}$/.test(config.startDate) || isNaN(new Date(config.startDate))) {
+        throw new Error('Start date must be in YYYY-MM-DD format');
+    }
+
+    if (!Array.isArray(config.portfolios) || config.portfolios.length === 0) {
+        throw new Error('At least one portfolio is required');
+    }
+
+    const portfolios = config.portfolios.map((portfolio, index) => {
+        const name = String(portfolio.name || '').trim() || `Portfolio ${index + 1}`;
+        // Names are shown on the page and in exported reports, so they may not carry markup
+        if (/[<>]/.test(name)) {
+            throw new Error(`Portfolio ${index + 1}: name cannot contain < or >`);
+        }
+        if (!Array.isArray(portfolio.holdings) || portfolio.holdings.length === 0) {
+            throw new Error(`${name} needs at least one holding`);
+        }
+
+        const holdings = portfolio.holdings.map(holding => {
+            const ticker = normalizeConfigTicker(holding.ticker, name);
+            const normalized = { ticker: ticker, ...normalizeConfigAmount(holding, `${name}: ${ticker}`) };
+            if (holding.targetWeight !== undefined && holding.targetWeight !== null && holding.targetWeight !== '') {
+                const targetWeight = Number(holding.targetWeight);
+                if (!(targetWeight >= 0 && targetWeight <= 100)) {
+                    throw new Error(`${name}: target weight for ${ticker} must be between 0 and 100`);
+                }
+                normalized.targetWeight = targetWeight;
+            }
+            return normalized;
+        });
+
+        const transactions = (portfolio.transactions || []).map(transaction => {
+            const ticker = normalizeConfigTicker(transaction.ticker, name);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(transaction.date || '') || isNaN(new Date(transaction.date))) {
+                throw new Error(`${name}: transaction date for ${ticker} must be in YYYY-MM-DD format`);
+            }
+            if (transaction.type !== 'buy' && transaction.type !== 'sell') {
+                throw new Error(`${name}: transaction type for ${ticker} must be "buy" or "sell"`);
+            }
+            const normalized = {
+                date: transaction.date,
+                ticker: ticker,
+                type: transaction.type,
+                ...normalizeConfigAmount(transaction, `${name}: ${transaction.type} of ${ticker} on ${transaction.date}`)
+            };
+            const lotIds = Array.isArray(transaction.lotIds)
+                ? transaction.lotIds
+                : String(transaction.lotIds || '').split(',');
+            const cleanLotIds = lotIds.map(id => String(id).trim().toUpperCase()).filter(Boolean);
+            if (transaction.type === 'sell' && cleanLotIds.length > 0) {
+                normalized.lotIds = cleanLotIds;
+            }
+            return normalized;
+        });
+
+        const costBasisMethod = portfolio.costBasisMethod || 'fifo';
+        if (!COST_BASIS_METHODS.includes(costBasisMethod)) {
+            throw new Error(`${name}: cost basis method must be one of ${COST_BASIS_METHODS.join(', ')}`);
+        }
+
+        const rebalance = normalizeRebalanceSettings(portfolio.rebalance, holdings, name, transactions);
+
+        return { ...portfolio, name: name, holdings: holdings, transactions: transactions, costBasisMethod: costBasisMethod, rebalance: rebalance };
+    });
+
+    const mmfReinvestment = config.mmfReinvestment || 'monthly';
+    if (!MMF_REINVESTMENT_MODES.includes(mmfReinvestment)) {
+        throw new Error(`Money market reinvestment must be one of ${MMF_REINVESTMENT_MODES.join(', ')}`);
+    }
+
+    return {
+        ...config,
+        startDate: config.startDate,
+        portfolios: portfolios,
+        tax: normalizeTaxSettings(config.tax),
+        fees: normalizeFeeSettings(config.fees),
+        mmfReinvestment: mmfReinvestment,
+        benchmarks: normalizeConfigBenchmarks(config.benchmarks),
+        providers: normalizeConfigProviders(config.providers),
+        distributionBaseUrl: String(config.distributionBaseUrl || '').trim()
+    };
+}
+
+/**
+ * Validate the per-ticker NAV provider settings
+ * @param {Object} [providers] - Provider settings by ticker
+ * @returns {Object} - Normalized provider settings by ticker
+ */
+function normalizeConfigProviders(providers = {}) {
+    const normalized = {};
+    Object.keys(providers).forEach(rawTicker => {
+        const ticker = normalizeConfigTicker(rawTicker, 'Data sources');
+        const provider = providers[rawTicker] || {};
+        getNavProvider(provider.type);
+
+        if (provider.type === 'fixed') {
+            const nav = provider.nav === undefined || provider.nav === '' ? 1.00 : Number(provider.nav);
+            if (!(nav > 0)) {
+                throw new Error(`${ticker}: fixed NAV must be greater than zero`);
+            }
+            normalized[ticker] = { type: 'fixed', nav: nav };
+        } else if (provider.type === 'file') {
+            normalized[ticker] = { type: 'file', url: String(provider.url || '').trim() };
+        } else {
+            normalized[ticker] = { type: provider.type };
+        }
+    });
+    return normalized;
+}
+
+/**
+ * Validate the benchmark tickers
+ * @param {Array|String} [benchmarks] - Tickers, or a comma-separated list from the editor
+ * @returns {Array} - Unique uppercase tickers
+ */
+function normalizeConfigBenchmarks(benchmarks = []) {
+    const tickers = Array.isArray(benchmarks) ? benchmarks : String(benchmarks).split(',');
+    const normalized = [];
+    tickers
+        .filter(ticker => String(ticker).trim())
+        .forEach(ticker => {
+            const benchmark = normalizeConfigTicker(ticker, 'Benchmarks');
+            if (!normalized.includes(benchmark)) {
+                normalized.push(benchmark);
+            }
+        });
+    return normalized;
+}
+
+/**
+ * Validate and uppercase a ticker from the config
+ * @param {String} ticker - Raw ticker
+ * @param {String} portfolioName - Portfolio name for error messages
+ * @returns {String} - Normalized ticker
+ */
+function normalizeConfigTicker(ticker, portfolioName) {
+    const normalized = String(ticker || '').trim().toUpperCase();
+    if (!/^[A-Z0-9.^-]+$/.test(normalized)) {
+        throw new Error(`${portfolioName} has an invalid ticker: "${ticker || ''}"`);
+    }
+    return normalized;
+}
+
+/**
+ * Validate the units or dollars of a holding or transaction
+ * @param {Object} entry - Holding or transaction with units or dollars
+ * @param {String} label - Description for error messages
+ * @returns {Object} - { units } or { dollars }
+ */
+function normalizeConfigAmount(entry, label) {
+    if (entry.dollars !== undefined && entry.dollars !== null && entry.dollars !== '') {
+        const dollars = Number(entry.dollars);
+        if (!(dollars > 0)) {
+            throw new Error(`${label}: dollar amount must be greater than zero`);
+        }
+        return { dollars: dollars };
+    }
+
+    const units = Number(entry.units);
+    if (!(units > 0)) {
+        throw new Error(`${label}: units must be greater than zero`);
+    }
+    return { units: units };
+}
+
+/**
+ * Get every ticker the configuration needs data for
+ * @param {Object} config - Portfolio configuration
+ * @returns {Array} - Unique tickers
+ */
+function getConfigTickers(config) {
+    return getPortfolioTickers(config.portfolios);
+}
+
+/**
+ * Render the configuration editor form
+ * @param {HTMLElement} container - Element to render the editor into
+ * @param {Object} config - Configuration to start editing from
+ * @param {Function} onApply - Called with the normalized configuration when the user applies it
+ */
+function renderConfigEditor(container, config, onApply) {
+    // Work on a copy so nothing changes until the user applies it
+    const draft = JSON.parse(JSON.stringify(config));
+
+    const render = () => {
+        const portfoliosHtml = draft.portfolios.map((portfolio, portfolioIndex) => `
+            <div class="config-portfolio" style="border-left-color: ${PORTFOLIO_COLORS[portfolioIndex % PORTFOLIO_COLORS.length]}">
+                <div class="config-row">
+                    <input type="text" class="format-select" data-field="name" data-portfolio="${portfolioIndex}"
+                        value="${escapeConfigHtml(portfolio.name)}" placeholder="Portfolio name">
+                    <label>Cost Basis
+                        <select class="format-select" data-field="costBasisMethod" data-portfolio="${portfolioIndex}">
+                            <option value="fifo" ${(portfolio.costBasisMethod || 'fifo') === 'fifo' ? 'selected' : ''}>FIFO</option>
+                            <option value="specific" ${portfolio.costBasisMethod === 'specific' ? 'selected' : ''}>Specific Lot</option>
+                            <option value="average" ${portfolio.costBasisMethod === 'average' ? 'selected' : ''}>Average Cost</option>
+                        </select>
+                    </label>
+                    <button class="download-btn" data-action="remove-portfolio" data-portfolio="${portfolioIndex}"
+                        ${draft.portfolios.length === 1 ? 'disabled' : ''}>Remove Portfolio</button>
+                </div>
+                <div class="config-row">
+                    <label>Rebalance
+                        <select class="format-select" data-field="rebalanceRule" data-portfolio="${portfolioIndex}">
+                            ${REBALANCE_RULES.map(rule => `
+                                <option value="${rule}" ${((portfolio.rebalance || {}).rule || 'none') === rule ? 'selected' : ''}>${REBALANCE_RULE_LABELS[rule]}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    ${(portfolio.rebalance || {}).rule === 'threshold' ? `
+                        <label>Drift ±
+                            <input type="number" step="any" min="0" max="100" class="format-select config-rate" data-field="rebalanceThreshold"
+                                data-portfolio="${portfolioIndex}" value="${escapeConfigHtml(portfolio.rebalance.threshold)}"> points
+                        </label>
+                    ` : ''}
+                    ${((portfolio.rebalance || {}).rule || 'none') !== 'none' ? `
+                        <label><input type="checkbox" data-field="compareBuyAndHold" data-portfolio="${portfolioIndex}"
+                            ${portfolio.rebalance.compareBuyAndHold ? 'checked' : ''}> Compare with buy &amp; hold</label>
+                    ` : ''}
+                </div>
+                ${portfolio.holdings.map((holding, holdingIndex) => `
+                    <div class="config-row">
+                        <input type="text" class="format-select config-ticker" data-field="ticker"
+                            data-portfolio="${portfolioIndex}" data-holding="${holdingIndex}"
+                            value="${escapeConfigHtml(holding.ticker)}" placeholder="Ticker">
+                        <input type="number" step="any" min="0" class="format-select" data-field="amount"
+                            data-portfolio="${portfolioIndex}" data-holding="${holdingIndex}"
+                            value="${holding.dollars !== undefined ? holding.dollars : (holding.units !== undefined ? holding.units : '')}">
+                        <select class="format-select" data-field="amountType" data-portfolio="${portfolioIndex}" data-holding="${holdingIndex}">
+                            <option value="units" ${holding.dollars === undefined ? 'selected' : ''}>Units</option>
+                            <option value="dollars" ${holding.dollars !== undefined ? 'selected' : ''}>Dollars</option>
+                        </select>
+                        ${((portfolio.rebalance || {}).rule || 'none') !== 'none' ? `
+                            <label>Target %
+                                <input type="number" step="any" min="0" max="100" class="format-select config-rate" data-field="targetWeight"
+                                    data-portfolio="${portfolioIndex}" data-holding="${holdingIndex}" value="${escapeConfigHtml(holding.targetWeight)}">
+                            </label>
+                        ` : ''}
+                        <button class="download-btn" data-action="remove-holding" data-portfolio="${portfolioIndex}"
+                            data-holding="${holdingIndex}" ${portfolio.holdings.length === 1 ? 'disabled' : ''}>✕</button>
+                    </div>
+                `).join('')}
+                <button class="download-btn" data-action="add-holding" data-portfolio="${portfolioIndex}">+ Add Ticker</button>
+                <div class="holdings-title">Transactions</div>
+                ${(portfolio.transactions || []).map((transaction, transactionIndex) => `
+                    <div class="config-row">
+                        <input type="date" class="format-select" data-field="date"
+                            data-portfolio="${portfolioIndex}" data-transaction="${transactionIndex}" value="${escapeConfigHtml(transaction.date)}">
+                        <select class="format-select" data-field="type" data-portfolio="${portfolioIndex}" data-transaction="${transactionIndex}">
+                            <option value="buy" ${transaction.type !== 'sell' ? 'selected' : ''}>Buy</option>
+                            <option value="sell" ${transaction.type === 'sell' ? 'selected' : ''}>Sell</option>
+                        </select>
+                        <input type="text" class="format-select config-ticker" data-field="ticker"
+                            data-portfolio="${portfolioIndex}" data-transaction="${transactionIndex}"
+                            value="${escapeConfigHtml(transaction.ticker)}" placeholder="Ticker">
+                        <input type="number" step="any" min="0" class="format-select" data-field="amount"
+                            data-portfolio="${portfolioIndex}" data-transaction="${transactionIndex}"
+                            value="${transaction.dollars !== undefined ? transaction.dollars : (transaction.units !== undefined ? transaction.units : '')}">
+                        <select class="format-select" data-field="amountType" data-portfolio="${portfolioIndex}" data-transaction="${transactionIndex}">
+                            <option value="units" ${transaction.dollars === undefined ? 'selected' : ''}>Units</option>
+                            <option value="dollars" ${transaction.dollars !== undefined ? 'selected' : ''}>Dollars</option>
+                        </select>
+                        <input type="text" class="format-select" data-field="lotIds"
+                            data-portfolio="${portfolioIndex}" data-transaction="${transactionIndex}"
+                            value="${escapeConfigHtml([].concat(transaction.lotIds || []).join(', '))}"
+                            placeholder="Lot IDs to sell (specific lot)">
+                        <button class="download-btn" data-action="remove-transaction" data-portfolio="${portfolioIndex}"
+                            data-transaction="${transactionIndex}">✕</button>
+                    </div>
+                `).join('')}
+                <button class="download-btn" data-action="add-transaction" data-portfolio="${portfolioIndex}">+ Add Transaction</button>
+            </div>
+        `).join('');
+
+        const tax = draft.tax || DEFAULT_TAX_SETTINGS;
+        const taxHtml = `
+            <div class="config-portfolio">
+                <div class="config-row">
+                    <label><input type="checkbox" data-field="taxEnabled" ${tax.enabled ? 'checked' : ''}> After-tax comparison (taxable account)</label>
+                    <label>Pay Taxes From
+                        <select class="format-select" data-field="taxPayFrom">
+                            <option value="reinvestment" ${tax.payFrom !== 'outside' ? 'selected' : ''}>Reinvested Distributions</option>
+                            <option value="outside" ${tax.payFrom === 'outside' ? 'selected' : ''}>Outside Cash</option>
+                        </select>
+                    </label>
+                </div>
+                ${TAX_INCOME_TYPES.map(incomeType => `
+                    <div class="config-row">
+                        <span class="config-tax-label">${TAX_INCOME_TYPE_LABELS[incomeType]}</span>
+                        ${['federal', 'state'].map(level => `
+                            <label>${level === 'federal' ? 'Federal' : 'State'} %
+                                <input type="number" step="any" min="0" max="100" class="format-select config-rate"
+                                    data-field="taxRate" data-income-type="${incomeType}" data-level="${level}"
+                                    value="${escapeConfigHtml(((tax.rates || {})[incomeType] || {})[level])}">
+                            </label>
+                        `).join('')}
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        const fees = draft.fees || DEFAULT_FEE_SETTINGS;
+        const feesHtml = `
+            <div class="config-portfolio">
+                <div class="config-row">
+                    <label><input type="checkbox" data-field="feesEnabled" ${fees.enabled ? 'checked' : ''}> Charge front-end loads and CDSCs on load funds</label>
+                    <label><input type="checkbox" data-field="feesInitialHoldings" ${fees.chargeInitialHoldings !== false ? 'checked' : ''}> Starting holdings pay the load</label>
+                    <label><input type="checkbox" data-field="feesAccumulation" ${fees.rightsOfAccumulation !== false ? 'checked' : ''}> Rights of accumulation</label>
+                    <label>Other Family Holdings $
+                        <input type="number" step="any" min="0" class="format-select config-rate" data-field="feesOtherHoldings"
+                            value="${escapeConfigHtml(fees.otherFamilyHoldings)}">
+                    </label>
+                </div>
+            </div>
+        `;
+
+        const holdingTickers = getConfigTickers(draft).filter(Boolean);
+        let benchmarkTickers = [];
+        try {
+            benchmarkTickers = normalizeConfigBenchmarks(draft.benchmarks).filter(ticker => !holdingTickers.includes(ticker));
+        } catch (error) {
+            // Invalid benchmark tickers are reported when the config is applied
+        }
+        const providerTickers = [...holdingTickers, ...benchmarkTickers];
+        const providersHtml = `
+            <div class="config-portfolio">
+                ${providerTickers.map(ticker => {
+                    const provider = getTickerNavProvider(draft, ticker);
+                    return `
+                        <div class="config-row">
+                            <span class="config-ticker">${escapeConfigHtml(ticker)}</span>
+                            <select class="format-select" data-field="providerType" data-ticker="${escapeConfigHtml(ticker)}">
+                                ${Object.keys(NAV_PROVIDERS).map(type => `
+                                    <option value="${type}" ${provider.type === type ? 'selected' : ''}>${NAV_PROVIDERS[type].label}</option>
+                                `).join('')}
+                            </select>
+                            ${provider.type === 'fixed' ? `
+                                <label>NAV $
+                                    <input type="number" step="any" min="0" class="format-select config-rate" data-field="providerNav"
+                                        data-ticker="${escapeConfigHtml(ticker)}" value="${escapeConfigHtml(provider.nav)}">
+                                </label>
+                            ` : ''}
+                            ${provider.type === 'file' ? `
+                                <input type="text" class="format-select" data-field="providerUrl" data-ticker="${escapeConfigHtml(ticker)}"
+                                    value="${escapeConfigHtml(provider.url)}" placeholder="Local URL (e.g. data/${escapeConfigHtml(ticker)}.csv)">
+                                <label>or file <input type="file" accept=".csv,.tsv,.txt,.json" data-field="providerFile"
+                                    data-ticker="${escapeConfigHtml(ticker)}"></label>
+                            ` : ''}
+                            ${benchmarkTickers.includes(ticker) ? '<span class="config-hint">Benchmark</span>' : `
+                                <label>Distributions file <input type="file" accept=".txt,.tsv" data-field="distributionFile"
+                                    data-ticker="${escapeConfigHtml(ticker)}"></label>
+                            `}
+                        </div>
+                    `;
+                }).join('')}
+                <div class="config-row">
+                    <label>Distribution Files Base URL
+                        <input type="text" class="format-select" data-field="distributionBaseUrl"
+                            value="${escapeConfigHtml(draft.distributionBaseUrl)}" placeholder="https://example.com/fund-data/">
+                    </label>
+                </div>
+                <div class="config-hint">
+                    Chosen files are used for this session only; save a URL to reuse a file.
+                    Distribution files are read from a chosen file, then the page's folder, then the base URL,
+                    then the upstream GitHub repository.
+                </div>
+            </div>
+        `;
+
+        container.innerHTML = `
+            <div class="config-row">
+                <label>Start Date <input type="date" class="format-select" data-field="startDate" value="${draft.startDate}"></label>
+                <label>Money Market Income
+                    <select class="format-select" data-field="mmfReinvestment">
+                        <option value="monthly" ${draft.mmfReinvestment !== 'daily' ? 'selected' : ''}>Accrue Daily, Reinvest Monthly</option>
+                        <option value="daily" ${draft.mmfReinvestment === 'daily' ? 'selected' : ''}>Compound Daily</option>
+                    </select>
+                </label>
+                <label>Benchmarks
+                    <input type="text" class="format-select" data-field="benchmarks"
+                        value="${escapeConfigHtml([].concat(draft.benchmarks || []).join(', '))}" placeholder="e.g. SPY, VTSAX">
+                </label>
+            </div>
+            ${portfoliosHtml}
+            <div class="holdings-title">NAV Data Sources</div>
+            ${providersHtml}
+            <div class="holdings-title">Taxes</div>
+            ${taxHtml}
+            <div class="holdings-title">Sales Charges</div>
+            ${feesHtml}
+            <div class="button-container">
+                <button class="download-btn" data-action="add-portfolio">+ Add Portfolio</button>
+                <button class="download-btn" data-action="apply">Apply &amp; Save</button>
+                <button class="download-btn" data-action="share">🔗 Copy Share Link</button>
+                <button class="download-btn" data-action="reset">Reset to Defaults</button>
+            </div>
+            <div class="config-message"></div>
+        `;
+    };
+
+    const showMessage = (text, isError) => {
+        const message = container.querySelector('.config-message');
+        message.className = `config-message ${isError ? 'error' : ''}`;
+        message.textContent = text;
+    };
+
+    // Keep the draft in sync with field edits without re-rendering (so focus is kept)
+    container.oninput = event => {
+        const field = event.target.dataset.field;
+        if (!field) return;
+        const portfolio = draft.portfolios[event.target.dataset.portfolio];
+        // Holding and transaction rows share the ticker and amount fields
+        const holding = !portfolio ? null : (event.target.dataset.transaction !== undefined
+            ? portfolio.transactions[event.target.dataset.transaction]
+            : portfolio.holdings[event.target.dataset.holding]);
+        const value = event.target.value;
+
+        if (field === 'startDate') {
+            draft.startDate = value;
+        } else if (field === 'providerType' || field === 'providerNav' || field === 'providerUrl') {
+            const ticker = event.target.dataset.ticker;
+            draft.providers = draft.providers || {};
+            const provider = { ...getTickerNavProvider(draft, ticker) };
+            if (field === 'providerType') {
+                if (provider.type === value) return;
+                draft.providers[ticker] = value === 'fixed' ? { type: value, nav: 1.00 } : { type: value, url: '' };
+                // Show the fields for the new provider type
+                render();
+                return;
+            }
+            provider[field === 'providerNav' ? 'nav' : 'url'] = value;
+            draft.providers[ticker] = provider;
+        } else if (field === 'providerFile') {
+            setNavProviderFile(event.target.dataset.ticker, event.target.files[0] || null);
+        } else if (field === 'distributionFile') {
+            setUploadedDistributionFile(event.target.dataset.ticker, event.target.files[0] || null);
+        } else if (field === 'distributionBaseUrl') {
+            draft.distributionBaseUrl = value;
+        } else if (field === 'mmfReinvestment') {
+            draft.mmfReinvestment = value;
+        } else if (field === 'benchmarks') {
+            draft.benchmarks = value.toUpperCase();
+            // Show data source rows for the benchmarks once editing is done
+            if (event.type === 'change') {
+                render();
+            }
+        } else if (field === 'taxEnabled' || field === 'taxPayFrom' || field === 'taxRate') {
+            draft.tax = JSON.parse(JSON.stringify(draft.tax || DEFAULT_TAX_SETTINGS));
+            if (field === 'taxEnabled') {
+                draft.tax.enabled = event.target.checked;
+            } else if (field === 'taxPayFrom') {
+                draft.tax.payFrom = value;
+            } else {
+                const rates = draft.tax.rates[event.target.dataset.incomeType];
+                rates[event.target.dataset.level] = value;
+            }
+        } else if (field === 'feesEnabled' || field === 'feesInitialHoldings' || field === 'feesAccumulation' || field === 'feesOtherHoldings') {
+            draft.fees = JSON.parse(JSON.stringify(draft.fees || DEFAULT_FEE_SETTINGS));
+            if (field === 'feesEnabled') {
+                draft.fees.enabled = event.target.checked;
+            } else if (field === 'feesInitialHoldings') {
+                draft.fees.chargeInitialHoldings = event.target.checked;
+            } else if (field === 'feesAccumulation') {
+                draft.fees.rightsOfAccumulation = event.target.checked;
+            } else {
+                draft.fees.otherFamilyHoldings = value;
+            }
+        } else if (field === 'name' || field === 'costBasisMethod') {
+            portfolio[field] = value;
+        } else if (field === 'rebalanceRule' || field === 'rebalanceThreshold' || field === 'compareBuyAndHold') {
+            portfolio.rebalance = { ...DEFAULT_REBALANCE_SETTINGS, ...(portfolio.rebalance || {}) };
+            if (field === 'rebalanceRule') {
+                if (portfolio.rebalance.rule === value) return;
+                portfolio.rebalance.rule = value;
+                // Show the threshold and target weight fields for the new rule
+                render();
+            } else if (field === 'rebalanceThreshold') {
+                portfolio.rebalance.threshold = value;
+            } else {
+                portfolio.rebalance.compareBuyAndHold = event.target.checked;
+            }
+        } else if (field === 'targetWeight') {
+            holding.targetWeight = value;
+        } else if (field === 'date' || field === 'type' || field === 'lotIds') {
+            holding[field] = value;
+        } else if (field === 'ticker') {
+            holding.ticker = value.toUpperCase();
+        } else if (field === 'amount') {
+            if (holding.dollars !== undefined) {
+                holding.dollars = value;
+            } else {
+                holding.units = value;
+            }
+        } else if (field === 'amountType') {
+            const amount = holding.dollars !== undefined ? holding.dollars : holding.units;
+            delete holding.units;
+            delete holding.dollars;
+            holding[value] = amount;
+        }
+    };
+    container.onchange = container.oninput;
+
+    container.onclick = event => {
+        const action = event.target.closest('[data-action]')?.dataset.action;
+        if (!action) return;
+        const portfolioIndex = Number(event.target.closest('[data-action]').dataset.portfolio);
+        const holdingIndex = Number(event.target.closest('[data-action]').dataset.holding);
+        const transactionIndex = Number(event.target.closest('[data-action]').dataset.transaction);
+
+        if (action === 'add-portfolio') {
+            draft.portfolios.push({ name: `Portfolio ${draft.portfolios.length + 1}`, holdings: [{ ticker: '', units: '' }] });
+            render();
+        } else if (action === 'remove-portfolio') {
+            draft.portfolios.splice(portfolioIndex, 1);
+            render();
+        } else if (action === 'add-holding') {
+            draft.portfolios[portfolioIndex].holdings.push({ ticker: '', units: '' });
+            render();
+        } else if (action === 'remove-holding') {
+            draft.portfolios[portfolioIndex].holdings.splice(holdingIndex, 1);
+            render();
+        } else if (action === 'add-transaction') {
+            const portfolio = draft.portfolios[portfolioIndex];
+            portfolio.transactions = portfolio.transactions || [];
+            portfolio.transactions.push({ date: draft.startDate, ticker: portfolio.holdings[0]?.ticker || '', type: 'buy', dollars: '' });
+            render();
+        } else if (action === 'remove-transaction') {
+            draft.portfolios[portfolioIndex].transactions.splice(transactionIndex, 1);
+            render();
+        } else if (action === 'reset') {
+            clearSavedPortfolioConfig();
+            Object.assign(draft, normalizePortfolioConfig(DEFAULT_PORTFOLIO_CONFIG));
+            render();
+            showMessage('Defaults restored. Apply to reload the comparison.');
+        } else if (action === 'apply' || action === 'share') {
+            let normalized;
+            try {
+                normalized = normalizePortfolioConfig(draft);
+            } catch (error) {
+                showMessage(error.message, true);
+                return;
+            }
+
+            if (action === 'apply') {
+                savePortfolioConfig(normalized);
+                window.history.replaceState(null, '', getShareableConfigUrl(normalized));
+                showMessage('Configuration saved.');
+                onApply(normalized);
+            } else {
+                const link = getShareableConfigUrl(normalized);
+                navigator.clipboard.writeText(link)
+                    .then(() => showMessage('Share link copied to clipboard.'))
+                    .catch(() => showMessage(`Share link: ${link}`));
+            }
+        }
+    };
+
+    render();
+}
+
+/**
+ * Escape a value for use in HTML text or an attribute (the editor, cards, tables and charts)
+ * @param {String} value - Raw value
+ * @returns {String} - Escaped value
+ */
+function escapeConfigHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
@@ -7,7 +7,7 @@
  * USAGE:
  * 
  * Basic Function Call:
- * getDistributionData(ticker, startDate, [endDate])
+ * getDistributionData(ticker, startDate, [endDate], [provider])
  *   .then(data => { /* handle data *\/ })
  *   .catch(error => { /* handle errors *\/ });
  * 
@@ -22,22 +22,36 @@
  * @param {string|Date} [endDate] - Optional end date (default: current date)
  *     - Same format as startDate
  * 
+ * @param {Object} [provider] - NAV provider settings used for the price feed fallback
+ *     (default: getTickerNavProvider(null, ticker))
+ * 
  * RETURNS:
  * @returns {Promise<Object>} - Structured distribution data containing:
  *     {
  *       items: Array<DistributionItem> // Sorted chronologically (oldest first)
+ *       source: string                 // 'file', or 'yahoo' when derived from price feed events
+ *       sourceType: string             // For files: which source was used (see FILE SOURCES)
+ *       location: string               // For files: URL, path or name of the file read
  *       error?: string                 // Present if error occurred
  *     }
  * 
  *     DistributionItem structure:
  *     {
- *       date: string,    // ISO date ('YYYY-MM-DD')
- *       nav: number,     // Net Asset Value at reinvestment
- *       dist: number     // Total distribution per share (USD)
+ *       date: string,                   // ISO date ('YYYY-MM-DD'), same as recordDate
+ *       recordDate: string,             // ISO record date
+ *       calculatedDate: string|null,    // ISO calculated date (null for MMFs)
+ *       payDate: string|null,           // ISO pay date (null for MMFs)
+ *       nav: number,                    // Net Asset Value at reinvestment
+ *       dist: number,                   // Total distribution per share (USD)
+ *       incomeDividendRegular: number,  // Regular income dividend per share (MMF daily rate)
+ *       incomeDividendSpecial: number,  // Special income dividend per share
+ *       capGainsLongTerm: number,       // Long-term capital gain per share
+ *       capGainsShortTerm: number       // Short-term capital gain per share
  *     }
  * 
  * DATA STRUCTURE DETAILS:
- * - Mutual Funds: Includes all dividend types and capital gains
+ * - Mutual Funds: Includes all dividend types and capital gains, each in its own property
+ *   (see DISTRIBUTION_COMPONENTS) with dist holding their total
  * - Money Market Funds: Daily accrual rates with fixed $1.00 NAV
  * - Items array empty if no distributions in date range
  * - NAV represents reinvestment price for mutual funds
@@ -51,8 +65,34 @@
  * 
  * DATA SOURCES:
  * - Mutual Funds: TSV data with columns:
- *   Record Date | Calculated Date | Pay Date | Income Dividends | Capital Gains | NAV
+ *   Record Date | Calculated Date | Pay Date | Income Dividend Regular | Income Dividend Special |
+ *   Cap. Gains Long-Term | Cap. Gains Short-Term | Reinvest NAV
  * - MMF: Daily rate data in TSV format (Rate | As of Date)
+ * - When distribution-importer.js is loaded, columns are found by their header names, so files
+ *   with reordered or renamed columns and CSV exports read correctly; otherwise the columns
+ *   above are read by position
+ * - Mutual funds without a distribution file in any source fall back to the dividend events returned by
+ *   fetchFundHistory (fund-data-fetcher.js) from the ticker's NAV provider, when it reports events.
+ *   The feed gives one cash amount per ex-date with no breakdown, so the whole amount is reported as
+ *   incomeDividendRegular and nav is the close on that date
+ * 
+ * FILE SOURCES (tried in this order by default; unconfigured sources are skipped):
+ * - 'upload'      Content given with setUploadedDistributionFile(ticker, textOrFile)
+ * - 'page'        The file next to the page (not available for file:// pages)
+ * - 'url'         configureDistributionSources({ baseUrl }) + file name
+ * - 'filesystem'  configureDistributionSources({ directory }) + file name (Node only)
+ * - 'github'      The upstream repository on raw.githubusercontent.com
+ * Change the order with configureDistributionSources({ order: ['filesystem', 'github'] })
+ * File names are mutual_<TICKER>_distributions.txt or mmf_<TICKER>_distributions.txt
+ * 
+ * CROSS-CHECKING:
+ * compareDistributionsToEvents(items, dividends, [toleranceDays]) matches file distributions to
+ * feed dividends within toleranceDays (default 3) and reports:
+ *   { type: 'amount-mismatch' | 'missing-in-feed' | 'missing-in-file',
+ *     date, fileAmount, feedDate, feedAmount, difference }
+ * The feed's dividend events carry income only, so fileAmount is the sum of the income components
+ * (DISTRIBUTION_INCOME_COMPONENTS); capital gains are not compared and capital-gain-only
+ * distributions are skipped
  * 
  * EXAMPLE USAGE:
  * 
@@ -74,14 +114,40 @@
  * }
  */
 
+// Where distribution files can be read from (see configureDistributionSources)
+const DISTRIBUTION_SOURCE_TYPES = ['upload', 'page', 'url', 'filesystem', 'github'];
+const DISTRIBUTION_GITHUB_BASE_URL = 'https://raw.githubusercontent.com/weste2533/fund_fetcher/main/';
+
+const distributionSourceSettings = {
+  order: [...DISTRIBUTION_SOURCE_TYPES],
+  baseUrl: null,
+  directory: null,
+  readFile: null
+};
+
+// Files provided by the user for this session, by ticker
+const uploadedDistributionFiles = {};
+
+// Distribution components reported separately on each item, in file column order
+const DISTRIBUTION_COMPONENTS = [
+  'incomeDividendRegular',
+  'incomeDividendSpecial',
+  'capGainsLongTerm',
+  'capGainsShortTerm'
+];
+
+// Components included in the dividend events reported by the price feed
+const DISTRIBUTION_INCOME_COMPONENTS = ['incomeDividendRegular', 'incomeDividendSpecial'];
+
 /**
  * Main function to get distribution data for a specified ticker and date range
  * @param {string} ticker - The fund ticker symbol
  * @param {string|Date} startDate - Start date for data range
  * @param {string|Date} endDate - Optional end date for data range, defaults to current date
+ * @param {Object} provider - Optional NAV provider settings for the price feed fallback
  * @return {Promise<Object>} Promise resolving to object containing distribution data items or error
  */
-function getDistributionData(ticker, startDate, endDate = new Date()) {
+function getDistributionData(ticker, startDate, endDate = new Date(), provider = null) {
   console.log(`Starting getDistributionData for ${ticker}, from ${startDate} to ${endDate}`);
   return new Promise((resolve, reject) => {
     try {
@@ -114,13 +180,13 @@ function getDistributionData(ticker, startDate, endDate = new Date()) {
       }
       
       // Determine fund type and fetch data
-      const isMmf = ticker.toLowerCase().startsWith('mmf_');
-      const filename = `${isMmf ? 'mmf' : 'mutual'}_${ticker}_distributions.txt`;
-      console.log(`Fund type: ${isMmf ? 'Money Market Fund' : 'Mutual Fund'}`);
+      const filename = getDistributionFilename(ticker);
+      console.log(`Fund type: ${isMmfTicker(ticker) ? 'Money Market Fund' : 'Mutual Fund'}`);
       console.log(`Attempting to fetch distribution file: ${filename}`);
       
       fetchDistributionFile(ticker)
-        .then(data => {
+        .then(file => {
+          const data = file.data;
           if (!data) {
             console.error(`No data found for ticker ${ticker}`);
             return resolve({ error: `No data found for ticker ${ticker}`, items: [] });
@@ -154,11 +220,38 @@ function getDistributionData(ticker, startDate, endDate = new Date()) {
           }
           
           console.log(`Returning ${items.length} items`);
-          resolve({ items });
+          resolve({ items, source: 'file', sourceType: file.sourceType, location: file.location });
         })
         .catch(error => {
           console.error(`Error in fetchDistributionFile: ${error.message}`);
-          resolve({ error: `Error fetching distribution data: ${error.message}`, items: [] });
+          
+          // Mutual funds can fall back to the dividends reported by their price feed
+          const navProvider = typeof fetchFundHistory === 'function' ? provider || getTickerNavProvider(null, ticker) : null;
+          let reportsEvents = false;
+          try {
+            reportsEvents = Boolean(navProvider && getNavProvider(navProvider.type).fetchHistory);
+          } catch (providerError) {
+            // An unknown provider type must still settle the promise
+            return resolve({ error: `Error fetching distribution data: ${error.message} (${providerError.message})`, items: [] });
+          }
+          if (isMmfTicker(ticker) || !reportsEvents) {
+            return resolve({ error: `Error fetching distribution data: ${error.message}`, items: [] });
+          }
+          
+          console.log(`Falling back to price feed dividend events for ${ticker}`);
+          fetchFundHistory(ticker, parsedStartDate, parsedEndDate, navProvider)
+            .then(history => {
+              const items = createItemsFromEvents(history, parsedStartDate, parsedEndDate);
+              console.log(`Derived ${items.length} distribution records from price feed events`);
+              resolve({ items, source: 'yahoo' });
+            })
+            .catch(fallbackError => {
+              console.error(`Price feed fallback failed: ${fallbackError.message}`);
+              resolve({
+                error: `Error fetching distribution data: ${error.message} (price feed fallback: ${fallbackError.message})`,
+                items: []
+              });
+            });
         });
     } catch (error) {
       console.error(`Unexpected error in getDistributionData: ${error.message}`);
@@ -178,40 +271,153 @@ function isMmfTicker(ticker) {
 }
 
 /**
- * Fetch distribution data file for the given ticker
+ * Configure where distribution files are read from
+ * @param {Object} settings - Any of:
+ *   order: Array of source types to try, in order
+ *   baseUrl: Base URL for the 'url' source (a trailing slash is added if missing)
+ *   directory: Folder for the 'filesystem' source (Node only)
+ *   readFile: Optional function(path) returning a Promise of the file text (Node only)
+ */
+function configureDistributionSources(settings = {}) {
+  (settings.order || []).forEach(type => {
+    if (!DISTRIBUTION_SOURCE_TYPES.includes(type)) {
+      throw new Error(`Unknown distribution source: ${type}`);
+    }
+  });
+  
+  Object.keys(settings).forEach(key => {
+    if (settings[key] !== undefined) {
+      distributionSourceSettings[key] = settings[key];
+    }
+  });
+  if (distributionSourceSettings.baseUrl && !distributionSourceSettings.baseUrl.endsWith('/')) {
+    distributionSourceSettings.baseUrl += '/';
+  }
+  console.log('Distribution sources configured:', distributionSourceSettings);
+}
+
+/**
+ * Provide distribution file content for a ticker (used before any other source)
  * @param {string} ticker - The fund ticker symbol
+ * @param {string|File|null} file - File content or a File object; null removes it
+ */
+function setUploadedDistributionFile(ticker, file) {
+  if (file) {
+    uploadedDistributionFiles[ticker] = file;
+  } else {
+    delete uploadedDistributionFiles[ticker];
+  }
+}
+
+/**
+ * Get the distribution file name for a ticker
+ * @param {string} ticker - The fund ticker symbol
+ * @return {string} File name, e.g. 'mutual_AGTHX_distributions.txt'
+ */
+function getDistributionFilename(ticker) {
+  const filePrefix = isMmfTicker(ticker) ? 'mmf' : 'mutual';
+  return `${filePrefix}_${ticker}_distributions.txt`;
+}
+
+/**
+ * Fetch a file over HTTP
+ * @param {string} fileUrl - URL of the file
  * @return {Promise<string>} Promise resolving to the file content
  */
-function fetchDistributionFile(ticker) {
+function fetchTextFile(fileUrl) {
+  // Go through the network recorder when it is loaded (see network-recorder.js)
+  const request = typeof networkFetch === 'function' ? networkFetch : fetch;
+  return request(fileUrl, { cache: 'no-cache' })
+    .then(response => {
+      console.log(`Received response with status: ${response.status} ${response.statusText}`);
+      if (!response.ok) {
+        throw new Error(`File not found: ${fileUrl} (Status: ${response.status})`);
+      }
+      return response.text();
+    });
+}
+
+/**
+ * Read one distribution file source
+ * @param {string} type - Source type (see DISTRIBUTION_SOURCE_TYPES)
+ * @param {string} ticker - The fund ticker symbol
+ * @return {Promise<Object>|null} Promise resolving to { data, location }, or null when the
+ *     source is not configured or not available here
+ */
+function readDistributionSource(type, ticker) {
+  const filename = getDistributionFilename(ticker);
+  const settings = distributionSourceSettings;
+  
+  if (type === 'upload') {
+    const file = uploadedDistributionFiles[ticker];
+    if (!file) return null;
+    const text = typeof file === 'string' ? Promise.resolve(file) : file.text();
+    return text.then(data => ({ data, location: file.name || 'uploaded file' }));
+  }
+  
+  if (type === 'page') {
+    if (typeof window === 'undefined' || !window.location || window.location.protocol === 'file:') return null;
+    // Relative to the page, so recordings replay on any host
+    return fetchTextFile(filename).then(data => ({ data, location: `${filename} (page folder)` }));
+  }
+  
+  if (type === 'url') {
+    if (!settings.baseUrl) return null;
+    return fetchTextFile(settings.baseUrl + filename).then(data => ({ data, location: settings.baseUrl + filename }));
+  }
+  
+  if (type === 'filesystem') {
+    if (!settings.directory) return null;
+    const readFile = settings.readFile ||
+      (typeof require === 'function' ? filePath => require('fs').promises.readFile(filePath, 'utf8') : null);
+    if (!readFile) return null;
+    const filePath = `${settings.directory.replace(/[\\/]$/, '')}/${filename}`;
+    // Keyed by file name so a recording replays from any folder
+    const read = typeof recordedRead === 'function'
+      ? recordedRead(`file://${filename}`, () => readFile(filePath))
+      : readFile(filePath);
+    return read.then(data => ({ data, location: filePath }));
+  }
+  
+  // 'github': the upstream repository
+  return fetchTextFile(DISTRIBUTION_GITHUB_BASE_URL + filename)
+    .then(data => ({ data, location: DISTRIBUTION_GITHUB_BASE_URL + filename }));
+}
+
+/**
+ * Fetch distribution data file for the given ticker, trying each configured source in order
+ * @param {string} ticker - The fund ticker symbol
+ * @return {Promise<Object>} Promise resolving to { data, sourceType, location }
+ */
+async function fetchDistributionFile(ticker) {
   console.log(`fetchDistributionFile started for ticker: ${ticker}`);
+  const failures = [];
   
-  return new Promise((resolve, reject) => {
-    const filePrefix = isMmfTicker(ticker) ? 'mmf' : 'mutual';
-    const filename = `${filePrefix}_${ticker}_distributions.txt`;
-    
-    // Use the standard format for raw GitHub URLs
-    const baseUrl = 'https://raw.githubusercontent.com/weste2533/fund_fetcher/main/';
-    const fileUrl = baseUrl + filename;
-    
-    console.log(`Attempting to fetch file: ${fileUrl}`);
+  for (const type of distributionSourceSettings.order) {
+    let request;
+    try {
+      request = readDistributionSource(type, ticker);
+    } catch (error) {
+      failures.push(`${type}: ${error.message}`);
+      continue;
+    }
+    if (!request) {
+      console.log(`Distribution source '${type}' not available, skipping`);
+      continue;
+    }
     
-    fetch(fileUrl)
-      .then(response => {
-        console.log(`Received response with status: ${response.status} ${response.statusText}`);
-        if (!response.ok) {
-          throw new Error(`File not found: ${filename} (Status: ${response.status})`);
-        }
-        return response.text();
-      })
-      .then(data => {
-        console.log(`Successfully retrieved data. Length: ${data.length} characters`);
-        resolve(data);
-      })
-      .catch(error => {
-        console.error(`Fetch error occurred: ${error.message}`);
-        reject(error);
-      });
-  });
+    try {
+      console.log(`Trying distribution source '${type}' for ${ticker}`);
+      const result = await request;
+      console.log(`Successfully retrieved data from ${result.location}. Length: ${result.data.length} characters`);
+      return { data: result.data, sourceType: type, location: result.location };
+    } catch (error) {
+      console.warn(`Distribution source '${type}' failed: ${error.message}`);
+      failures.push(`${type}: ${error.message}`);
+    }
+  }
+  
+  throw new Error(`No distribution file found for ${ticker} (${failures.join('; ') || 'no sources available'})`);
 }
 
 /**
@@ -264,6 +470,10 @@ function formatISODate(date) {
  * @return {Array} Array of distribution items
  */
 function parseMmfData(data, startDate, endDate) {
+  if (typeof parseDistributionTable === 'function') {
+    return parseDistributionTableInRange(data, 'mmf', startDate, endDate);
+  }
+  
   const lines = data.trim().split('\n');
   
   // Skip header line
@@ -282,11 +492,7 @@ function parseMmfData(data, startDate, endDate) {
       }
       
       if (date >= startDate && date <= endDate) {
-        items.push({
-          date: formatISODate(date),
-          nav: 1.0, // MMFs have fixed $1.00 NAV
-          dist: parseFloat(rate) // Daily accrual rate
-        });
+        items.push(createMmfItem(date, rate));
       }
     } else {
       const month = parseInt(dateParts[0]) - 1; // 0-based months
@@ -295,11 +501,7 @@ function parseMmfData(data, startDate, endDate) {
       const date = new Date(year, month, day);
       
       if (date >= startDate && date <= endDate) {
-        items.push({
-          date: formatISODate(date),
-          nav: 1.0, // MMFs have fixed $1.00 NAV
-          dist: parseFloat(rate) // Daily accrual rate
-        });
+        items.push(createMmfItem(date, rate));
       }
     }
   }
@@ -307,6 +509,28 @@ function parseMmfData(data, startDate, endDate) {
   return items;
 }
 
+/**
+ * Build a distribution item for one MMF daily rate
+ * @param {Date} date - Rate date
+ * @param {string} rate - Daily accrual rate from the file
+ * @return {Object} Distribution item with the rate as its regular income dividend
+ */
+function createMmfItem(date, rate) {
+  const dailyRate = parseFloat(rate);
+  return {
+    date: formatISODate(date),
+    recordDate: formatISODate(date),
+    calculatedDate: null,
+    payDate: null,
+    nav: 1.0, // MMFs have fixed $1.00 NAV
+    dist: dailyRate, // Daily accrual rate
+    incomeDividendRegular: dailyRate,
+    incomeDividendSpecial: 0,
+    capGainsLongTerm: 0,
+    capGainsShortTerm: 0
+  };
+}
+
 /**
  * Parse mutual fund distribution data
  * @param {string} data - Raw TSV data for mutual fund
@@ -316,6 +540,10 @@ function parseMmfData(data, startDate, endDate) {
  */
 function parseMutualFundData(data, startDate, endDate) {
   console.log('Starting mutual fund data parsing');
+  if (typeof parseDistributionTable === 'function') {
+    return parseDistributionTableInRange(data, 'mutual', startDate, endDate);
+  }
+  
   const lines = data.trim().split('\n');
   console.log(`Found ${lines.length} lines of data`);
   
@@ -365,10 +593,20 @@ function parseMutualFundData(data, startDate, endDate) {
       
       console.log(`Total distribution: ${totalDist}`);
       
+      const calculatedDate = parseCustomDate(parts[1]);
+      const payDate = parseCustomDate(parts[2]);
+      
       items.push({
         date: formatISODate(recordDate),
+        recordDate: formatISODate(recordDate),
+        calculatedDate: calculatedDate ? formatISODate(calculatedDate) : null,
+        payDate: payDate ? formatISODate(payDate) : null,
         nav: nav,
-        dist: totalDist
+        dist: totalDist,
+        incomeDividendRegular: incomeDividendRegular,
+        incomeDividendSpecial: incomeDividendSpecial,
+        capGainsLongTerm: capGainsLongTerm,
+        capGainsShortTerm: capGainsShortTerm
       });
       
       console.log(`Added item for date ${formatISODate(recordDate)}`);
@@ -381,6 +619,110 @@ function parseMutualFundData(data, startDate, endDate) {
   return items;
 }
 
+/**
+ * Parse a distribution file by its column headers (distribution-importer.js)
+ * @param {string} data - Raw file content (TSV, CSV or a pasted table)
+ * @param {string} kind - 'mutual' or 'mmf'
+ * @param {Date} startDate - Start date for filtering
+ * @param {Date} endDate - End date for filtering
+ * @return {Array} Array of distribution items
+ */
+function parseDistributionTableInRange(data, kind, startDate, endDate) {
+  const result = parseDistributionTable(data, kind);
+  console.log('Mapped columns:', JSON.stringify(result.columns));
+  result.errors.forEach(entry => console.warn(`Skipping line ${entry.line}: ${entry.message}`));
+  result.warnings.forEach(entry => console.warn(`Line ${entry.line}: ${entry.message}`));
+  
+  const items = result.items.filter(item => {
+    const date = parseDate(item.date);
+    return date >= startDate && date <= endDate;
+  });
+  console.log(`Total items found in range: ${items.length}`);
+  return items;
+}
+
+/**
+ * Build distribution items from price feed dividend events
+ * @param {Object} history - Result of fetchFundHistory ({ prices, dividends, splits })
+ * @param {Date} startDate - Start date for filtering
+ * @param {Date} endDate - End date for filtering
+ * @return {Array} Array of distribution items
+ */
+function createItemsFromEvents(history, startDate, endDate) {
+  const start = formatISODate(startDate);
+  const end = formatISODate(endDate);
+  const prices = history.prices.filter(point => point.nav !== null && point.nav !== undefined);
+  
+  return history.dividends
+    .filter(event => event.date >= start && event.date <= end)
+    .map(event => {
+      // Reinvest at the close on the ex-date, or the last close before it
+      const priorPrices = prices.filter(point => point.date <= event.date);
+      const nav = priorPrices.length > 0 ? priorPrices[priorPrices.length - 1].nav : 0;
+      return {
+        date: event.date,
+        recordDate: event.date,
+        calculatedDate: null,
+        payDate: null,
+        nav: nav,
+        dist: event.amount,
+        incomeDividendRegular: event.amount,
+        incomeDividendSpecial: 0,
+        capGainsLongTerm: 0,
+        capGainsShortTerm: 0
+      };
+    });
+}
+
+/**
+ * Compare distribution file income amounts with the dividends implied by the price feed
+ * @param {Array} items - Distribution items from the file
+ * @param {Array} dividends - Dividend events from fetchFundHistory ({ date, amount })
+ * @param {number} toleranceDays - How far apart matching dates may be
+ * @return {Array} Differences found, oldest first
+ */
+function compareDistributionsToEvents(items, dividends, toleranceDays = 3) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const daysApart = (a, b) => Math.abs(new Date(a) - new Date(b)) / dayMs;
+  const unmatched = [...dividends];
+  const differences = [];
+  
+  items.forEach(item => {
+    // Feed dividends leave out capital gains, so only the income part of the file amount is compared
+    const income = DISTRIBUTION_INCOME_COMPONENTS.reduce((sum, component) => sum + (item[component] || 0), 0);
+    if (income <= 0) {
+      return;
+    }
+    
+    // Closest feed dividend within the tolerance
+    let match = null;
+    unmatched.forEach(event => {
+      const distance = daysApart(item.date, event.date);
+      if (distance <= toleranceDays && (!match || distance < daysApart(item.date, match.date))) {
+        match = event;
+      }
+    });
+    
+    if (!match) {
+      differences.push({ type: 'missing-in-feed', date: item.date, fileAmount: income, feedDate: null, feedAmount: null, difference: income });
+      return;
+    }
+    
+    unmatched.splice(unmatched.indexOf(match), 1);
+    const difference = income - match.amount;
+    // Feed amounts are rounded, so ignore differences below a hundredth of a cent
+    if (Math.abs(difference) > 0.0001) {
+      differences.push({ type: 'amount-mismatch', date: item.date, fileAmount: income, feedDate: match.date, feedAmount: match.amount, difference: difference });
+    }
+  });
+  
+  unmatched.forEach(event => {
+    differences.push({ type: 'missing-in-file', date: event.date, fileAmount: null, feedDate: event.date, feedAmount: event.amount, difference: -event.amount });
+  });
+  
+  return differences.sort((a, b) => a.date.localeCompare(b.date));
+}
+
 /**
  * Custom Date parser that handles various formats
  * @param {string} dateString - Date string to parse
@@ -414,4 +756,16 @@ function parseCustomDate(dateString) {
 }
 
 // Export the main function
-window.getDistributionData = getDistributionData;
+if (typeof window !== 'undefined') {
+  window.getDistributionData = getDistributionData;
+}
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    getDistributionData,
+    compareDistributionsToEvents,
+    configureDistributionSources,
+    setUploadedDistributionFile,
+    DISTRIBUTION_COMPONENTS,
+    DISTRIBUTION_INCOME_COMPONENTS
+  };
+}
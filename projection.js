@@ -0,0 +1,530 @@
+/**
+ * Projection Module
+ * filename = projection.js
+ * Projects where each portfolio's value could be after a number of years by simulating many
+ * future paths from its historical returns, and estimates how likely each portfolio is to end
+ * ahead of each other one.
+ *
+ * METHODS:
+ * - 'bootstrap'   Circular block bootstrap: each path strings together blocks of blockLength
+ *                 consecutive historical returns starting at random dates, which keeps short-term
+ *                 patterns (momentum, monthly money market payments) in the paths
+ * - 'parametric'  Normally distributed log returns with the historical means and covariances
+ * Every portfolio is simulated on the same random draws (the same historical dates, or the same
+ * correlated normal shocks), so the portfolios move together the way they did historically and
+ * the probabilities compare like with like.
+ *
+ * SETTINGS (see PROJECTION_DEFAULTS):
+ * {
+ *     years: 5,                        // Horizon
+ *     paths: 2000,                     // Number of simulated paths
+ *     method: 'bootstrap' | 'parametric',
+ *     frequency: 'daily' | 'monthly',  // Historical returns to resample (252 or 12 steps a year)
+ *     blockLength: number,             // Returns per bootstrap block (default 21 daily, 3 monthly)
+ *     seed: number | string            // Same seed, data and settings give the same result
+ * }
+ *
+ * RESULT STRUCTURE:
+ * {
+ *     settings, startDate, historyStartDate, historyReturns,
+ *     portfolios: [{
+ *         name, startValue,
+ *         bands: [{ years, p5, p25, p50, p75, p95 }],     // Value percentiles, about monthly
+ *         final: { p5, p25, p50, p75, p95, mean }
+ *     }],
+ *     probabilities: [{ portfolio, other, probability }] // Share of paths (0-1) where portfolio ends above other
+ * }
+ * Paths start from each portfolio's last value and assume no further contributions or withdrawals.
+ *
+ * EXAMPLE USAGE:
+ * const projection = projectPortfolios(comparison, { years: 5, paths: 5000, seed: 42 });
+ * const median = projection.portfolios[0].final.p50;
+ */
+
+const PROJECTION_METHODS = ['bootstrap', 'parametric'];
+const PROJECTION_FREQUENCIES = { daily: 252, monthly: 12 };
+const PROJECTION_PERCENTILES = [5, 25, 50, 75, 95];
+
+const PROJECTION_DEFAULTS = {
+    years: 5,
+    paths: 2000,
+    method: 'bootstrap',
+    frequency: 'monthly',
+    blockLength: null,     // 21 trading days or 3 months
+    seed: 1
+};
+
+// Simulated paths are capped so a typo cannot freeze the page
+const MAX_PROJECTION_PATHS = 20000;
+
+// Columns written when the percentile bands are exported
+const PROJECTION_COLUMNS = ['portfolio', 'years', ...PROJECTION_PERCENTILES.map(percentile => `p${percentile}`)];
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {Number|String} seed - Seed; strings are hashed
+ * @returns {Function} - Returns a number in [0, 1) on each call
+ */
+function createSeededRandom(seed) {
+    let state = 0;
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        state = Math.floor(seed) >>> 0;
+    } else {
+        // FNV-1a hash of the text
+        state = 2166136261;
+        String(seed).split('').forEach(character => {
+            state ^= character.charCodeAt(0);
+            state = Math.imul(state, 16777619) >>> 0;
+        });
+    }
+
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Create a standard normal generator on top of a uniform one (Box-Muller)
+ * @param {Function} random - Uniform generator from createSeededRandom
+ * @returns {Function} - Returns a standard normal number on each call
+ */
+function createNormalRandom(random) {
+    let spare = null;
+    return () => {
+        if (spare !== null) {
+            const value = spare;
+            spare = null;
+            return value;
+        }
+        const u = 1 - random();
+        const v = random();
+        const radius = Math.sqrt(-2 * Math.log(u));
+        spare = radius * Math.sin(2 * Math.PI * v);
+        return radius * Math.cos(2 * Math.PI * v);
+    };
+}
+
+/**
+ * Fill in missing projection settings and validate them
+ * @param {Object} [settings] - Partial settings
+ * @returns {Object} - Complete settings
+ */
+function normalizeProjectionSettings(settings = {}) {
+    const given = { ...PROJECTION_DEFAULTS };
+    Object.keys(settings).forEach(key => {
+        if (settings[key] !== undefined && settings[key] !== null && settings[key] !== '') {
+            given[key] = settings[key];
+        }
+    });
+
+    if (!PROJECTION_METHODS.includes(given.method)) {
+        throw new Error(`Projection method must be one of ${PROJECTION_METHODS.join(', ')}`);
+    }
+    if (!PROJECTION_FREQUENCIES[given.frequency]) {
+        throw new Error(`Projection frequency must be one of ${Object.keys(PROJECTION_FREQUENCIES).join(', ')}`);
+    }
+    const years = Number(given.years);
+    if (!(years > 0 && years <= 50)) {
+        throw new Error('Projection horizon must be between 0 and 50 years');
+    }
+    const paths = Math.round(Number(given.paths));
+    if (!(paths >= 10 && paths <= MAX_PROJECTION_PATHS)) {
+        throw new Error(`Number of paths must be between 10 and ${MAX_PROJECTION_PATHS}`);
+    }
+    const blockLength = given.blockLength === null ? (given.frequency === 'daily' ? 21 : 3) : Math.round(Number(given.blockLength));
+    if (!(blockLength >= 1)) {
+        throw new Error('Bootstrap block length must be at least 1');
+    }
+
+    const seed = typeof given.seed === 'number' || /^\d+$/.test(String(given.seed)) ? Number(given.seed) : String(given.seed);
+    return { years: years, paths: paths, method: given.method, frequency: given.frequency, blockLength: blockLength, seed: seed };
+}
+
+/**
+ * Get the historical returns of every portfolio on the same dates
+ * @param {Array} dailyValues - Aligned daily values from calculatePortfolioComparison (p1Index, p2Index, ...)
+ * @param {Number} portfolioCount - Number of portfolios
+ * @param {String} frequency - 'daily' or 'monthly' (month-end to month-end)
+ * @returns {Array} - One array of growth factors (1 + return) per portfolio
+ */
+function getHistoricalReturns(dailyValues, portfolioCount, frequency) {
+    // Start from the first month end so the first monthly return is a whole month, not the days after the start date
+    const points = frequency === 'monthly'
+        ? dailyValues.filter((point, index) => index === dailyValues.length - 1
+            || point.date.slice(0, 7) !== dailyValues[index + 1].date.slice(0, 7))
+        : dailyValues;
+
+    const returns = [];
+    for (let p = 0; p < portfolioCount; p++) {
+        const key = `p${p + 1}Index`;
+        const growth = [];
+        for (let i = 1; i < points.length; i++) {
+            growth.push(points[i][key] / points[i - 1][key]);
+        }
+        returns.push(growth);
+    }
+    return returns;
+}
+
+/**
+ * Simulate future values of every portfolio in a comparison
+ * @param {Object} comparison - Result of calculatePortfolioComparison
+ * @param {Object} [settings] - Projection settings (see SETTINGS)
+ * @returns {Object} - Projection (see RESULT STRUCTURE)
+ */
+function projectPortfolios(comparison, settings = {}) {
+    const options = normalizeProjectionSettings(settings);
+    const dailyValues = comparison.dailyValues || [];
+    const portfolioCount = comparison.portfolios.length;
+    const history = getHistoricalReturns(dailyValues, portfolioCount, options.frequency);
+    const historyLength = history.length > 0 ? history[0].length : 0;
+    if (historyLength < 2) {
+        throw new Error(`Not enough history to project: ${historyLength} ${options.frequency} return(s)`);
+    }
+
+    const stepsPerYear = PROJECTION_FREQUENCIES[options.frequency];
+    const totalSteps = Math.round(options.years * stepsPerYear);
+    // Record values about once a month and at the end
+    const recordEvery = options.frequency === 'daily' ? 21 : 1;
+    const recordSteps = [];
+    for (let step = recordEvery; step < totalSteps; step += recordEvery) {
+        recordSteps.push(step);
+    }
+    recordSteps.push(totalSteps);
+
+    const lastPoint = dailyValues[dailyValues.length - 1];
+    const startValues = comparison.portfolios.map((summary, index) => lastPoint[`p${index + 1}Value`]);
+    // recorded[portfolio][checkpoint][path]
+    const recorded = startValues.map(() => recordSteps.map(() => new Float64Array(options.paths)));
+
+    const random = createSeededRandom(options.seed);
+    const drawStep = options.method === 'bootstrap'
+        ? createBootstrapSampler(history, options.blockLength, random)
+        : createParametricSampler(history, createNormalRandom(random));
+
+    const growth = new Float64Array(portfolioCount);
+    for (let path = 0; path < options.paths; path++) {
+        const values = startValues.slice();
+        let checkpoint = 0;
+        drawStep.startPath();
+        for (let step = 1; step <= totalSteps; step++) {
+            drawStep(growth);
+            for (let p = 0; p < portfolioCount; p++) {
+                values[p] *= growth[p];
+            }
+            if (step === recordSteps[checkpoint]) {
+                for (let p = 0; p < portfolioCount; p++) {
+                    recorded[p][checkpoint][path] = values[p];
+                }
+                checkpoint++;
+            }
+        }
+    }
+
+    const last = recordSteps.length - 1;
+    const portfolios = comparison.portfolios.map((summary, p) => {
+        const bands = recordSteps.map((step, checkpoint) => ({
+            years: step / stepsPerYear,
+            ...getPercentiles(recorded[p][checkpoint])
+        }));
+        const finals = recorded[p][last];
+        return {
+            name: summary.name,
+            startValue: startValues[p],
+            bands: bands,
+            final: { ...getPercentiles(finals), mean: finals.reduce((sum, value) => sum + value, 0) / finals.length }
+        };
+    });
+
+    const probabilities = [];
+    for (let a = 0; a < portfolioCount; a++) {
+        for (let b = 0; b < portfolioCount; b++) {
+            if (a === b) {
+                continue;
+            }
+            let ahead = 0;
+            for (let path = 0; path < options.paths; path++) {
+                if (recorded[a][last][path] > recorded[b][last][path]) {
+                    ahead++;
+                }
+            }
+            probabilities.push({ portfolio: portfolios[a].name, other: portfolios[b].name, probability: ahead / options.paths });
+        }
+    }
+
+    return {
+        settings: options,
+        startDate: lastPoint.date,
+        historyStartDate: dailyValues[0].date,
+        historyReturns: historyLength,
+        portfolios: portfolios,
+        probabilities: probabilities
+    };
+}
+
+/**
+ * Create a step sampler that replays historical returns in blocks, wrapping around the end
+ * @param {Array} history - Growth factors per portfolio (same length)
+ * @param {Number} blockLength - Returns per block
+ * @param {Function} random - Uniform generator
+ * @returns {Function} - fills a growth array for the next step; has startPath() to begin a new path
+ */
+function createBootstrapSampler(history, blockLength, random) {
+    const length = history[0].length;
+    let position = 0;
+    let remaining = 0;
+    const sampler = growth => {
+        if (remaining === 0) {
+            position = Math.floor(random() * length);
+            remaining = Math.min(blockLength, length);
+        }
+        for (let p = 0; p < history.length; p++) {
+            growth[p] = history[p][position];
+        }
+        position = (position + 1) % length;
+        remaining--;
+    };
+    sampler.startPath = () => remaining = 0;
+    return sampler;
+}
+
+/**
+ * Create a step sampler drawing correlated normal log returns with the historical mean and
+ * covariance
+ * @param {Array} history - Growth factors per portfolio (same length)
+ * @param {Function} normal - Standard normal generator
+ * @returns {Function} - fills a growth array for the next step; has startPath() to begin a new path
+ */
+function createParametricSampler(history, normal) {
+    const count = history.length;
+    const length = history[0].length;
+    const logs = history.map(series => series.map(value => Math.log(value)));
+    const means = logs.map(series => series.reduce((sum, value) => sum + value, 0) / length);
+    const covariance = means.map((meanA, a) => means.map((meanB, b) => {
+        let sum = 0;
+        for (let i = 0; i < length; i++) {
+            sum += (logs[a][i] - meanA) * (logs[b][i] - meanB);
+        }
+        return sum / (length - 1);
+    }));
+    const cholesky = getCholeskyFactor(covariance);
+
+    const shocks = new Float64Array(count);
+    const sampler = growth => {
+        for (let p = 0; p < count; p++) {
+            shocks[p] = normal();
+        }
+        for (let p = 0; p < count; p++) {
+            let logReturn = means[p];
+            for (let k = 0; k <= p; k++) {
+                logReturn += cholesky[p][k] * shocks[k];
+            }
+            growth[p] = Math.exp(logReturn);
+        }
+    };
+    sampler.startPath = () => {};
+    return sampler;
+}
+
+/**
+ * Lower-triangular Cholesky factor of a covariance matrix
+ * Portfolios that do not vary (or move exactly with an earlier one) get no shock of their own
+ * instead of failing the factorization.
+ * @param {Array} matrix - Symmetric covariance matrix
+ * @returns {Array} - Lower-triangular matrix L with L * L' = matrix
+ */
+function getCholeskyFactor(matrix) {
+    const size = matrix.length;
+    const factor = matrix.map(() => new Array(size).fill(0));
+    for (let i = 0; i < size; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= factor[i][k] * factor[j][k];
+            }
+            if (i === j) {
+                factor[i][j] = sum > 1e-18 ? Math.sqrt(sum) : 0;
+            } else {
+                factor[i][j] = factor[j][j] > 0 ? sum / factor[j][j] : 0;
+            }
+        }
+    }
+    return factor;
+}
+
+/**
+ * Get the PROJECTION_PERCENTILES of simulated values
+ * @param {Float64Array} values - Values of one checkpoint across paths
+ * @returns {Object} - { p5, p25, p50, p75, p95 }, linearly interpolated
+ */
+function getPercentiles(values) {
+    const sorted = Float64Array.from(values).sort();
+    const result = {};
+    PROJECTION_PERCENTILES.forEach(percentile => {
+        const position = (percentile / 100) * (sorted.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, sorted.length - 1);
+        result[`p${percentile}`] = sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    });
+    return result;
+}
+
+/**
+ * Get the percentile bands at each whole year (and the horizon) as export rows
+ * @param {Object} projection - Result of projectPortfolios
+ * @returns {Array} - Rows with PROJECTION_COLUMNS
+ */
+function getProjectionRows(projection) {
+    const rows = [];
+    projection.portfolios.forEach(portfolio => {
+        portfolio.bands
+            .filter((band, index) => Math.abs(band.years - Math.round(band.years)) < 1e-9 || index === portfolio.bands.length - 1)
+            .forEach(band => rows.push({ portfolio: portfolio.name, ...band }));
+    });
+    return rows;
+}
+
+/**
+ * Build an SVG fan chart of the projection: a 5-95 and a 25-75 percentile band and the median
+ * line for each portfolio
+ * @param {Object} projection - Result of projectPortfolios
+ * @param {Number} width - Chart width in pixels
+ * @param {Number} height - Chart height in pixels
+ * @returns {String} - SVG markup
+ */
+function buildProjectionSvg(projection, width, height) {
+    const left = CHART_MARGIN.left;
+    const right = width - CHART_MARGIN.right;
+    const top = CHART_MARGIN.top;
+    const bottom = height - CHART_MARGIN.bottom;
+    const years = projection.settings.years;
+
+    const allValues = [];
+    projection.portfolios.forEach(portfolio => {
+        allValues.push(portfolio.startValue);
+        portfolio.bands.forEach(band => allValues.push(band.p5, band.p95));
+    });
+    const yScale = createLinearScale(allValues, bottom, top);
+    const x = value => left + (value / years) * (right - left);
+
+    const parts = [];
+    yScale.ticks.forEach(tick => {
+        const y = yScale.map(tick);
+        parts.push(`<line x1="${left}" x2="${right}" y1="${y}" y2="${y}" stroke="#2d3748" />`);
+        parts.push(`<text x="${left - 8}" y="${y + 4}" fill="#a3a3a3" font-size="11" text-anchor="end">${formatChartValue(tick, 'value')}</text>`);
+    });
+    for (let year = 0; year <= Math.floor(years); year++) {
+        parts.push(`<text x="${x(year)}" y="${bottom + 18}" fill="#a3a3a3" font-size="11" text-anchor="middle">${year === 0 ? projection.startDate : `+${year}y`}</text>`);
+    }
+
+    projection.portfolios.forEach((portfolio, index) => {
+        const color = PORTFOLIO_COLORS[index % PORTFOLIO_COLORS.length];
+        const start = { years: 0, p5: portfolio.startValue, p25: portfolio.startValue, p50: portfolio.startValue, p75: portfolio.startValue, p95: portfolio.startValue };
+        const bands = [start, ...portfolio.bands];
+        const point = (band, key) => `${x(band.years).toFixed(1)},${yScale.map(band[key]).toFixed(1)}`;
+        const area = (lowKey, highKey) => [
+            ...bands.map(band => point(band, highKey)),
+            ...bands.slice().reverse().map(band => point(band, lowKey))
+        ].join(' ');
+        parts.push(`<polygon points="${area('p5', 'p95')}" fill="${color}" fill-opacity="0.12" />`);
+        parts.push(`<polygon points="${area('p25', 'p75')}" fill="${color}" fill-opacity="0.25" />`);
+        parts.push(`<polyline points="${bands.map(band => point(band, 'p50')).join(' ')}" fill="none" stroke="${color}" stroke-width="2"><title>${escapeConfigHtml(portfolio.name)} median</title></polyline>`);
+    });
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${parts.join('')}</svg>`;
+}
+
+/**
+ * Render the projection form and, once run, the fan chart, percentile table and probabilities
+ * @param {HTMLElement} container - Target element
+ * @param {Object} comparison - Result of calculatePortfolioComparison
+ */
+function renderProjection(container, comparison) {
+    const defaults = { ...PROJECTION_DEFAULTS, blockLength: '' };
+    container.innerHTML = `
+        <div class="config-row">
+            <label>Years <input type="number" min="1" max="50" step="any" class="format-select config-rate" data-field="years" value="${defaults.years}"></label>
+            <label>Paths <input type="number" min="10" max="${MAX_PROJECTION_PATHS}" step="100" class="format-select config-rate" data-field="paths" value="${defaults.paths}"></label>
+            <label>Method
+                <select class="format-select" data-field="method">
+                    <option value="bootstrap">Block Bootstrap</option>
+                    <option value="parametric">Parametric (Normal)</option>
+                </select>
+            </label>
+            <label>Returns
+                <select class="format-select" data-field="frequency">
+                    <option value="monthly">Monthly</option>
+                    <option value="daily">Daily</option>
+                </select>
+            </label>
+            <label>Block Length <input type="number" min="1" step="1" class="format-select config-rate" data-field="blockLength" placeholder="auto"></label>
+            <label>Seed <input type="text" class="format-select config-rate" data-field="seed" value="${defaults.seed}"></label>
+            <button class="download-btn projection-run">Run Projection</button>
+        </div>
+        <div class="config-message projection-message"></div>
+        <div class="projection-output"></div>
+    `;
+
+    const message = container.querySelector('.projection-message');
+    const output = container.querySelector('.projection-output');
+
+    container.querySelector('.projection-run').addEventListener('click', () => {
+        const settings = {};
+        container.querySelectorAll('[data-field]').forEach(field => settings[field.dataset.field] = field.value);
+
+        let projection;
+        try {
+            projection = projectPortfolios(comparison, settings);
+        } catch (error) {
+            message.className = 'config-message error';
+            message.textContent = error.message;
+            output.innerHTML = '';
+            return;
+        }
+        message.className = 'config-message config-hint';
+        message.textContent = `${projection.settings.paths} paths resampling ${projection.historyReturns} ${projection.settings.frequency} returns ` +
+            `(${projection.historyStartDate} to ${projection.startDate}), seed ${projection.settings.seed}.`;
+
+        const formatValue = value => formatChartValue(value, 'value');
+        const rows = getProjectionRows(projection);
+        output.innerHTML = `
+            <div class="chart-plot">${buildProjectionSvg(projection, Math.max(container.clientWidth || 0, 600), CHART_DEFAULT_HEIGHT)}</div>
+            <div class="table-container">
+                <table>
+                    <thead>
+                        <tr><th>Portfolio</th><th>Years</th>${PROJECTION_PERCENTILES.map(percentile => `<th>${percentile}th</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td>${escapeConfigHtml(row.portfolio)}</td>
+                                <td>${row.years.toFixed(row.years % 1 === 0 ? 0 : 2)}</td>
+                                ${PROJECTION_PERCENTILES.map(percentile => `<td class="data-point">${formatValue(row[`p${percentile}`])}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${projection.probabilities.length === 0 ? '' : `
+                <div class="holdings-title">Chance of Ending Ahead</div>
+                ${projection.probabilities.map(entry => `
+                    <div class="portfolio-stat">
+                        <span class="portfolio-label">${escapeConfigHtml(entry.portfolio)} ahead of ${escapeConfigHtml(entry.other)}:</span>
+                        <span class="portfolio-value">${(entry.probability * 100).toFixed(1)}%</span>
+                    </div>
+                `).join('')}
+            `}
+            <div class="button-container">
+                <button class="download-btn projection-download"><span>📥</span> Export Projection (CSV)</button>
+            </div>
+        `;
+        output.querySelector('.projection-download').addEventListener('click', () => {
+            const filename = `projection-${projection.settings.years}y-seed-${projection.settings.seed}.csv`;
+            downloadTextFile(toDelimitedText(rows, PROJECTION_COLUMNS, ','), filename, 'text/csv');
+        });
+    });
+}
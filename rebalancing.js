@@ -0,0 +1,187 @@
+/**
+ * Rebalancing Module
+ * filename = rebalancing.js
+ * Keeps a portfolio at target weights by trading units between its holdings, either on a
+ * calendar schedule or when a holding drifts too far from its target. Trades are internal to the
+ * portfolio: sales pay for purchases, so they are not contributions or withdrawals, but each sale
+ * closes tax lots like any other sale.
+ *
+ * REBALANCE SETTINGS (stored as portfolio.rebalance; each holding carries a targetWeight in percent):
+ * {
+ *     rule: 'none' | 'monthly' | 'quarterly' | 'annual' | 'threshold',
+ *     threshold: 5,                 // Percentage points a weight may drift from its target ('threshold' rule)
+ *     compareBuyAndHold: boolean    // Also calculate the same portfolio without rebalancing
+ * }
+ * Calendar rules rebalance on the last trading day of each month, quarter or year; the threshold
+ * rule rebalances on any trading day a holding's weight is more than threshold points away from
+ * its target (e.g. 65% against a 60% target with the default of 5). No rule rebalances on the
+ * start date. Every ticker the portfolio trades needs a target, so a rebalanced portfolio's
+ * ledger may only trade its holdings' tickers; sales always pay for the purchases exactly.
+ *
+ * TRADE LOG ENTRY (portfolio.rebalanceTrades):
+ * { date, ticker, type: 'buy' | 'sell', units, nav, amount, weightBefore, weightAfter, realizedGain }
+ * Weights are percentages of the portfolio value; amount is positive for purchases.
+ *
+ * EXAMPLE USAGE:
+ * const settings = normalizeRebalanceSettings({ rule: 'threshold', threshold: 5 }, holdings, 'Balanced');
+ * const targets = getTargetWeights(holdings);
+ * if (isRebalanceDue(settings, date, values, targets)) {
+ *     getRebalanceTrades(values, navs, targets).forEach(trade => ...);
+ * }
+ */
+
+const REBALANCE_RULES = ['none', 'monthly', 'quarterly', 'annual', 'threshold'];
+
+const REBALANCE_RULE_LABELS = {
+    none: 'None (Buy & Hold)',
+    monthly: 'Monthly',
+    quarterly: 'Quarterly',
+    annual: 'Annual',
+    threshold: 'Threshold'
+};
+
+const DEFAULT_REBALANCE_SETTINGS = {
+    rule: 'none',
+    threshold: 5,
+    compareBuyAndHold: false
+};
+
+// Trades smaller than this (in dollars) are not worth making
+const MIN_REBALANCE_TRADE = 0.01;
+
+// Columns written when the trade log is exported
+const REBALANCE_TRADE_COLUMNS = ['date', 'ticker', 'type', 'units', 'nav', 'amount', 'weightBefore', 'weightAfter', 'realizedGain'];
+
+/**
+ * Fill in missing rebalance settings and check the holdings' target weights
+ * @param {Object} [settings] - Partial rebalance settings
+ * @param {Array} holdings - The portfolio's holdings ({ ticker, targetWeight })
+ * @param {String} portfolioName - Portfolio name for error messages
+ * @param {Array} [transactions] - The portfolio's ledger ({ ticker }); each ticker needs a target weight
+ * @returns {Object} - Complete rebalance settings
+ */
+function normalizeRebalanceSettings(settings = {}, holdings = [], portfolioName = 'Portfolio', transactions = []) {
+    const rule = (settings && settings.rule) || DEFAULT_REBALANCE_SETTINGS.rule;
+    if (!REBALANCE_RULES.includes(rule)) {
+        throw new Error(`${portfolioName}: rebalancing rule must be one of ${REBALANCE_RULES.join(', ')}`);
+    }
+
+    const given = settings || {};
+    const threshold = given.threshold === undefined || given.threshold === '' ? DEFAULT_REBALANCE_SETTINGS.threshold : Number(given.threshold);
+    if (!(threshold > 0 && threshold < 100)) {
+        throw new Error(`${portfolioName}: rebalancing threshold must be between 0 and 100 percentage points`);
+    }
+
+    if (rule !== 'none') {
+        const missing = holdings.filter(holding => !(Number(holding.targetWeight) >= 0));
+        if (missing.length > 0) {
+            throw new Error(`${portfolioName}: every holding needs a target weight to rebalance (missing for ${missing.map(holding => holding.ticker).join(', ')})`);
+        }
+        const total = holdings.reduce((sum, holding) => sum + Number(holding.targetWeight), 0);
+        if (Math.abs(total - 100) > 0.01) {
+            throw new Error(`${portfolioName}: target weights must add up to 100% (they add up to ${total.toFixed(2)}%)`);
+        }
+
+        // A holding without a target would never be sold, so rebalancing could not fund its purchases
+        const targeted = holdings.map(holding => holding.ticker);
+        const untargeted = [...new Set(transactions.map(transaction => transaction.ticker).filter(ticker => !targeted.includes(ticker)))];
+        if (untargeted.length > 0) {
+            throw new Error(`${portfolioName}: transactions in ${untargeted.join(', ')} need a holding with a target weight to rebalance`);
+        }
+    }
+
+    return { rule: rule, threshold: threshold, compareBuyAndHold: Boolean(given.compareBuyAndHold) };
+}
+
+/**
+ * Get the target weight of each ticker, combining repeated tickers
+ * @param {Array} holdings - Holdings with targetWeight in percent
+ * @returns {Object} - Weights as fractions scaled to sum to exactly 1, keyed by ticker
+ */
+function getTargetWeights(holdings) {
+    const targets = {};
+    holdings.forEach(holding => {
+        targets[holding.ticker] = (targets[holding.ticker] || 0) + (Number(holding.targetWeight) || 0) / 100;
+    });
+    const total = Object.values(targets).reduce((sum, weight) => sum + weight, 0);
+    if (total > 0) {
+        Object.keys(targets).forEach(ticker => targets[ticker] /= total);
+    }
+    return targets;
+}
+
+/**
+ * Get each holding's share of the portfolio value
+ * @param {Object} values - Holding values keyed by ticker
+ * @returns {Object} - Weights as fractions keyed by ticker (all 0 for an empty portfolio)
+ */
+function getHoldingWeights(values) {
+    const total = Object.values(values).reduce((sum, value) => sum + value, 0);
+    const weights = {};
+    Object.keys(values).forEach(ticker => weights[ticker] = total > 0 ? values[ticker] / total : 0);
+    return weights;
+}
+
+/**
+ * Check whether the rule calls for a rebalance on a date
+ * @param {Object} settings - Rebalance settings
+ * @param {String} date - Trading day ('YYYY-MM-DD')
+ * @param {Object} values - Holding values keyed by ticker
+ * @param {Object} targets - Target weights from getTargetWeights
+ * @returns {Boolean} - True to rebalance at the date's closing NAVs
+ */
+function isRebalanceDue(settings, date, values, targets) {
+    if (settings.rule === 'none') {
+        return false;
+    }
+
+    if (settings.rule === 'threshold') {
+        const weights = getHoldingWeights(values);
+        return Object.keys(targets).some(ticker => Math.abs((weights[ticker] || 0) - targets[ticker]) * 100 > settings.threshold);
+    }
+
+    if (date !== getLastTradingDayOfMonth(date)) {
+        return false;
+    }
+    const month = Number(date.slice(5, 7));
+    return settings.rule === 'monthly'
+        || (settings.rule === 'quarterly' && month % 3 === 0)
+        || (settings.rule === 'annual' && month === 12);
+}
+
+/**
+ * Work out the trades that bring every holding back to its target weight
+ * @param {Object} values - Holding values keyed by ticker
+ * @param {Object} navs - NAV each holding trades at, keyed by ticker
+ * @param {Object} targets - Target weights from getTargetWeights
+ * @returns {Array} - Transactions ({ ticker, type, units }), sales first so they fund the purchases
+ */
+function getRebalanceTrades(values, navs, targets) {
+    const untargeted = Object.keys(values).filter(ticker => targets[ticker] === undefined && values[ticker] > 0);
+    if (untargeted.length > 0) {
+        throw new Error(`Cannot rebalance: ${untargeted.join(', ')} has no target weight`);
+    }
+
+    const total = Object.values(values).reduce((sum, value) => sum + value, 0);
+    const trades = [];
+    let bought = 0;
+    let sold = 0;
+    Object.keys(targets).forEach(ticker => {
+        const difference = total * targets[ticker] - (values[ticker] || 0);
+        if (Math.abs(difference) < MIN_REBALANCE_TRADE || !(navs[ticker] > 0)) {
+            return;
+        }
+        trades.push({ ticker: ticker, type: difference < 0 ? 'sell' : 'buy', units: Math.abs(difference) / navs[ticker] });
+        if (difference < 0) {
+            sold -= difference;
+        } else {
+            bought += difference;
+        }
+    });
+
+    // Skipped small trades are the only difference allowed between purchases and sales
+    if (Math.abs(bought - sold) > MIN_REBALANCE_TRADE * Object.keys(targets).length) {
+        throw new Error(`Rebalance trades do not balance: $${bought.toFixed(2)} bought against $${sold.toFixed(2)} sold`);
+    }
+    return trades.sort((a, b) => (a.type === 'sell' ? 0 : 1) - (b.type === 'sell' ? 0 : 1));
+}
@@ -0,0 +1,343 @@
+/**
+ * Report Export Module
+ * filename = report-export.js
+ * Exports a whole portfolio comparison for archiving: a JSON bundle or a zip of CSV files with every
+ * comparison series and summary, and a self-contained, printable HTML report with the summary
+ * cards, holdings, chart and the settings the results came from. Used by the page and by
+ * fund-fetcher-cli.js (renderReportExport is browser-only).
+ *
+ * REPORT INPUTS (see getReportInputs):
+ * {
+ *     generatedAt: string,             // ISO timestamp of the export
+ *     startDate, mmfReinvestment, benchmarks,
+ *     taxEnabled: boolean, feesEnabled: boolean,
+ *     portfolios: [{ name, startDate, holdings, transactions, costBasisMethod, rebalance }],
+ *     sources: [{ ticker, navProvider, navLocation, navPoints, firstDate, lastDate,
+ *                 distributionSource, distributionLocation, distributions, fetchedAt }]
+ * }
+ *
+ * REPORT TABLES (see getReportTables; one CSV file each, downloaded together as a zip):
+ * - summary                  One row per portfolio (REPORT_SUMMARY_COLUMNS)
+ * - aligned_daily_values     The chart series: p1Value, p1Index, ..., b1Index, ...
+ * - portfolio_daily_values   Each portfolio's own daily values (REPORT_DAILY_VALUE_COLUMNS)
+ * - holding_daily_values     Each holding's daily units, NAV and value (REPORT_HOLDING_COLUMNS)
+ * - trailing_returns, monthly_returns   See performance-periods.js
+ * - break_even               Only with sales charges (see fund-fees.js)
+ * - data_sources             REPORT_SOURCE_COLUMNS
+ *
+ * EXAMPLE USAGE:
+ * const inputs = getReportInputs(portfolioConfig, fundData);
+ * const html = buildHtmlReport(comparison, inputs);
+ * downloadTextFile(html, getReportFilename(inputs, 'report', 'html'), 'text/html');
+ */
+
+// Columns written for the summary table
+const REPORT_SUMMARY_COLUMNS = ['name', 'initialValue', 'currentValue', 'change', 'changePercent', 'timeWeightedReturn',
+    'annualizedReturn', 'moneyWeightedReturn', 'netContributions', 'volatility', 'maxDrawdown', 'sharpeRatio',
+    'sortinoRatio', 'calmarRatio', 'costBasis', 'unrealizedGain', 'realizedGain', 'salesChargesTotal'];
+
+const REPORT_DAILY_VALUE_COLUMNS = ['portfolio', 'date', 'value', 'cashFlow', 'dailyReturn', 'twrIndex', 'accruedIncome',
+    'afterTaxValue', 'changeFromStart'];
+
+const REPORT_HOLDING_COLUMNS = ['portfolio', 'date', 'ticker', 'units', 'nav', 'value', 'accruedIncome', 'distRatio'];
+
+const REPORT_SOURCE_COLUMNS = ['ticker', 'navProvider', 'navLocation', 'navPoints', 'firstDate', 'lastDate',
+    'distributionSource', 'distributionLocation', 'distributions', 'fetchedAt'];
+
+// Size of the chart in the HTML report
+const REPORT_CHART_WIDTH = 960;
+const REPORT_CHART_HEIGHT = 420;
+
+/**
+ * Collect the settings and data sources a comparison was calculated from
+ * @param {Object} portfolioConfig - Normalized portfolio configuration
+ * @param {Object} fundData - Loaded fund data keyed by ticker ({ nav, distributions, distributionSource, distributionLocation, fetchedAt })
+ * @param {String} [generatedAt] - ISO timestamp of the export (default: now)
+ * @returns {Object} - Report inputs
+ */
+function getReportInputs(portfolioConfig, fundData, generatedAt = new Date().toISOString()) {
+    const sources = getConfigTickers(portfolioConfig).map(ticker => {
+        const data = fundData[ticker] || {};
+        const nav = data.nav || [];
+        const provider = getTickerNavProvider(portfolioConfig, ticker);
+        return {
+            ticker: ticker,
+            navProvider: getNavProvider(provider.type).label,
+            navLocation: provider.type === 'fixed' ? `$${Number(provider.nav).toFixed(2)}` : (provider.url || null),
+            navPoints: nav.length,
+            firstDate: nav.length > 0 ? nav[0].date : null,
+            lastDate: nav.length > 0 ? nav[nav.length - 1].date : null,
+            distributionSource: data.distributionSource || null,
+            distributionLocation: data.distributionLocation || null,
+            distributions: (data.distributions || []).length,
+            fetchedAt: data.fetchedAt || null
+        };
+    });
+
+    return {
+        generatedAt: generatedAt,
+        startDate: portfolioConfig.startDate,
+        mmfReinvestment: portfolioConfig.mmfReinvestment || 'monthly',
+        benchmarks: portfolioConfig.benchmarks || [],
+        taxEnabled: Boolean(portfolioConfig.tax && portfolioConfig.tax.enabled),
+        feesEnabled: Boolean(portfolioConfig.fees && portfolioConfig.fees.enabled),
+        portfolios: portfolioConfig.portfolios.map(portfolio => ({
+            name: portfolio.name,
+            startDate: portfolio.startDate || portfolioConfig.startDate,
+            holdings: portfolio.holdings,
+            transactions: portfolio.transactions || [],
+            costBasisMethod: portfolio.costBasisMethod || 'fifo',
+            rebalance: portfolio.rebalance || null
+        })),
+        sources: sources
+    };
+}
+
+/**
+ * Flatten a comparison into export tables
+ * @param {Object} comparison - Result of calculatePortfolioComparison
+ * @param {Object} inputs - Report inputs from getReportInputs
+ * @returns {Array} - Tables ({ name, rows, columns }) in REPORT TABLES order
+ */
+function getReportTables(comparison, inputs) {
+    const series = comparison.portfolioSeries || [];
+    const dailyRows = series.flatMap(portfolio => portfolio.dailyValues.map(day => ({ portfolio: portfolio.name, ...day })));
+    const holdingRows = series.flatMap(portfolio => portfolio.dailyValues.flatMap(day =>
+        Object.keys(day.holdings).map(ticker => ({ portfolio: portfolio.name, date: day.date, ticker: ticker, ...day.holdings[ticker] }))));
+
+    const tables = [
+        { name: 'summary', rows: comparison.portfolios, columns: REPORT_SUMMARY_COLUMNS },
+        { name: 'aligned_daily_values', rows: comparison.dailyValues, columns: Object.keys(comparison.dailyValues[0] || { date: null }) },
+        { name: 'portfolio_daily_values', rows: dailyRows, columns: REPORT_DAILY_VALUE_COLUMNS },
+        { name: 'holding_daily_values', rows: holdingRows, columns: REPORT_HOLDING_COLUMNS },
+        { name: 'trailing_returns', rows: getTrailingReturnRows(comparison), columns: TRAILING_RETURN_COLUMNS },
+        { name: 'monthly_returns', rows: getMonthlyReturnRows(comparison), columns: MONTHLY_RETURN_COLUMNS }
+    ];
+    if ((comparison.breakEven || []).length > 0) {
+        tables.push({ name: 'break_even', rows: comparison.breakEven, columns: BREAK_EVEN_COLUMNS });
+    }
+    tables.push({ name: 'data_sources', rows: inputs.sources, columns: REPORT_SOURCE_COLUMNS });
+    return tables;
+}
+
+/**
+ * Build the JSON bundle: the inputs and every report table
+ * @param {Object} comparison - Result of calculatePortfolioComparison
+ * @param {Object} inputs - Report inputs from getReportInputs
+ * @returns {Object} - { generatedAt, inputs, portfolios, benchmarks, tables: { name: rows } }
+ */
+function buildReportBundle(comparison, inputs) {
+    const tables = {};
+    getReportTables(comparison, inputs).forEach(table => tables[table.name] = table.rows);
+    return {
+        generatedAt: inputs.generatedAt,
+        inputs: inputs,
+        portfolios: comparison.portfolios,
+        benchmarks: comparison.benchmarks || [],
+        tables: tables
+    };
+}
+
+/**
+ * Name an exported report file after its export date
+ * @param {Object} inputs - Report inputs from getReportInputs
+ * @param {String} part - 'report' or a table name
+ * @param {String} extension - File extension
+ * @returns {String} - Filename
+ */
+function getReportFilename(inputs, part, extension) {
+    return `fund-comparison-${part}-${inputs.generatedAt.split('T')[0]}.${extension}`;
+}
+
+/**
+ * Build a self-contained, printable HTML report of a comparison
+ * The page has no scripts or external resources; the chart is inline SVG (see buildChartSvg).
+ * @param {Object} comparison - Result of calculatePortfolioComparison
+ * @param {Object} inputs - Report inputs from getReportInputs
+ * @returns {String} - HTML document
+ */
+function buildHtmlReport(comparison, inputs) {
+    const money = value => value === null || value === undefined ? 'N/A' : `$${value.toFixed(2)}`;
+    const percent = value => value === null || value === undefined ? 'N/A' : `${value.toFixed(2)}%`;
+    const ratio = value => value === null || value === undefined ? 'N/A' : value.toFixed(2);
+    const stat = (label, value) => `<tr><th>${label}</th><td>${value}</td></tr>`;
+
+    const cardsHtml = comparison.portfolios.map((summary, index) => `
+        <div class="card" style="border-left-color: ${PORTFOLIO_COLORS[index % PORTFOLIO_COLORS.length]}">
+            <h3>${escapeConfigHtml(summary.name)}</h3>
+            <table>
+                ${stat('Initial Value', money(summary.initialValue))}
+                ${stat('Current Value', money(summary.currentValue))}
+                ${stat('Change', `${money(summary.change)} (${percent(summary.changePercent)})`)}
+                ${stat('Time-Weighted Return (cumulative)', percent(summary.timeWeightedReturn))}
+                ${stat('Time-Weighted Return (annualized)', percent(summary.annualizedReturn))}
+                ${stat('Money-Weighted Return (XIRR, annualized)', percent(summary.moneyWeightedReturn))}
+                ${stat('Volatility', percent(summary.volatility))}
+                ${stat('Max Drawdown', percent(summary.maxDrawdown))}
+                ${stat('Sharpe / Sortino', `${ratio(summary.sharpeRatio)} / ${ratio(summary.sortinoRatio)}`)}
+                ${stat('Unrealized / Realized Gain', `${money(summary.unrealizedGain)} / ${money(summary.realizedGain)}`)}
+                ${summary.salesChargesTotal > 0 ? stat('Sales Charges', money(summary.salesChargesTotal)) : ''}
+                ${summary.afterTax ? stat('After-Tax Value', money(summary.afterTax.currentValue)) : ''}
+            </table>
+            <h4>Holdings</h4>
+            <table>
+                <tr><th>Ticker</th><th>Units</th></tr>
+                ${Object.keys(summary.currentUnits || {}).map(ticker => `
+                    <tr><td>${escapeConfigHtml(ticker)}</td><td class="number">${summary.currentUnits[ticker].toFixed(3)}</td></tr>
+                `).join('')}
+            </table>
+        </div>
+    `).join('');
+
+    // buildChartSvg escapes every label and ticker it writes, so the SVG is embedded as is
+    const chartSvg = buildChartSvg({ comparison: comparison, view: 'index', range: null }, REPORT_CHART_WIDTH, REPORT_CHART_HEIGHT);
+
+    const trailingRows = getTrailingReturnRows(comparison);
+    const trailingHtml = trailingRows.length === 0 ? '' : `
+        <h2>Trailing Returns</h2>
+        <table class="grid">
+            <tr><th>Name</th><th>As Of</th>${TRAILING_PERIODS.map(period => `<th>${period.label}</th>`).join('')}</tr>
+            ${trailingRows.map(row => `
+                <tr>
+                    <td>${escapeConfigHtml(row.name)}</td>
+                    <td>${row.endDate || '-'}</td>
+                    ${TRAILING_PERIODS.map(period => `<td class="number">${percent(row[period.key])}</td>`).join('')}
+                </tr>
+            `).join('')}
+        </table>
+    `;
+
+    // Without a starting load there is nothing to recover
+    const breakEvenYears = entry => {
+        if (entry.startingLoad === 0) {
+            return 'n/a';
+        }
+        return entry.yearsToBreakEven === null ? 'Not at historical pace' : `${entry.yearsToBreakEven.toFixed(1)} (${entry.breakEvenDate})`;
+    };
+    const breakEvenHtml = (comparison.breakEven || []).length === 0 ? '' : `
+        <h2>Sales Charge Break-Even</h2>
+        <table class="grid">
+            <tr><th>Portfolio</th><th>Reference</th><th>Charges</th><th>Starting Load</th><th>Years to Break Even</th><th>Recovered</th></tr>
+            ${comparison.breakEven.map(entry => `
+                <tr>
+                    <td>${escapeConfigHtml(entry.portfolio)}</td>
+                    <td>${escapeConfigHtml(entry.reference)}</td>
+                    <td class="number">${money(entry.salesCharges)}</td>
+                    <td class="number">${percent(entry.startingLoad)}</td>
+                    <td class="number">${breakEvenYears(entry)}</td>
+                    <td>${entry.startingLoad === 0 ? 'n/a' : entry.recoveredDate || 'Not yet'}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+
+    const describeHolding = holding => holding.dollars !== undefined
+        ? `${escapeConfigHtml(holding.ticker)}: $${Number(holding.dollars).toFixed(2)}`
+        : `${escapeConfigHtml(holding.ticker)}: ${Number(holding.units).toFixed(3)} units`;
+    const settingsHtml = `
+        <h2>Settings</h2>
+        <table>
+            ${stat('Start Date', escapeConfigHtml(inputs.startDate))}
+            ${stat('Money Market Income', inputs.mmfReinvestment === 'daily' ? 'Compound Daily' : 'Accrue Daily, Reinvest Monthly')}
+            ${stat('Benchmarks', inputs.benchmarks.length > 0 ? escapeConfigHtml(inputs.benchmarks.join(', ')) : 'None')}
+            ${stat('After-Tax Mode', inputs.taxEnabled ? 'On' : 'Off')}
+            ${stat('Sales Charges', inputs.feesEnabled ? 'On' : 'Off')}
+        </table>
+        <table class="grid">
+            <tr><th>Portfolio</th><th>Start Date</th><th>Starting Holdings</th><th>Transactions</th><th>Cost Basis</th><th>Rebalancing</th></tr>
+            ${inputs.portfolios.map(portfolio => `
+                <tr>
+                    <td>${escapeConfigHtml(portfolio.name)}</td>
+                    <td>${escapeConfigHtml(portfolio.startDate)}</td>
+                    <td>${portfolio.holdings.map(describeHolding).join('<br>')}</td>
+                    <td class="number">${portfolio.transactions.length}</td>
+                    <td>${escapeConfigHtml(portfolio.costBasisMethod)}</td>
+                    <td>${portfolio.rebalance && portfolio.rebalance.rule !== 'none' ? escapeConfigHtml(REBALANCE_RULE_LABELS[portfolio.rebalance.rule]) : 'None'}</td>
+                </tr>
+            `).join('')}
+        </table>
+        <h2>Data Sources</h2>
+        <table class="grid">
+            <tr><th>Ticker</th><th>NAV Source</th><th>NAV Points</th><th>Dates</th><th>Distributions</th><th>Fetched</th></tr>
+            ${inputs.sources.map(source => `
+                <tr>
+                    <td>${escapeConfigHtml(source.ticker)}</td>
+                    <td>${escapeConfigHtml(source.navProvider)}${source.navLocation ? ` (${escapeConfigHtml(source.navLocation)})` : ''}</td>
+                    <td class="number">${source.navPoints}</td>
+                    <td>${source.firstDate || '-'} to ${source.lastDate || '-'}</td>
+                    <td>${source.distributions} from ${escapeConfigHtml(source.distributionLocation || source.distributionSource || 'none')}</td>
+                    <td>${source.fetchedAt ? escapeConfigHtml(source.fetchedAt) : '-'}</td>
+                </tr>
+            `).join('')}
+        </table>
+    `;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>Portfolio Comparison Report ${escapeConfigHtml(inputs.generatedAt.split('T')[0])}</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, sans-serif; color: #1f2937; margin: 24px; }
+        h1 { margin-bottom: 4px; }
+        .generated { color: #6b7280; margin-bottom: 16px; }
+        .cards { display: flex; flex-wrap: wrap; gap: 16px; }
+        .card { border: 1px solid #d1d5db; border-left: 5px solid; border-radius: 6px; padding: 12px; flex: 1 1 300px; break-inside: avoid; }
+        .card h3 { margin-top: 0; }
+        table { border-collapse: collapse; margin-bottom: 12px; }
+        th, td { text-align: left; padding: 3px 8px; font-size: 13px; vertical-align: top; }
+        .grid th, .grid td { border: 1px solid #d1d5db; }
+        .number { text-align: right; }
+        .chart { background: #1a202c; border-radius: 6px; padding: 8px; overflow-x: auto; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+        @media print { body { margin: 0; } .chart svg { width: 100%; height: auto; } }
+    </style>
+</head>
+<body>
+    <h1>Portfolio Comparison Report</h1>
+    <div class="generated">Generated ${escapeConfigHtml(inputs.generatedAt)}</div>
+    <h2>Summary</h2>
+    <div class="cards">${cardsHtml}</div>
+    <h2>Growth (start = 100)</h2>
+    <div class="chart">${chartSvg.replace('<svg ', `<svg viewBox="0 0 ${REPORT_CHART_WIDTH} ${REPORT_CHART_HEIGHT}" `)}</div>
+    ${trailingHtml}
+    ${breakEvenHtml}
+    ${settingsHtml}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render the report export controls
+ * @param {HTMLElement} container - Target element
+ * @param {Object} comparison - Result of calculatePortfolioComparison
+ * @param {Function} getInputs - Returns the current report inputs (see getReportInputs)
+ */
+function renderReportExport(container, comparison, getInputs) {
+    container.innerHTML = `
+        <select class="format-select report-format">
+            <option value="html">Printable Report (HTML)</option>
+            <option value="json">Data Bundle (JSON)</option>
+            <option value="csv">Data Tables (CSV files in a zip)</option>
+        </select>
+        <button class="download-btn report-download"><span>📥</span> Export Report</button>
+    `;
+
+    container.querySelector('.report-download').addEventListener('click', () => {
+        const format = container.querySelector('.report-format').value;
+        const inputs = getInputs();
+        if (format === 'html') {
+            downloadTextFile(buildHtmlReport(comparison, inputs), getReportFilename(inputs, 'report', 'html'), 'text/html');
+        } else if (format === 'json') {
+            const bundle = JSON.stringify(buildReportBundle(comparison, inputs), null, 2);
+            downloadTextFile(bundle, getReportFilename(inputs, 'report', 'json'), 'application/json');
+        } else {
+            // One download: browsers block or prompt on several files from one click
+            const files = getReportTables(comparison, inputs).map(table => ({
+                name: getReportFilename(inputs, table.name, 'csv'),
+                content: toDelimitedText(table.rows, table.columns, ',')
+            }));
+            downloadTextFile(createZipArchive(files, new Date(inputs.generatedAt)), getReportFilename(inputs, 'tables', 'zip'), 'application/zip');
+        }
+    });
+}
@@ -0,0 +1,222 @@
+/**
+ * Tax Lot Module
+ * filename = tax-lots.js
+ * Tracks holdings as individual tax lots so cost basis and realized/unrealized gains can be
+ * reported. Every purchase and every reinvested distribution opens a lot; sales close lots
+ * using the portfolio's cost basis method.
+ *
+ * COST BASIS METHODS:
+ * - 'fifo'     First in, first out (default)
+ * - 'specific' Sells the lots listed in the sale's lotIds, in that order, then FIFO for any remainder
+ * - 'average'  Average cost: units sold are charged the fund's average cost per unit and the
+ *              remaining lots take on that average; lots are consumed oldest first to decide
+ *              the holding period
+ *
+ * LOT STRUCTURE:
+ * {
+ *     id: string,          // '<TICKER>-<n>', numbered per ticker in the order lots are opened
+ *     ticker: string,
+ *     date: string,        // Acquisition date ('YYYY-MM-DD')
+ *     units: number,       // Units still open
+ *     costPerUnit: number,
+ *     source: string       // 'initial', 'purchase' or 'reinvestment'
+ * }
+ *
+ * EXAMPLE USAGE:
+ * const book = createLotBook();
+ * addLot(book, 'AGTHX', '2024-12-31', 100, 7488, 'initial');
+ * sellFromLots(book, 'AGTHX', 40, 80.12, '2025-06-02', 'fifo');
+ * const lotSummary = summarizeLots(book, { AGTHX: 81.5 }, '2025-06-30');
+ */
+
+const COST_BASIS_METHODS = ['fifo', 'specific', 'average'];
+const LOT_EXPORT_COLUMNS = ['status', 'lotId', 'ticker', 'acquiredDate', 'closedDate', 'units', 'cost', 'value', 'gain', 'term', 'source'];
+
+/**
+ * Create an empty lot book
+ * @returns {Object} - { lots: open lots, realized: closed lot portions, sequence: next id per ticker }
+ */
+function createLotBook() {
+    return {
+        lots: [],
+        realized: [],
+        sequence: {}
+    };
+}
+
+/**
+ * Open a new lot
+ * @param {Object} book - Lot book
+ * @param {String} ticker - Fund ticker
+ * @param {String} date - Acquisition date
+ * @param {Number} units - Units acquired
+ * @param {Number} cost - Total cost of the units
+ * @param {String} source - 'initial', 'purchase' or 'reinvestment'
+ * @returns {Object|null} - The new lot, or null when no units were acquired
+ */
+function addLot(book, ticker, date, units, cost, source) {
+    if (!(units > 0)) {
+        return null;
+    }
+
+    book.sequence[ticker] = (book.sequence[ticker] || 0) + 1;
+    const lot = {
+        id: `${ticker}-${book.sequence[ticker]}`,
+        ticker: ticker,
+        date: date,
+        units: units,
+        costPerUnit: cost / units,
+        source: source
+    };
+    book.lots.push(lot);
+    return lot;
+}
+
+/**
+ * Sell units of a fund, closing lots according to the cost basis method
+ * @param {Object} book - Lot book (updated in place)
+ * @param {String} ticker - Fund ticker
+ * @param {Number} units - Units to sell
+ * @param {Number} price - Sale price per unit
+ * @param {String} date - Sale date
+ * @param {String} method - 'fifo', 'specific' or 'average'
+ * @param {Array} [lotIds] - Lots to sell first when method is 'specific'
+ * @returns {Array} - Realized gain entries added by this sale
+ */
+function sellFromLots(book, ticker, units, price, date, method = 'fifo', lotIds = []) {
+    if (!COST_BASIS_METHODS.includes(method)) {
+        throw new Error(`Unknown cost basis method: ${method}`);
+    }
+
+    const openLots = book.lots.filter(lot => lot.ticker === ticker);
+    let orderedLots = openLots;
+    if (method === 'specific' && lotIds.length > 0) {
+        const chosen = lotIds.map(id => openLots.find(lot => lot.id === id)).filter(Boolean);
+        if (chosen.length < lotIds.length) {
+            console.warn(`Some lots requested for the ${ticker} sale on ${date} are not open:`, lotIds);
+        }
+        orderedLots = [...chosen, ...openLots.filter(lot => !chosen.includes(lot))];
+    }
+
+    const totalUnits = openLots.reduce((sum, lot) => sum + lot.units, 0);
+    const totalCost = openLots.reduce((sum, lot) => sum + lot.units * lot.costPerUnit, 0);
+    const averageCost = totalUnits > 0 ? totalCost / totalUnits : 0;
+
+    const realized = [];
+    let remaining = units;
+    for (const lot of orderedLots) {
+        if (remaining <= 1e-9) break;
+
+        const soldUnits = Math.min(lot.units, remaining);
+        const costPerUnit = method === 'average' ? averageCost : lot.costPerUnit;
+        const proceeds = soldUnits * price;
+        const cost = soldUnits * costPerUnit;
+        realized.push({
+            date: date,
+            ticker: ticker,
+            lotId: lot.id,
+            acquiredDate: lot.date,
+            units: soldUnits,
+            proceeds: proceeds,
+            cost: cost,
+            gain: proceeds - cost,
+            term: getHoldingTerm(lot.date, date)
+        });
+
+        lot.units -= soldUnits;
+        remaining -= soldUnits;
+    }
+
+    if (remaining > 1e-9) {
+        console.warn(`Sale of ${units} ${ticker} units on ${date} exceeds open lots by ${remaining} units`);
+    }
+
+    book.lots = book.lots.filter(lot => lot.units > 1e-9);
+    if (method === 'average') {
+        book.lots.filter(lot => lot.ticker === ticker).forEach(lot => lot.costPerUnit = averageCost);
+    }
+    book.realized.push(...realized);
+    return realized;
+}
+
+/**
+ * Decide whether a lot held until a date is long-term (held more than one year)
+ * @param {String} acquiredDate - Acquisition date
+ * @param {String} asOfDate - Sale or valuation date
+ * @returns {String} - 'long' or 'short'
+ */
+function getHoldingTerm(acquiredDate, asOfDate) {
+    const oneYearLater = new Date(acquiredDate);
+    oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
+    return new Date(asOfDate) > oneYearLater ? 'long' : 'short';
+}
+
+/**
+ * Value the open lots and total the realized gains
+ * @param {Object} book - Lot book
+ * @param {Object} navs - Current NAV by ticker
+ * @param {String} asOfDate - Valuation date
+ * @returns {Object} - Lot details and cost basis / gain totals
+ */
+function summarizeLots(book, navs, asOfDate) {
+    const lots = book.lots.map(lot => {
+        const cost = lot.units * lot.costPerUnit;
+        const marketValue = lot.units * (navs[lot.ticker] || 0);
+        return {
+            ...lot,
+            cost: cost,
+            marketValue: marketValue,
+            unrealizedGain: marketValue - cost,
+            term: getHoldingTerm(lot.date, asOfDate)
+        };
+    });
+
+    const sum = (items, field) => items.reduce((total, item) => total + item[field], 0);
+    return {
+        lots: lots,
+        realized: [...book.realized],
+        costBasis: sum(lots, 'cost'),
+        unrealizedGain: sum(lots, 'unrealizedGain'),
+        unrealizedShortTerm: sum(lots.filter(lot => lot.term === 'short'), 'unrealizedGain'),
+        unrealizedLongTerm: sum(lots.filter(lot => lot.term === 'long'), 'unrealizedGain'),
+        realizedGain: sum(book.realized, 'gain'),
+        realizedShortTerm: sum(book.realized.filter(entry => entry.term === 'short'), 'gain'),
+        realizedLongTerm: sum(book.realized.filter(entry => entry.term === 'long'), 'gain')
+    };
+}
+
+/**
+ * Flatten open lots and realized sales into rows for export
+ * @param {Array} lots - Open lots from summarizeLots
+ * @param {Array} realized - Realized entries from summarizeLots
+ * @returns {Array} - Rows keyed by LOT_EXPORT_COLUMNS
+ */
+function getLotExportRows(lots, realized) {
+    const openRows = lots.map(lot => ({
+        status: 'open',
+        lotId: lot.id,
+        ticker: lot.ticker,
+        acquiredDate: lot.date,
+        closedDate: '',
+        units: lot.units,
+        cost: lot.cost,
+        value: lot.marketValue,
+        gain: lot.unrealizedGain,
+        term: lot.term,
+        source: lot.source
+    }));
+    const closedRows = realized.map(entry => ({
+        status: 'closed',
+        lotId: entry.lotId,
+        ticker: entry.ticker,
+        acquiredDate: entry.acquiredDate,
+        closedDate: entry.date,
+        units: entry.units,
+        cost: entry.cost,
+        value: entry.proceeds,
+        gain: entry.gain,
+        term: entry.term,
+        source: ''
+    }));
+    return [...openRows, ...closedRows];
+}
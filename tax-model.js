@@ -0,0 +1,120 @@
+/**
+ * After-Tax Model Module
+ * filename = tax-model.js
+ * Taxes fund distributions for a taxable account so portfolios can be compared after tax.
+ *
+ * INCOME TYPES:
+ * - ordinaryIncome      Money market fund dividends (interest), taxed as ordinary income
+ * - qualifiedDividends  Mutual fund regular and special income dividends
+ * - longTermGains       Long-term capital gain distributions
+ * - shortTermGains      Short-term capital gain distributions
+ *
+ * TAX SETTINGS (stored as portfolioConfig.tax):
+ * {
+ *     enabled: boolean,
+ *     payFrom: 'reinvestment' | 'outside',   // Withhold from the reinvested amount, or pay with outside cash
+ *     rates: {
+ *         ordinaryIncome: { federal: 22, state: 5 },   // Percentages
+ *         qualifiedDividends: { federal: 15, state: 5 },
+ *         longTermGains: { federal: 15, state: 5 },
+ *         shortTermGains: { federal: 22, state: 5 }
+ *     }
+ * }
+ *
+ * EXAMPLE USAGE:
+ * const settings = normalizeTaxSettings({ enabled: true, payFrom: 'outside' });
+ * const tax = calculateDistributionTax('AGTHX', { incomeDividendRegular: 32.5, capGainsLongTerm: 669 }, settings);
+ * console.log(tax.total, tax.byIncomeType);
+ */
+
+const TAX_INCOME_TYPES = ['ordinaryIncome', 'qualifiedDividends', 'longTermGains', 'shortTermGains'];
+
+const TAX_INCOME_TYPE_LABELS = {
+    ordinaryIncome: 'Ordinary Income (MMF)',
+    qualifiedDividends: 'Qualified Dividends',
+    longTermGains: 'Long-Term Gains',
+    shortTermGains: 'Short-Term Gains'
+};
+
+const DEFAULT_TAX_SETTINGS = {
+    enabled: false,
+    payFrom: 'reinvestment',
+    rates: {
+        ordinaryIncome: { federal: 22, state: 5 },
+        qualifiedDividends: { federal: 15, state: 5 },
+        longTermGains: { federal: 15, state: 5 },
+        shortTermGains: { federal: 22, state: 5 }
+    }
+};
+
+/**
+ * Fill in missing tax settings from the defaults and validate the rates
+ * @param {Object} [settings] - Partial tax settings
+ * @returns {Object} - Complete tax settings
+ */
+function normalizeTaxSettings(settings = {}) {
+    const payFrom = settings.payFrom || DEFAULT_TAX_SETTINGS.payFrom;
+    if (payFrom !== 'reinvestment' && payFrom !== 'outside') {
+        throw new Error('Taxes must be paid from "reinvestment" or "outside" cash');
+    }
+
+    const rates = {};
+    TAX_INCOME_TYPES.forEach(incomeType => {
+        const given = (settings.rates || {})[incomeType] || {};
+        const defaults = DEFAULT_TAX_SETTINGS.rates[incomeType];
+        rates[incomeType] = {};
+        ['federal', 'state'].forEach(level => {
+            const rate = given[level] === undefined || given[level] === '' ? defaults[level] : Number(given[level]);
+            if (!(rate >= 0 && rate <= 100)) {
+                throw new Error(`${TAX_INCOME_TYPE_LABELS[incomeType]} ${level} rate must be between 0 and 100`);
+            }
+            rates[incomeType][level] = rate;
+        });
+    });
+
+    return {
+        enabled: Boolean(settings.enabled),
+        payFrom: payFrom,
+        rates: rates
+    };
+}
+
+/**
+ * Decide how a distribution component is taxed
+ * @param {String} ticker - Fund ticker
+ * @param {String} component - One of DISTRIBUTION_COMPONENTS
+ * @returns {String} - One of TAX_INCOME_TYPES
+ */
+function getDistributionIncomeType(ticker, component) {
+    if (isMmfTicker(ticker)) {
+        return 'ordinaryIncome';
+    }
+    if (component === 'capGainsLongTerm') {
+        return 'longTermGains';
+    }
+    if (component === 'capGainsShortTerm') {
+        return 'shortTermGains';
+    }
+    return 'qualifiedDividends';
+}
+
+/**
+ * Calculate the tax owed on one distribution
+ * @param {String} ticker - Fund ticker
+ * @param {Object} components - Dollars received per distribution component
+ * @param {Object} settings - Normalized tax settings
+ * @returns {Object} - { total, byIncomeType }
+ */
+function calculateDistributionTax(ticker, components, settings) {
+    const byIncomeType = {};
+    TAX_INCOME_TYPES.forEach(incomeType => byIncomeType[incomeType] = 0);
+
+    Object.keys(components).forEach(component => {
+        const incomeType = getDistributionIncomeType(ticker, component);
+        const rate = settings.rates[incomeType];
+        byIncomeType[incomeType] += (components[component] || 0) * (rate.federal + rate.state) / 100;
+    });
+
+    const total = TAX_INCOME_TYPES.reduce((sum, incomeType) => sum + byIncomeType[incomeType], 0);
+    return { total: total, byIncomeType: byIncomeType };
+}